@@ -8,13 +8,19 @@ import Dashboard from "./pages/Dashboard";
 import POS from "./pages/POS";
 import Products from "./pages/Products";
 import Customers from "./pages/Customers";
+import CustomerDetail from "./pages/CustomerDetail";
 import Sales from "./pages/Sales";
 import Credit from "./pages/Credit";
+import DiscountReport from "./pages/DiscountReport";
 import Settings from "./pages/Settings";
 import NotFound from "./pages/NotFound";
 import Login from "./pages/Login";
+import Register from "./pages/Register";
 import AddProduct from "./pages/AddProduct";
 import AddCustomer from "./pages/AddCustomer";
+import { RequirePermission } from "./components/RequirePermission";
+import { RequireAuth } from "./components/RequireAuth";
+import { PublicLayout } from "./components/PublicLayout";
 
 const queryClient = new QueryClient();
 
@@ -25,17 +31,24 @@ const App = () => (
       <Sonner />
       <BrowserRouter>
         <Routes>
-          <Route path="/" element={<Layout><Dashboard /></Layout>} />
-          <Route path="/pos" element={<Layout><POS /></Layout>} />
-          <Route path="/products" element={<Layout><Products /></Layout>} />
-          <Route path="/customers" element={<Layout><Customers /></Layout>} />
-          <Route path="/sales" element={<Layout><Sales /></Layout>} />
-          <Route path="/credit" element={<Layout><Credit /></Layout>} />
-          <Route path="/settings" element={<Layout><Settings /></Layout>} />
+          <Route element={<PublicLayout />}>
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+          </Route>
+          <Route element={<RequireAuth />}>
+            <Route path="/" element={<Layout><RequirePermission permission="reports.view" redirectHome><Dashboard /></RequirePermission></Layout>} />
+            <Route path="/pos" element={<Layout><RequirePermission permission="pos.use"><POS /></RequirePermission></Layout>} />
+            <Route path="/products" element={<Layout><RequirePermission permission="products.view"><Products /></RequirePermission></Layout>} />
+            <Route path="/customers" element={<Layout><RequirePermission permission="customers.view"><Customers /></RequirePermission></Layout>} />
+            <Route path="/customers/:id" element={<Layout><RequirePermission permission="customers.view"><CustomerDetail /></RequirePermission></Layout>} />
+            <Route path="/sales" element={<Layout><RequirePermission permission="sales.view"><Sales /></RequirePermission></Layout>} />
+            <Route path="/credit" element={<Layout><RequirePermission permission="credit.view"><Credit /></RequirePermission></Layout>} />
+            <Route path="/reports/discounts" element={<Layout><RequirePermission permission="reports.view"><DiscountReport /></RequirePermission></Layout>} />
+            <Route path="/settings" element={<Layout><RequirePermission permission="settings.manage"><Settings /></RequirePermission></Layout>} />
+            <Route path="/addproduct" element={<Layout><RequirePermission permission="products.edit"><AddProduct /></RequirePermission></Layout>} />
+            <Route path="/addcustomer" element={<Layout><RequirePermission permission="customers.edit"><AddCustomer /></RequirePermission></Layout>} />
+          </Route>
           <Route path="*" element={<NotFound />} />
-          <Route path="/login" element={<Layout><Login /></Layout>} />  
-          <Route path="/addproduct" element={<Layout><AddProduct></AddProduct></Layout>}></Route> 
-          <Route path="/addcustomer" element={<Layout><AddCustomer/></Layout>}></Route>     
         </Routes>
       </BrowserRouter>
     </TooltipProvider>
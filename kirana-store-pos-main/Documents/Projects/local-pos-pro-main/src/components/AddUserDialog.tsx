@@ -0,0 +1,147 @@
+import { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2 } from "lucide-react";
+import { useCreateUser } from "@/hooks/useUsers";
+import { PERMISSIONS, ROLE_LABELS, ROLE_PERMISSIONS, type Role } from "@/lib/permissions";
+import { isValidPin, PIN_LENGTH } from "@/lib/counterDevice";
+
+interface AddUserDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const EMPTY_FORM = { fullName: "", email: "", password: "", pin: "" };
+const MIN_PASSWORD = 8;
+
+export function AddUserDialog({ open, onOpenChange }: AddUserDialogProps) {
+  const createUser = useCreateUser();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [role, setRole] = useState<Role>("CASHIER");
+  const [sendInvite, setSendInvite] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setForm(EMPTY_FORM);
+    setRole("CASHIER");
+    setSendInvite(false);
+  }, [open]);
+
+  const set = (field: keyof typeof form) => (e: React.ChangeEvent<HTMLInputElement>) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const passwordShort = !sendInvite && form.password.length < MIN_PASSWORD;
+  const pinInvalid = form.pin !== "" && !isValidPin(form.pin);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.fullName.trim() || passwordShort || pinInvalid) return;
+    createUser.mutate(
+      {
+        fullName: form.fullName.trim(),
+        email: form.email.trim(),
+        role,
+        password: sendInvite ? undefined : form.password,
+        sendInvite: sendInvite || undefined,
+        pin: form.pin || undefined,
+      },
+      { onSuccess: () => onOpenChange(false) }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Add User</DialogTitle>
+          <DialogDescription>Give a cashier or staff member their own login.</DialogDescription>
+        </DialogHeader>
+        <form id="add-user" className="space-y-4" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="user-name">Full name</Label>
+            <Input id="user-name" value={form.fullName} onChange={set("fullName")} required autoFocus />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="user-email">Email</Label>
+            <Input id="user-email" type="email" value={form.email} onChange={set("email")} required />
+          </div>
+          <div className="space-y-2">
+            <Label>Role</Label>
+            <Select value={role} onValueChange={(value) => setRole(value as Role)}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(Object.keys(ROLE_LABELS) as Role[]).map((value) => (
+                  <SelectItem key={value} value={value}>
+                    {ROLE_LABELS[value]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <ul className="list-disc pl-5 text-xs text-muted-foreground">
+              {ROLE_PERMISSIONS[role].map((permission) => (
+                <li key={permission}>{PERMISSIONS[permission]}</li>
+              ))}
+            </ul>
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox id="user-invite" checked={sendInvite} onCheckedChange={(checked) => setSendInvite(checked === true)} />
+            <Label htmlFor="user-invite">Email an invite so they choose their own password</Label>
+          </div>
+          {!sendInvite && (
+            <div className="space-y-2">
+              <Label htmlFor="user-password">Password</Label>
+              <Input id="user-password" type="password" value={form.password} onChange={set("password")} required />
+              {form.password !== "" && passwordShort && (
+                <p className="text-sm text-destructive">At least {MIN_PASSWORD} characters</p>
+              )}
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label htmlFor="user-pin">Counter PIN (optional)</Label>
+            <Input
+              id="user-pin"
+              type="password"
+              inputMode="numeric"
+              maxLength={PIN_LENGTH.max}
+              value={form.pin}
+              onChange={set("pin")}
+            />
+            {pinInvalid && (
+              <p className="text-sm text-destructive">
+                {PIN_LENGTH.min}–{PIN_LENGTH.max} digits
+              </p>
+            )}
+          </div>
+        </form>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="submit" form="add-user" disabled={createUser.isPending || passwordShort || pinInvalid}>
+            {createUser.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {sendInvite ? "Send Invite" : "Create User"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -6,6 +6,7 @@ import {
   Users,
   Receipt,
   CreditCard,
+  BadgePercent,
   Settings,
 } from "lucide-react";
 import {
@@ -19,19 +20,23 @@ import {
   SidebarMenuItem,
   useSidebar,
 } from "@/components/ui/sidebar";
+import { usePermissions } from "@/hooks/usePermission";
+import type { Permission } from "@/lib/permissions";
 
-const navItems = [
-  { title: "Dashboard", url: "/", icon: LayoutDashboard },
-  { title: "POS", url: "/pos", icon: ShoppingCart },
-  { title: "Products", url: "/products", icon: Package },
-  { title: "Customers", url: "/customers", icon: Users },
-  { title: "Sales", url: "/sales", icon: Receipt },
-  { title: "Credit", url: "/credit", icon: CreditCard },
-  { title: "Settings", url: "/settings", icon: Settings },
+const navItems: { title: string; url: string; icon: typeof LayoutDashboard; permission: Permission }[] = [
+  { title: "Dashboard", url: "/", icon: LayoutDashboard, permission: "reports.view" },
+  { title: "POS", url: "/pos", icon: ShoppingCart, permission: "pos.use" },
+  { title: "Products", url: "/products", icon: Package, permission: "products.view" },
+  { title: "Customers", url: "/customers", icon: Users, permission: "customers.view" },
+  { title: "Sales", url: "/sales", icon: Receipt, permission: "sales.view" },
+  { title: "Credit", url: "/credit", icon: CreditCard, permission: "credit.view" },
+  { title: "Discounts", url: "/reports/discounts", icon: BadgePercent, permission: "reports.view" },
+  { title: "Settings", url: "/settings", icon: Settings, permission: "settings.manage" },
 ];
 
 export function AppSidebar() {
   const { open } = useSidebar();
+  const can = usePermissions();
 
   return (
     <Sidebar collapsible="icon">
@@ -42,7 +47,7 @@ export function AppSidebar() {
           </SidebarGroupLabel>
           <SidebarGroupContent>
             <SidebarMenu>
-              {navItems.map((item) => (
+              {navItems.filter((item) => can(item.permission)).map((item) => (
                 <SidebarMenuItem key={item.title}>
                   <SidebarMenuButton asChild>
                     <NavLink
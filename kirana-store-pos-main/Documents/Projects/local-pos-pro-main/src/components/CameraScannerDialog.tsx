@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Loader2 } from "lucide-react";
+import { startCameraScan, describeCameraError } from "@/lib/cameraScanner";
+
+interface CameraScannerDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onDetect: (code: string) => void;
+  continuous?: boolean; // Keep the camera open after a scan (billing several items)
+  title?: string;
+}
+
+export function CameraScannerDialog({
+  open,
+  onOpenChange,
+  onDetect,
+  continuous = false,
+  title = "Scan Barcode",
+}: CameraScannerDialogProps) {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  // Refs keep inline parent callbacks from restarting the camera on every render
+  const onDetectRef = useRef(onDetect);
+  onDetectRef.current = onDetect;
+  const onOpenChangeRef = useRef(onOpenChange);
+  onOpenChangeRef.current = onOpenChange;
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [lastCode, setLastCode] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let stop: (() => void) | undefined;
+    let cancelled = false;
+    setError(null);
+    setLastCode(null);
+    setStarting(true);
+
+    // Wait a frame so the dialog has mounted the <video> element
+    const frame = requestAnimationFrame(async () => {
+      if (!videoRef.current) {
+        setStarting(false);
+        return;
+      }
+      try {
+        const stopScan = await startCameraScan(videoRef.current, (code) => {
+          setLastCode(code);
+          onDetectRef.current(code);
+          if (!continuous) onOpenChangeRef.current(false);
+        });
+        if (cancelled) stopScan();
+        else stop = stopScan;
+      } catch (err) {
+        if (!cancelled) setError(describeCameraError(err));
+      } finally {
+        if (!cancelled) setStarting(false);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(frame);
+      stop?.();
+    };
+  }, [open, continuous]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>
+            Point the camera at an EAN, UPC or Code 128 barcode
+          </DialogDescription>
+        </DialogHeader>
+        <div className="relative aspect-[4/3] overflow-hidden rounded-lg bg-black">
+          <video ref={videoRef} className="h-full w-full object-cover" muted playsInline />
+          <div className="pointer-events-none absolute inset-x-8 top-1/2 h-0.5 -translate-y-1/2 bg-destructive/80" />
+          {starting && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <Loader2 className="h-8 w-8 animate-spin text-white" />
+            </div>
+          )}
+        </div>
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        {continuous && lastCode && (
+          <p className="text-sm text-muted-foreground">
+            Last scanned: <span className="font-mono">{lastCode}</span>
+          </p>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
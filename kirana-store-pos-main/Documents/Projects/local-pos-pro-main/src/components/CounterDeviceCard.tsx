@@ -0,0 +1,58 @@
+import { useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { useCounterDevice, useUpdateCounterDevice } from "@/hooks/useCounterDevice";
+
+export function CounterDeviceCard() {
+  const { data: savedSettings } = useCounterDevice();
+  const updateSettings = useUpdateCounterDevice();
+  const [enabled, setEnabled] = useState(savedSettings.enabled);
+  const [idleMinutes, setIdleMinutes] = useState(String(savedSettings.idleMinutes));
+
+  const minutes = Number(idleMinutes);
+  const invalid = !Number.isInteger(minutes) || minutes < 1 || minutes > 120;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Shared Counter</CardTitle>
+        <CardDescription>
+          Keep your login on this device and let cashiers take turns with their PIN. Bills are recorded against
+          whoever has the counter unlocked.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="counter-enabled">Counter mode on this device</Label>
+          <Switch id="counter-enabled" checked={enabled} onCheckedChange={setEnabled} />
+        </div>
+        {enabled && (
+          <div className="space-y-2 sm:max-w-xs">
+            <Label htmlFor="idle-minutes">Lock after (minutes idle)</Label>
+            <Input
+              id="idle-minutes"
+              type="number"
+              min={1}
+              max={120}
+              value={idleMinutes}
+              onChange={(e) => setIdleMinutes(e.target.value)}
+            />
+            {invalid && <p className="text-sm text-destructive">Enter 1 to 120 minutes</p>}
+          </div>
+        )}
+        <p className="text-xs text-muted-foreground">
+          Set each cashier's PIN under Users. You can always unlock with your email and password.
+        </p>
+        <Button
+          onClick={() => updateSettings.mutate({ enabled, idleMinutes: invalid ? savedSettings.idleMinutes : minutes })}
+          disabled={(enabled && invalid) || updateSettings.isPending}
+        >
+          Save Changes
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,154 @@
+import { Fragment, useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { ChevronDown, ChevronRight, FileDown, FileSpreadsheet, Loader2 } from "lucide-react";
+import { useCurrency, useStoreDetails } from "@/hooks/useSettings";
+import { AGING_BUCKETS, agingTotals, type CustomerAging } from "@/lib/creditAging";
+import { createAgingPdf } from "@/lib/creditStatement";
+import { toCsvBlob } from "@/lib/csv";
+import { downloadBlob } from "@/lib/download";
+
+interface CreditAgingReportProps {
+  rows: CustomerAging[];
+  isLoading: boolean;
+}
+
+// Bucket colours go from neutral to red as the udhaar gets older
+const BUCKET_CLASSES = ["", "text-warning", "text-orange-600", "text-destructive font-medium"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function CreditAgingReport({ rows, isLoading }: CreditAgingReportProps) {
+  const formatCurrency = useCurrency();
+  const store = useStoreDetails();
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const totals = agingTotals(rows);
+  const grandTotal = rows.reduce((sum, row) => sum + row.total, 0);
+
+  const exportCsv = () =>
+    downloadBlob(
+      toCsvBlob([
+        ["Customer", ...AGING_BUCKETS.map((bucket) => bucket.label), "Total", "Oldest (days)"],
+        ...rows.map((row) => [
+          row.customerName,
+          ...AGING_BUCKETS.map(({ key }) => row.buckets[key].toFixed(2)),
+          row.total.toFixed(2),
+          row.oldestDays,
+        ]),
+        ["Total", ...AGING_BUCKETS.map(({ key }) => totals[key].toFixed(2)), grandTotal.toFixed(2), ""],
+      ]),
+      `credit-aging-${today()}.csv`
+    );
+
+  const exportPdf = () => downloadBlob(createAgingPdf(rows, totals, store).output("blob"), `credit-aging-${today()}.pdf`);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" size="sm" onClick={exportCsv} disabled={!rows.length}>
+          <FileSpreadsheet className="h-4 w-4 mr-2" />
+          CSV
+        </Button>
+        <Button variant="outline" size="sm" onClick={exportPdf} disabled={!rows.length}>
+          <FileDown className="h-4 w-4 mr-2" />
+          PDF
+        </Button>
+      </div>
+
+      <div className="rounded-lg border bg-card">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Customer</TableHead>
+              {AGING_BUCKETS.map((bucket) => (
+                <TableHead key={bucket.key} className="text-right">
+                  {bucket.label}
+                </TableHead>
+              ))}
+              <TableHead className="text-right">Total</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={AGING_BUCKETS.length + 2} className="text-center py-8 text-muted-foreground">
+                  No outstanding credit
+                </TableCell>
+              </TableRow>
+            ) : (
+              rows.map((row) => {
+                const open = expanded === row.customerId;
+                return (
+                  <Fragment key={row.customerId}>
+                    <TableRow className="cursor-pointer" onClick={() => setExpanded(open ? null : row.customerId)}>
+                      <TableCell className="font-medium">
+                        <span className="flex items-center gap-1">
+                          {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                          {row.customerName}
+                        </span>
+                      </TableCell>
+                      {AGING_BUCKETS.map(({ key }, index) => (
+                        <TableCell key={key} className={`text-right ${row.buckets[key] ? BUCKET_CLASSES[index] : ""}`}>
+                          {row.buckets[key] ? formatCurrency(row.buckets[key]) : "-"}
+                        </TableCell>
+                      ))}
+                      <TableCell className="text-right font-medium">{formatCurrency(row.total)}</TableCell>
+                    </TableRow>
+                    {open &&
+                      row.credits.map((credit, index) => (
+                        <TableRow key={`${row.customerId}-${index}`} className="bg-muted/40 text-sm hover:bg-muted/40">
+                          <TableCell className="pl-10">
+                            {credit.billNumber ?? (credit.saleId ? "Bill" : "Credit without a bill")}
+                            <span className="ml-2 text-xs text-muted-foreground">
+                              {new Date(credit.date).toLocaleDateString("en-IN")}
+                            </span>
+                          </TableCell>
+                          {AGING_BUCKETS.map(({ key }) => (
+                            <TableCell key={key} className="text-right">
+                              {credit.bucket === key && `${credit.days} days`}
+                            </TableCell>
+                          ))}
+                          <TableCell className="text-right">
+                            {formatCurrency(credit.outstanding)}
+                            {credit.outstanding < credit.amount && (
+                              <span className="block text-xs text-muted-foreground">of {formatCurrency(credit.amount)}</span>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                  </Fragment>
+                );
+              })
+            )}
+            {rows.length > 0 && (
+              <TableRow className="font-semibold">
+                <TableCell>Total</TableCell>
+                {AGING_BUCKETS.map(({ key }) => (
+                  <TableCell key={key} className="text-right">
+                    {formatCurrency(totals[key])}
+                  </TableCell>
+                ))}
+                <TableCell className="text-right">{formatCurrency(grandTotal)}</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import { Fragment, useMemo, useState } from "react";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { ChevronDown, ChevronRight, CreditCard, FileDown, Loader2, Printer, Share2 } from "lucide-react";
+import { useCustomerCreditTransactions } from "@/hooks/useCredit";
+import { useSale } from "@/hooks/useSales";
+import { useCurrency, useStoreDetails } from "@/hooks/useSettings";
+import { ledgerEntries } from "@/lib/creditLedger";
+import { createStatementPdf, describeEntry } from "@/lib/creditStatement";
+import { downloadBlob, shareOrDownload } from "@/lib/download";
+import { formatQuantity } from "@/lib/units";
+import type { Customer } from "@/services/customerService";
+
+interface CreditLedgerSheetProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  customer: Customer | null;
+  onRecordPayment?: (customer: Customer) => void;
+}
+
+// Items of the bill behind a credit entry, loaded when the row is expanded
+function LinkedSaleRow({ saleId }: { saleId: string }) {
+  const { data: sale, isLoading } = useSale(saleId);
+  const formatCurrency = useCurrency();
+
+  return (
+    <TableRow className="bg-muted/40 hover:bg-muted/40">
+      <TableCell colSpan={5} className="py-2 text-xs">
+        {isLoading ? (
+          <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+        ) : !sale ? (
+          <span className="text-muted-foreground">Bill not found</span>
+        ) : (
+          <div className="space-y-1">
+            {sale.items.map((item) => (
+              <div key={item.productId} className="flex justify-between">
+                <span>
+                  {item.productName} × {formatQuantity(item.quantity, item.unit)}
+                </span>
+                <span>{formatCurrency(item.lineTotal)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between font-medium">
+              <span>
+                Total ({formatCurrency(sale.amountPaid)} paid at the counter)
+              </span>
+              <span>{formatCurrency(sale.totalAmount)}</span>
+            </div>
+          </div>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+}
+
+export function CreditLedgerSheet({ open, onOpenChange, customer, onRecordPayment }: CreditLedgerSheetProps) {
+  const formatCurrency = useCurrency();
+  const store = useStoreDetails();
+  const { data: transactions = [], isLoading } = useCustomerCreditTransactions(open && customer ? customer.id : "");
+  const entries = useMemo(() => ledgerEntries(transactions), [transactions]);
+  const [expandedSaleId, setExpandedSaleId] = useState<string | null>(null);
+
+  if (!customer) return null;
+
+  const statement = () => createStatementPdf(customer, entries, store);
+  const filename = `Statement-${customer.name.replace(/\s+/g, "-")}.pdf`;
+
+  const handlePrint = () => {
+    const doc = statement();
+    doc.autoPrint(); // Opens the print dialog once the PDF loads
+    window.open(doc.output("bloburl"), "_blank");
+  };
+
+  const handleShare = () =>
+    shareOrDownload(
+      statement().output("blob"),
+      filename,
+      `${store.name}: ${customer.name}, your balance due is ${formatCurrency(customer.creditBalance)}`
+    );
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full overflow-y-auto sm:max-w-2xl">
+        <SheetHeader>
+          <SheetTitle>{customer.name} · Credit History</SheetTitle>
+          <SheetDescription>
+            {`Balance due ${formatCurrency(customer.creditBalance)}`}
+            {customer.phone && ` · ${customer.phone}`}
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="my-4 flex flex-wrap gap-2">
+          {onRecordPayment && (
+            <Button size="sm" onClick={() => onRecordPayment(customer)}>
+              <CreditCard className="h-4 w-4 mr-2" />
+              Record Payment
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onClick={handlePrint} disabled={!entries.length}>
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => downloadBlob(statement().output("blob"), filename)} disabled={!entries.length}>
+            <FileDown className="h-4 w-4 mr-2" />
+            PDF
+          </Button>
+          <Button variant="outline" size="sm" onClick={handleShare} disabled={!entries.length}>
+            <Share2 className="h-4 w-4 mr-2" />
+            Share
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <div className="rounded-lg border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Particulars</TableHead>
+                  <TableHead className="text-right">Debit</TableHead>
+                  <TableHead className="text-right">Credit</TableHead>
+                  <TableHead className="text-right">Balance</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={5} className="text-center py-8 text-muted-foreground">
+                      No credit history
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  entries.map((entry) => {
+                    const { transaction } = entry;
+                    const saleId = transaction.saleId;
+                    const expanded = !!saleId && expandedSaleId === saleId;
+                    return (
+                      <Fragment key={transaction.id}>
+                        <TableRow>
+                          <TableCell className="text-sm whitespace-nowrap">
+                            {new Date(transaction.createdAt).toLocaleDateString("en-IN")}
+                          </TableCell>
+                          <TableCell className="text-sm">
+                            {saleId ? (
+                              <button
+                                type="button"
+                                className="flex items-center gap-1 font-medium text-primary hover:underline"
+                                onClick={() => setExpandedSaleId(expanded ? null : saleId)}
+                              >
+                                {expanded ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                                {describeEntry(entry)}
+                              </button>
+                            ) : (
+                              describeEntry(entry)
+                            )}
+                            {transaction.notes && (
+                              <p className="text-xs text-muted-foreground">{transaction.notes}</p>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right text-sm text-warning">
+                            {entry.debit ? formatCurrency(entry.debit) : ""}
+                          </TableCell>
+                          <TableCell className="text-right text-sm text-success">
+                            {entry.credit ? formatCurrency(entry.credit) : ""}
+                          </TableCell>
+                          <TableCell className="text-right text-sm font-medium">{formatCurrency(entry.balance)}</TableCell>
+                        </TableRow>
+                        {expanded && <LinkedSaleRow saleId={saleId} />}
+                      </Fragment>
+                    );
+                  })
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
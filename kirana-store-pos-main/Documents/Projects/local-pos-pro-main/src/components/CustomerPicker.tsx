@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+} from "@/components/ui/command";
+import { Check, ChevronsUpDown, Loader2, UserPlus } from "lucide-react";
+import { useCustomerSearch } from "@/hooks/useCustomers";
+import { useDebounce } from "@/hooks/useDebounce";
+import { useCurrency } from "@/hooks/useSettings";
+import { QuickCustomerDialog } from "@/components/QuickCustomerDialog";
+import type { Customer } from "@/services/customerService";
+
+interface CustomerPickerProps {
+  value?: Customer | null;
+  onChange: (customer: Customer | null) => void; // null = walk-in
+  open?: boolean; // Controlled so a hotkey can open it
+  onOpenChange?: (open: boolean) => void;
+}
+
+// Searchable by name or phone against the API, so every customer is reachable, not just the first page
+export function CustomerPicker({ value, onChange, open: controlledOpen, onOpenChange }: CustomerPickerProps) {
+  const formatCurrency = useCurrency();
+  const queryClient = useQueryClient();
+  const [uncontrolledOpen, setUncontrolledOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [createQuery, setCreateQuery] = useState<string | null>(null); // Open quick-create prefilled with this
+  const search = useDebounce(query.trim());
+  const { data, isFetching } = useCustomerSearch(search);
+  const results = data?.content ?? [];
+
+  const open = controlledOpen ?? uncontrolledOpen;
+  const setOpen = (next: boolean) => {
+    setUncontrolledOpen(next);
+    onOpenChange?.(next);
+    if (!next) setQuery("");
+  };
+
+  const select = (customer: Customer | null) => {
+    // Seed the detail query so the bill panel shows the customer without a refetch
+    if (customer) queryClient.setQueryData(["customer", customer.id], customer);
+    onChange(customer);
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <Popover open={open} onOpenChange={setOpen}>
+        <PopoverTrigger asChild>
+          <Button variant="outline" role="combobox" aria-expanded={open} className="w-[250px] justify-between font-normal">
+            <span className="truncate">
+              {value ? `${value.name}${value.phone ? ` - ${value.phone}` : ""}` : "Walk-in Customer"}
+            </span>
+            <ChevronsUpDown className="h-4 w-4 shrink-0 opacity-50" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-[320px] p-0">
+          <Command shouldFilter={false}>
+            <CommandInput placeholder="Search name or phone..." value={query} onValueChange={setQuery} />
+            <CommandList>
+              <CommandEmpty>
+                {isFetching ? <Loader2 className="mx-auto h-4 w-4 animate-spin" /> : "No customers found"}
+              </CommandEmpty>
+              <CommandGroup>
+                <CommandItem value="walk-in" onSelect={() => select(null)}>
+                  <Check className={`mr-2 h-4 w-4 ${value ? "opacity-0" : ""}`} />
+                  Walk-in Customer
+                </CommandItem>
+                {results.map((customer) => (
+                  <CommandItem key={customer.id} value={customer.id} onSelect={() => select(customer)}>
+                    <Check className={`mr-2 h-4 w-4 ${value?.id === customer.id ? "" : "opacity-0"}`} />
+                    <div className="flex-1">
+                      <p>{customer.name}</p>
+                      {customer.phone && <p className="text-xs text-muted-foreground">{customer.phone}</p>}
+                    </div>
+                    {customer.creditBalance > 0 && (
+                      <span className="text-xs text-warning">{formatCurrency(customer.creditBalance)}</span>
+                    )}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+              <CommandSeparator />
+              <CommandGroup>
+                <CommandItem
+                  value="new-customer"
+                  onSelect={() => {
+                    setCreateQuery(query);
+                    setOpen(false);
+                  }}
+                >
+                  <UserPlus className="mr-2 h-4 w-4" />
+                  {query.trim() ? `Add "${query.trim()}" as new customer` : "Add new customer"}
+                </CommandItem>
+              </CommandGroup>
+            </CommandList>
+          </Command>
+        </PopoverContent>
+      </Popover>
+
+      <QuickCustomerDialog
+        open={createQuery !== null}
+        onOpenChange={(next) => !next && setCreateQuery(null)}
+        initialQuery={createQuery ?? ""}
+        onCreated={select}
+      />
+    </>
+  );
+}
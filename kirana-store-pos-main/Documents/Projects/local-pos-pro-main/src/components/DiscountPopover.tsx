@@ -0,0 +1,133 @@
+import { useState, type ReactNode } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import { useCurrency, useSettings } from "@/hooks/useSettings";
+import { discountPerUnit, type DiscountInput, type DiscountType } from "@/lib/discounts";
+
+export interface DiscountChange {
+  discount?: DiscountInput; // Undefined clears the discount
+  price?: number; // Only when price override is offered
+}
+
+interface DiscountPopoverProps {
+  trigger: ReactNode;
+  title: string;
+  base: number; // Unit price for a line, bill total for the whole bill
+  discount?: DiscountInput;
+  allowPriceOverride?: boolean;
+  originalPrice?: number; // Catalog price that Clear goes back to
+  onApply: (change: DiscountChange) => void;
+}
+
+export function DiscountPopover({
+  trigger,
+  title,
+  base,
+  discount,
+  allowPriceOverride,
+  originalPrice,
+  onApply,
+}: DiscountPopoverProps) {
+  const formatCurrency = useCurrency();
+  const { data: settings } = useSettings();
+  const [open, setOpen] = useState(false);
+  const [type, setType] = useState<DiscountType>("FLAT");
+  const [value, setValue] = useState("");
+  const [price, setPrice] = useState("");
+
+  // Start from what is already on the line or bill every time it opens
+  const handleOpenChange = (next: boolean) => {
+    setOpen(next);
+    if (!next) return;
+    setType(discount?.type ?? "FLAT");
+    setValue(discount ? String(discount.value) : "");
+    setPrice(String(base));
+  };
+
+  const newPrice = allowPriceOverride && price !== "" ? Number(price) : base;
+  const input: DiscountInput | undefined = Number(value) > 0 ? { type, value: Number(value) } : undefined;
+  const saving = discountPerUnit(newPrice, input);
+  const invalid = newPrice < 0 || (type === "PERCENT" && Number(value) > 100);
+
+  const apply = (change: DiscountChange) => {
+    onApply(change);
+    setOpen(false);
+  };
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>{trigger}</PopoverTrigger>
+      <PopoverContent align="end" className="w-72">
+        <form
+          className="space-y-3"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!invalid) apply({ discount: input, price: allowPriceOverride ? newPrice : undefined });
+          }}
+        >
+          <p className="text-sm font-medium">{title}</p>
+          {allowPriceOverride && (
+            <div className="space-y-1">
+              <Label htmlFor="override-price">Selling price</Label>
+              <Input
+                id="override-price"
+                type="number"
+                min={0}
+                step="0.01"
+                value={price}
+                onChange={(e) => setPrice(e.target.value)}
+              />
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label htmlFor="discount-value">{allowPriceOverride ? "Discount per unit" : "Discount"}</Label>
+            <div className="flex gap-2">
+              <ToggleGroup
+                type="single"
+                variant="outline"
+                size="sm"
+                value={type}
+                onValueChange={(next) => next && setType(next as DiscountType)}
+              >
+                <ToggleGroupItem value="FLAT">{settings.currencySymbol}</ToggleGroupItem>
+                <ToggleGroupItem value="PERCENT">%</ToggleGroupItem>
+              </ToggleGroup>
+              <Input
+                id="discount-value"
+                type="number"
+                min={0}
+                step="0.01"
+                placeholder="0"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                autoFocus
+              />
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            {saving > 0 ? `${formatCurrency(saving)} off` : "No discount"}
+            {allowPriceOverride && ` · charged ${formatCurrency(Math.max(0, newPrice - saving))} each`}
+          </p>
+          {invalid && <p className="text-xs text-destructive">Enter a valid price and discount</p>}
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              className="flex-1"
+              onClick={() => apply({ discount: undefined, price: allowPriceOverride ? originalPrice ?? base : undefined })}
+            >
+              Clear
+            </Button>
+            <Button type="submit" size="sm" className="flex-1" disabled={invalid}>
+              Apply
+            </Button>
+          </div>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
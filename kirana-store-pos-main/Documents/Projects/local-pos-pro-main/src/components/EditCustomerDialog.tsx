@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2 } from "lucide-react";
+import { useUpdateCustomer } from "@/hooks/useCustomers";
+import type { Customer } from "@/services/customerService";
+
+interface EditCustomerDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  customer: Customer | null;
+}
+
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+
+export function EditCustomerDialog({ open, onOpenChange, customer }: EditCustomerDialogProps) {
+  const updateCustomer = useUpdateCustomer();
+  const [form, setForm] = useState({ name: "", phone: "", email: "", address: "", creditLimit: "" });
+
+  useEffect(() => {
+    if (!open || !customer) return;
+    setForm({
+      name: customer.name,
+      phone: customer.phone ?? "",
+      email: customer.email ?? "",
+      address: customer.address ?? "",
+      creditLimit: customer.creditLimit ? String(customer.creditLimit) : "",
+    });
+  }, [open, customer]);
+
+  const phoneInvalid = form.phone !== "" && !PHONE_PATTERN.test(form.phone);
+  const set = (field: keyof typeof form) => (e: React.ChangeEvent<HTMLInputElement>) =>
+    setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!customer || !form.name.trim() || phoneInvalid) return;
+    updateCustomer.mutate(
+      {
+        id: customer.id,
+        data: {
+          name: form.name.trim(),
+          phone: form.phone || undefined,
+          email: form.email || undefined,
+          address: form.address || undefined,
+          creditLimit: form.creditLimit ? Number(form.creditLimit) : 0, // 0 removes the limit
+        },
+      },
+      { onSuccess: () => onOpenChange(false) }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Edit Customer</DialogTitle>
+          <DialogDescription>Leave the credit limit empty for no limit.</DialogDescription>
+        </DialogHeader>
+        <form id="edit-customer" className="space-y-3" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="edit-customer-name">Name</Label>
+            <Input id="edit-customer-name" value={form.name} onChange={set("name")} required />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="edit-customer-phone">Phone</Label>
+            <Input
+              id="edit-customer-phone"
+              inputMode="numeric"
+              value={form.phone}
+              onChange={(e) => setForm({ ...form, phone: e.target.value.replace(/\D/g, "").slice(0, 10) })}
+            />
+            {phoneInvalid && <p className="text-xs text-destructive">Enter a 10-digit mobile number</p>}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="edit-customer-email">Email</Label>
+            <Input id="edit-customer-email" type="email" value={form.email} onChange={set("email")} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="edit-customer-address">Address</Label>
+            <Input id="edit-customer-address" value={form.address} onChange={set("address")} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="edit-customer-limit">Credit limit</Label>
+            <Input id="edit-customer-limit" type="number" min={0} value={form.creditLimit} onChange={set("creditLimit")} />
+          </div>
+        </form>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="submit" form="edit-customer" disabled={!form.name.trim() || phoneInvalid || updateCustomer.isPending}>
+            {updateCustomer.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,105 @@
+import { useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2 } from "lucide-react";
+import { useExportInvoices, type InvoiceExportFormat } from "@/hooks/useSales";
+import { useStoreDetails } from "@/hooks/useSettings";
+
+interface InvoiceExportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function InvoiceExportDialog({ open, onOpenChange }: InvoiceExportDialogProps) {
+  const exportInvoices = useExportInvoices();
+  const store = useStoreDetails();
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(today);
+  const [format, setFormat] = useState<InvoiceExportFormat>("PDF");
+
+  const invalidRange = !startDate || !endDate || startDate > endDate;
+
+  const handleExport = () => {
+    exportInvoices.mutate(
+      { startDate, endDate, format, store },
+      { onSuccess: () => onOpenChange(false) }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export Invoices</DialogTitle>
+          <DialogDescription>
+            Download every bill in a date range as PDF invoices
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label htmlFor="export-start">From</Label>
+            <Input
+              id="export-start"
+              type="date"
+              value={startDate}
+              max={endDate}
+              onChange={(e) => setStartDate(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="export-end">To</Label>
+            <Input
+              id="export-end"
+              type="date"
+              value={endDate}
+              min={startDate}
+              onChange={(e) => setEndDate(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="space-y-2">
+          <Label>Format</Label>
+          <Select value={format} onValueChange={(value) => setFormat(value as InvoiceExportFormat)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="PDF">Single PDF (one invoice per page)</SelectItem>
+              <SelectItem value="ZIP">ZIP of separate PDFs</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        {invalidRange && (
+          <p className="text-sm text-destructive">Start date must be on or before the end date</p>
+        )}
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={invalidRange || exportInvoices.isPending}>
+            {exportInvoices.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Export
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
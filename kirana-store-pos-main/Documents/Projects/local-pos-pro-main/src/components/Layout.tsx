@@ -1,11 +1,16 @@
 import { ReactNode } from "react";
 import { SidebarProvider, SidebarTrigger } from "@/components/ui/sidebar";
 import { AppSidebar } from "./AppSidebar";
-import { Search, Bell, User, LogOut, LogIn, Home } from "lucide-react";
+import { Search, Bell, User, LogOut, LogIn, Home, Lock } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { useLogout } from "@/hooks/useAuth";
+import { useCurrentUser, useLogout } from "@/hooks/useAuth";
+import { useCounterDevice, useIdleLock, useSwitchCounterUser } from "@/hooks/useCounterDevice";
+import { usePermission } from "@/hooks/usePermission";
+import { useOutboxAutoSync } from "@/hooks/useSaleOutbox";
+import { useSessionWatch } from "@/hooks/useSession";
 import { Navigate, useNavigate } from "react-router-dom";
+import { LockScreen } from "./LockScreen";
 
 interface LayoutProps {
   children: ReactNode;
@@ -14,7 +19,18 @@ interface LayoutProps {
 export function Layout({ children }: LayoutProps) {
   const logout = useLogout();
   const navigate=useNavigate();
- 
+  useOutboxAutoSync(); // Replay offline sales from any page once back online
+  useSessionWatch();
+  useIdleLock();
+  const { data: counter } = useCounterDevice();
+  const { data: currentUser } = useCurrentUser();
+  const switchCounterUser = useSwitchCounterUser();
+  const canManage = usePermission("settings.manage");
+  // On a shared counter only the owner may end the owner's session; everyone else just locks
+  const canLogout = !counter.enabled || canManage;
+
+  if (counter.enabled && !currentUser) return <LockScreen />;
+
   return (
     <SidebarProvider>
       <div className="flex min-h-screen w-full">
@@ -35,14 +51,24 @@ export function Layout({ children }: LayoutProps) {
                   <Bell className="h-5 w-5" />
                   <span className="absolute right-1 top-1 h-2 w-2 rounded-full bg-destructive" />
                 </Button>
-                <Button variant="ghost" size="icon" className="relative" onClick={()=>navigate("/login")}>
+                <Button variant="ghost" size="icon" className="relative" onClick={()=>navigate("/")}>
                   <Home className="h-5 w-5">
                       
                   </Home>
                 </Button>
-                <Button variant="ghost" size="icon" className="relative" onClick={() => logout.mutate()}>
-                  <LogOut className="h-5 w-5"/>
-                </Button>
+                {counter.enabled && (
+                  <>
+                    <span className="text-sm font-medium">{currentUser?.fullName}</span>
+                    <Button variant="ghost" size="icon" title="Lock counter" onClick={() => switchCounterUser(null)}>
+                      <Lock className="h-5 w-5" />
+                    </Button>
+                  </>
+                )}
+                {canLogout && (
+                  <Button variant="ghost" size="icon" className="relative" onClick={() => logout.mutate()}>
+                    <LogOut className="h-5 w-5"/>
+                  </Button>
+                )}
                 <Button variant="ghost" size="icon">
                   <User className="h-5 w-5" />
                 </Button>
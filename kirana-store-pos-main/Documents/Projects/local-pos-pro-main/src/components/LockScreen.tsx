@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { REGEXP_ONLY_DIGITS } from "input-otp";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { KeyRound, Loader2, Lock } from "lucide-react";
+import { useSettings } from "@/hooks/useSettings";
+import { useVerifyOwner } from "@/hooks/useAuth";
+import { usePinLogin, useSwitchCounterUser } from "@/hooks/useCounterDevice";
+import { PIN_LENGTH } from "@/lib/counterDevice";
+
+// Covers the app on a shared counter until someone unlocks it with their PIN,
+// or the owner with their password
+export function LockScreen() {
+  const { data: settings } = useSettings();
+  const pinLogin = usePinLogin();
+  const verifyOwner = useVerifyOwner();
+  const switchUser = useSwitchCounterUser();
+  const [pin, setPin] = useState("");
+  const [usePassword, setUsePassword] = useState(false);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+
+  const unlock = (value: string) => {
+    if (value.length < PIN_LENGTH.min || pinLogin.isPending) return;
+    pinLogin.mutate(value, { onSettled: () => setPin("") });
+  };
+
+  const handlePasswordSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    verifyOwner.mutate({ email, password }, { onSuccess: (owner) => switchUser(owner) });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-secondary p-6">
+      <Card className="w-full max-w-sm">
+        <CardHeader className="items-center text-center">
+          <Lock className="h-8 w-8 text-primary" />
+          <CardTitle>{settings?.storeName ?? "Counter locked"}</CardTitle>
+          <CardDescription>
+            {usePassword ? "Owner email and password" : `Enter your ${PIN_LENGTH.min}–${PIN_LENGTH.max} digit PIN`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {usePassword ? (
+            <form className="space-y-3" onSubmit={handlePasswordSubmit}>
+              <div className="space-y-2">
+                <Label htmlFor="unlock-email">Email</Label>
+                <Input id="unlock-email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoFocus />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="unlock-password">Password</Label>
+                <Input
+                  id="unlock-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={verifyOwner.isPending}>
+                {verifyOwner.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Unlock
+              </Button>
+            </form>
+          ) : (
+            <form
+              className="flex flex-col items-center gap-4"
+              onSubmit={(e) => {
+                e.preventDefault();
+                unlock(pin);
+              }}
+            >
+              <InputOTP
+                maxLength={PIN_LENGTH.max}
+                pattern={REGEXP_ONLY_DIGITS}
+                value={pin}
+                onChange={setPin}
+                onComplete={unlock}
+                disabled={pinLogin.isPending}
+                autoFocus
+              >
+                <InputOTPGroup>
+                  {Array.from({ length: PIN_LENGTH.max }, (_, index) => (
+                    // Digits show as dots so the next person in the queue cannot read them
+                    <InputOTPSlot key={index} index={index} className="h-12 w-12 text-lg [-webkit-text-security:disc]" />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+              <Button type="submit" className="w-full" disabled={pin.length < PIN_LENGTH.min || pinLogin.isPending}>
+                {pinLogin.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Unlock
+              </Button>
+            </form>
+          )}
+          <Button variant="link" className="w-full" onClick={() => setUsePassword(!usePassword)}>
+            <KeyRound className="h-4 w-4 mr-2" />
+            {usePassword ? "Use a PIN" : "Owner? Use password"}
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2, ShieldCheck } from "lucide-react";
+import { useVerifyOwner } from "@/hooks/useAuth";
+import type { DiscountActor } from "@/lib/discounts";
+import { hasPermission } from "@/lib/permissions";
+
+interface OwnerApprovalDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  reason: string; // What the owner is approving, e.g. "15% off Tata Salt"
+  onApproved: (owner: DiscountActor) => void;
+}
+
+export function OwnerApprovalDialog({ open, onOpenChange, reason, onApproved }: OwnerApprovalDialogProps) {
+  const verifyOwner = useVerifyOwner();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setPassword("");
+    setError("");
+  }, [open]);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    verifyOwner.mutate(
+      { email, password },
+      {
+        onSuccess: (user) => {
+          if (!hasPermission(user.role, "pos.approve")) {
+            setError(`${user.fullName} cannot approve this`);
+            return;
+          }
+          onApproved({ userId: user.id, name: user.fullName });
+          onOpenChange(false);
+        },
+      }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5" />
+            Owner approval needed
+          </DialogTitle>
+          <DialogDescription>{reason}</DialogDescription>
+        </DialogHeader>
+        <form id="owner-approval" className="space-y-3" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="owner-email">Owner email</Label>
+            <Input id="owner-email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoFocus />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="owner-password">Password</Label>
+            <Input
+              id="owner-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          {error && <p className="text-sm text-destructive">{error}</p>}
+        </form>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="submit" form="owner-approval" disabled={verifyOwner.isPending}>
+            {verifyOwner.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Approve
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { PauseCircle, ListRestart, Trash2 } from "lucide-react";
+import {
+  useParkedCarts,
+  useHoldCart,
+  useRecallCart,
+  useDiscardParkedCart,
+} from "@/hooks/useParkedCarts";
+import { itemCount, type BillDraft } from "@/lib/cart";
+
+interface ParkedCartsMenuProps {
+  draft: BillDraft;
+  suggestedName: string; // Customer name, or a time-based label for walk-ins
+  onHold: () => void; // Clear the counter once the bill is parked
+  onRecall: (draft: BillDraft) => void;
+}
+
+export function ParkedCartsMenu({ draft, suggestedName, onHold, onRecall }: ParkedCartsMenuProps) {
+  const { data: parked } = useParkedCarts();
+  const holdCart = useHoldCart();
+  const recallCart = useRecallCart();
+  const discardCart = useDiscardParkedCart();
+  const [holdOpen, setHoldOpen] = useState(false);
+  const [name, setName] = useState("");
+
+  const handleHold = () => {
+    holdCart.mutate(
+      { name: name.trim() || suggestedName, draft },
+      {
+        onSuccess: () => {
+          setHoldOpen(false);
+          onHold();
+        },
+      }
+    );
+  };
+
+  // Whatever is on the counter swaps places with the recalled bill
+  const handleRecall = (id: string) => {
+    recallCart.mutate(
+      { id, current: draft.items.length > 0 ? { name: suggestedName, draft } : undefined },
+      { onSuccess: ({ recalled }) => onRecall(recalled.draft) }
+    );
+  };
+
+  const formatTime = (iso: string) =>
+    new Date(iso).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div className="flex items-center gap-2">
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" disabled={parked.length === 0}>
+            <ListRestart className="h-4 w-4 mr-1" />
+            On hold
+            {parked.length > 0 && <Badge className="ml-2 h-5 px-1.5">{parked.length}</Badge>}
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-72">
+          <DropdownMenuLabel>Held bills</DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          {parked.map((cart) => (
+            <DropdownMenuItem key={cart.id} className="flex items-center gap-2" onSelect={() => handleRecall(cart.id)}>
+              <div className="flex-1">
+                <p className="font-medium">{cart.name}</p>
+                <p className="text-xs text-muted-foreground">
+                  {itemCount(cart.draft)} item(s) · held at {formatTime(cart.parkedAt)}
+                </p>
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-7 w-7"
+                title="Discard"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (confirm(`Discard held bill "${cart.name}"?`)) discardCart.mutate(cart.id);
+                }}
+              >
+                <Trash2 className="h-3 w-3 text-destructive" />
+              </Button>
+            </DropdownMenuItem>
+          ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Popover
+        open={holdOpen}
+        onOpenChange={(open) => {
+          setHoldOpen(open);
+          if (open) setName("");
+        }}
+      >
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" disabled={draft.items.length === 0}>
+            <PauseCircle className="h-4 w-4 mr-1" />
+            Hold
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-64">
+          <form
+            className="space-y-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleHold();
+            }}
+          >
+            <label className="text-sm font-medium">Name this bill</label>
+            <Input placeholder={suggestedName} value={name} onChange={(e) => setName(e.target.value)} autoFocus />
+            <Button type="submit" size="sm" className="w-full" disabled={holdCart.isPending}>
+              Put on hold
+            </Button>
+          </form>
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+}
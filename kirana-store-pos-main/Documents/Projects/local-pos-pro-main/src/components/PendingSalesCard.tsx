@@ -0,0 +1,102 @@
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, CloudOff, RefreshCw, RotateCcw, Trash2 } from "lucide-react";
+import {
+  useSaleOutbox,
+  useSyncOutbox,
+  useRetryOutboxEntry,
+  useDiscardOutboxEntry,
+} from "@/hooks/useSaleOutbox";
+import { useOnlineStatus } from "@/hooks/useOnlineStatus";
+import { useCurrency } from "@/hooks/useSettings";
+
+export function PendingSalesCard() {
+  const isOnline = useOnlineStatus();
+  const formatCurrency = useCurrency();
+  const { data: entries = [] } = useSaleOutbox();
+  const syncOutbox = useSyncOutbox();
+  const retryEntry = useRetryOutboxEntry();
+  const discardEntry = useDiscardOutboxEntry();
+
+  if (entries.length === 0) return null;
+
+  const handleDiscard = (id: string) => {
+    if (confirm("Discard this sale? It will not be recorded on the server.")) {
+      discardEntry.mutate(id);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-lg flex items-center gap-2">
+          <CloudOff className="h-5 w-5 text-warning" />
+          Pending Sync
+        </CardTitle>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => syncOutbox.mutate()}
+          disabled={!isOnline || syncOutbox.isPending}
+        >
+          <RefreshCw className={`h-4 w-4 mr-2 ${syncOutbox.isPending ? "animate-spin" : ""}`} />
+          Sync Now
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {entries.map((entry) => (
+          <div key={entry.id} className="flex items-center gap-3 rounded-lg border p-3">
+            <div className="flex-1">
+              <p className="font-medium">
+                {formatCurrency(entry.summary.total)} · {entry.summary.itemCount} item(s)
+              </p>
+              <p className="text-sm text-muted-foreground">
+                {entry.summary.customerName || "Walk-in"} ·{" "}
+                {new Date(entry.createdAt).toLocaleTimeString("en-IN", {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </p>
+              {entry.status === "CONFLICT" && (
+                <p className="text-sm text-destructive flex items-center gap-1 mt-1">
+                  <AlertTriangle className="h-3 w-3" />
+                  {entry.error}
+                </p>
+              )}
+            </div>
+            {entry.status === "CONFLICT" ? (
+              <>
+                <Badge variant="outline" className="bg-destructive/10 text-destructive border-destructive">
+                  Conflict
+                </Badge>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7"
+                  title="Retry"
+                  onClick={() => retryEntry.mutate(entry.id)}
+                >
+                  <RotateCcw className="h-3 w-3" />
+                </Button>
+              </>
+            ) : (
+              <Badge variant="outline" className="bg-warning/10 text-warning border-warning">
+                Pending
+              </Badge>
+            )}
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7"
+              title="Discard"
+              onClick={() => handleDiscard(entry.id)}
+            >
+              <Trash2 className="h-3 w-3 text-destructive" />
+            </Button>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
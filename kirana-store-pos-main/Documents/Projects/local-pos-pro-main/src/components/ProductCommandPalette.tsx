@@ -0,0 +1,69 @@
+import { useState } from "react";
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from "@/components/ui/command";
+import { useProductCatalog } from "@/hooks/useProductCatalog";
+import { useCurrency } from "@/hooks/useSettings";
+import { perUnitSuffix } from "@/lib/units";
+import type { Product } from "@/services/productService";
+
+interface ProductCommandPaletteProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onSelect: (product: Product) => void;
+}
+
+// Type to search, arrows to move, Enter to add; stays open so several items can go in a row
+export function ProductCommandPalette({ open, onOpenChange, onSelect }: ProductCommandPaletteProps) {
+  const { search } = useProductCatalog();
+  const formatCurrency = useCurrency();
+  const [query, setQuery] = useState("");
+  const results = query ? search(query, 20) : [];
+
+  return (
+    <CommandDialog
+      open={open}
+      onOpenChange={(next) => {
+        onOpenChange(next);
+        if (!next) setQuery("");
+      }}
+      shouldFilter={false} // Results already come ranked from the catalog search index
+    >
+      <CommandInput placeholder="Product name, brand or barcode..." value={query} onValueChange={setQuery} />
+      <CommandList>
+        <CommandEmpty>{query ? "No products found" : "Start typing to search"}</CommandEmpty>
+        {results.length > 0 && (
+          <CommandGroup heading="Enter adds to bill · Esc closes">
+            {results.map((product) => (
+              <CommandItem
+                key={product.id}
+                value={product.id}
+                onSelect={() => {
+                  onSelect(product);
+                  setQuery("");
+                }}
+              >
+                <div className="flex-1">
+                  <p className="font-medium">{product.name}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Stock: {product.stockQuantity}
+                    {product.barcode && ` · ${product.barcode}`}
+                  </p>
+                </div>
+                <span className="font-medium">
+                  {formatCurrency(product.price)}
+                  {perUnitSuffix(product.unit)}
+                </span>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+      </CommandList>
+    </CommandDialog>
+  );
+}
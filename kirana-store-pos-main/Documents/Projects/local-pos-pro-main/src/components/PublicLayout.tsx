@@ -0,0 +1,25 @@
+import { Navigate, Outlet } from "react-router-dom";
+import { Store } from "lucide-react";
+import { useCurrentUser, useIsAuthenticated } from "@/hooks/useAuth";
+import { homePath } from "@/lib/permissions";
+
+// Login and sign-up pages, without the app sidebar; signed-in users go straight to the app
+export function PublicLayout() {
+  const isAuthenticated = useIsAuthenticated();
+  const { data: user } = useCurrentUser();
+
+  // A role with no pages of its own stays here rather than bouncing between the two
+  if (isAuthenticated && user && homePath(user.role) !== "/login") return <Navigate to={homePath(user.role)} replace />;
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-secondary/30 p-6">
+      <div className="w-full max-w-sm space-y-6">
+        <div className="flex items-center justify-center gap-2 text-2xl font-bold text-primary">
+          <Store className="h-7 w-7" />
+          Kirana Store
+        </div>
+        <Outlet />
+      </div>
+    </div>
+  );
+}
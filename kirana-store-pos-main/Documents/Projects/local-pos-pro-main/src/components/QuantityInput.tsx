@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { Input } from "@/components/ui/input";
+import { isLooseUnit, roundQuantity } from "@/lib/units";
+
+interface QuantityInputProps {
+  value: number;
+  unit?: string;
+  onChange: (quantity: number) => void; // Called on blur or Enter; 0 removes the line
+}
+
+// Typed quantities are kept as text until committed, so "1." or "0.2" can be typed through
+export function QuantityInput({ value, unit, onChange }: QuantityInputProps) {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => setText(String(value)), [value]);
+
+  const commit = () => {
+    const quantity = roundQuantity(Number(text), unit);
+    if (text.trim() === "" || Number.isNaN(quantity) || quantity < 0) setText(String(value));
+    else if (quantity !== value) onChange(quantity);
+    else setText(String(value));
+  };
+
+  return (
+    <Input
+      type="number"
+      inputMode="decimal"
+      min={0}
+      step={isLooseUnit(unit) ? "any" : 1}
+      className="h-7 w-16 px-1 text-center"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+      }}
+    />
+  );
+}
@@ -0,0 +1,104 @@
+import { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2 } from "lucide-react";
+import { useCreateCustomer } from "@/hooks/useCustomers";
+import type { Customer } from "@/services/customerService";
+
+interface QuickCustomerDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  initialQuery?: string; // What was typed in the picker: digits become the phone, anything else the name
+  onCreated: (customer: Customer) => void;
+}
+
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+
+// Add a customer without leaving the bill
+export function QuickCustomerDialog({ open, onOpenChange, initialQuery = "", onCreated }: QuickCustomerDialogProps) {
+  const createCustomer = useCreateCustomer();
+  const [name, setName] = useState("");
+  const [phone, setPhone] = useState("");
+  const [creditLimit, setCreditLimit] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    const query = initialQuery.trim();
+    const isPhone = /^\d+$/.test(query);
+    setName(isPhone ? "" : query);
+    setPhone(isPhone ? query : "");
+    setCreditLimit("");
+  }, [open, initialQuery]);
+
+  const phoneInvalid = phone !== "" && !PHONE_PATTERN.test(phone);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim() || phoneInvalid) return;
+    createCustomer.mutate(
+      { name: name.trim(), phone: phone || undefined, creditLimit: creditLimit ? Number(creditLimit) : undefined },
+      {
+        onSuccess: (customer) => {
+          onCreated(customer);
+          onOpenChange(false);
+        },
+      }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle>New Customer</DialogTitle>
+          <DialogDescription>The customer is added to this bill once saved.</DialogDescription>
+        </DialogHeader>
+        <form id="quick-customer" className="space-y-3" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="quick-customer-name">Name</Label>
+            <Input id="quick-customer-name" value={name} onChange={(e) => setName(e.target.value)} required autoFocus />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="quick-customer-phone">Phone</Label>
+            <Input
+              id="quick-customer-phone"
+              inputMode="numeric"
+              placeholder="9876543210"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value.replace(/\D/g, "").slice(0, 10))}
+            />
+            {phoneInvalid && <p className="text-xs text-destructive">Enter a 10-digit mobile number</p>}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="quick-customer-limit">Credit limit (optional)</Label>
+            <Input
+              id="quick-customer-limit"
+              type="number"
+              min={0}
+              value={creditLimit}
+              onChange={(e) => setCreditLimit(e.target.value)}
+            />
+          </div>
+        </form>
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="submit" form="quick-customer" disabled={!name.trim() || phoneInvalid || createCustomer.isPending}>
+            {createCustomer.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save & Select
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Printer, Usb } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import {
+  useReceiptSettings,
+  useReceiptOptions,
+  useUpdateReceiptSettings,
+  type ReceiptSettings,
+} from "@/hooks/useReceiptSettings";
+import {
+  thermalPrinter,
+  printReceipt,
+  isPrinterConnectionSupported,
+  type PrinterConnection,
+} from "@/lib/thermalPrinter";
+import type { PaperWidth } from "@/lib/receipt";
+import type { Sale } from "@/services/saleService";
+
+const SAMPLE_SALE: Sale = {
+  id: "test",
+  billNumber: "TEST-0001",
+  customer: { name: "Test Customer" },
+  items: [
+    { productId: "1", productName: "Tata Salt 1kg", quantity: 2, unitPrice: 22, discount: 0, lineTotal: 44 },
+    { productId: "2", productName: "Amul Butter 100g", quantity: 1, unitPrice: 56, discount: 2, lineTotal: 54 },
+  ],
+  subtotal: 100,
+  discountAmount: 2,
+  taxAmount: 0,
+  totalAmount: 98,
+  amountPaid: 98,
+  creditAmount: 0,
+  paymentMethod: "CASH",
+  paymentStatus: "PAID",
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+};
+
+export function ReceiptSettingsCard() {
+  const { toast } = useToast();
+  const { data: savedSettings } = useReceiptSettings();
+  const receiptOptions = useReceiptOptions();
+  const updateSettings = useUpdateReceiptSettings();
+  const [form, setForm] = useState<ReceiptSettings>(savedSettings);
+  const [printerReady, setPrinterReady] = useState(false);
+
+  useEffect(() => {
+    thermalPrinter.isConnected(form.connection).then(setPrinterReady);
+  }, [form.connection]);
+
+  const handleConnect = async () => {
+    try {
+      await thermalPrinter.connect(form.connection);
+      setPrinterReady(await thermalPrinter.isConnected(form.connection));
+    } catch {
+      // The user closed the device picker
+    }
+  };
+
+  const handleTestPrint = async () => {
+    try {
+      await printReceipt(SAMPLE_SALE, { ...receiptOptions, ...form });
+    } catch (error) {
+      toast({
+        title: "Print failed",
+        description: error instanceof Error ? error.message : "Could not print the test receipt",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Receipt Printer</CardTitle>
+        <CardDescription>
+          Printer setup for this counter. Receipt text is set under Store Information.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label>Paper Width</Label>
+            <Select
+              value={String(form.paperWidth)}
+              onValueChange={(value) => setForm({ ...form, paperWidth: Number(value) as PaperWidth })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="58">58mm (2 inch)</SelectItem>
+                <SelectItem value="80">80mm (3 inch)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>Printer</Label>
+            <Select
+              value={form.connection}
+              onValueChange={(value) => setForm({ ...form, connection: value as PrinterConnection })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="BROWSER">Browser print dialog</SelectItem>
+                <SelectItem value="USB" disabled={!isPrinterConnectionSupported("USB")}>
+                  USB thermal printer (ESC/POS)
+                </SelectItem>
+                <SelectItem value="SERIAL" disabled={!isPrinterConnectionSupported("SERIAL")}>
+                  Serial / Bluetooth printer (ESC/POS)
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        {form.connection !== "BROWSER" && (
+          <div className="flex items-center justify-between rounded-lg border p-3 text-sm">
+            <span className={printerReady ? "text-success" : "text-muted-foreground"}>
+              {printerReady ? "Printer connected" : "No printer connected"}
+            </span>
+            <Button variant="outline" size="sm" onClick={handleConnect}>
+              <Usb className="h-4 w-4 mr-2" />
+              {printerReady ? "Change Printer" : "Connect Printer"}
+            </Button>
+          </div>
+        )}
+        <div className="flex items-center justify-between">
+          <Label htmlFor="auto-print">Print receipt automatically after each sale</Label>
+          <Switch
+            id="auto-print"
+            checked={form.autoPrint}
+            onCheckedChange={(checked) => setForm({ ...form, autoPrint: checked })}
+          />
+        </div>
+        <div className="flex gap-2">
+          <Button onClick={() => updateSettings.mutate(form)} disabled={updateSettings.isPending}>
+            Save Changes
+          </Button>
+          <Button variant="outline" onClick={handleTestPrint}>
+            <Printer className="h-4 w-4 mr-2" />
+            Test Print
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,202 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2 } from "lucide-react";
+import { useCustomerCreditTransactions, useRecordPayment } from "@/hooks/useCredit";
+import { useCurrency } from "@/hooks/useSettings";
+import { allocateOldestFirst, openBills } from "@/lib/creditLedger";
+import { round2 } from "@/lib/tax";
+import type { Customer } from "@/services/customerService";
+import type { CreditPaymentMethod } from "@/services/creditService";
+
+interface RecordPaymentDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  customer: Customer | null;
+}
+
+const METHOD_LABELS: Record<CreditPaymentMethod, string> = {
+  CASH: "Cash",
+  UPI: "UPI",
+  CARD: "Card",
+  BANK_TRANSFER: "Bank transfer",
+};
+
+export function RecordPaymentDialog({ open, onOpenChange, customer }: RecordPaymentDialogProps) {
+  const recordPayment = useRecordPayment();
+  const formatCurrency = useCurrency();
+  const { data: transactions = [], isLoading } = useCustomerCreditTransactions(open && customer ? customer.id : "");
+  const bills = useMemo(() => openBills(transactions), [transactions]);
+
+  const [amount, setAmount] = useState("");
+  const [method, setMethod] = useState<CreditPaymentMethod>("CASH");
+  const [notes, setNotes] = useState("");
+  // Amount typed against each bill, by sale id
+  const [allocations, setAllocations] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    if (!open || !customer) return;
+    setAmount(String(customer.creditBalance));
+    setMethod("CASH");
+    setNotes("");
+    setAllocations({});
+  }, [open, customer]);
+
+  const value = Number(amount) || 0;
+  const allocated = round2(Object.values(allocations).reduce((sum, entry) => sum + (Number(entry) || 0), 0));
+  const overBill = bills.find((bill) => Number(allocations[bill.saleId] || 0) > bill.outstanding);
+
+  const error =
+    value <= 0
+      ? "Enter the amount received"
+      : customer && value > customer.creditBalance
+        ? `More than the ${formatCurrency(customer.creditBalance)} outstanding`
+        : overBill
+          ? `More than is due on bill ${overBill.billNumber ?? ""}`.trim()
+          : allocated > value
+            ? "Bill amounts add up to more than the payment"
+            : undefined;
+
+  const fillOldestFirst = () =>
+    setAllocations(
+      Object.fromEntries(allocateOldestFirst(bills, value).map(({ saleId, amount }) => [saleId, String(amount)]))
+    );
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!customer || error) return;
+    recordPayment.mutate(
+      {
+        customerId: customer.id,
+        amount: value,
+        paymentMethod: method,
+        notes: notes.trim() || undefined,
+        allocations: Object.entries(allocations)
+          .map(([saleId, entry]) => ({ saleId, amount: Number(entry) || 0 }))
+          .filter((allocation) => allocation.amount > 0),
+      },
+      { onSuccess: () => onOpenChange(false) }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Record Payment</DialogTitle>
+          <DialogDescription>
+            {customer && `${customer.name} owes ${formatCurrency(customer.creditBalance)}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form id="record-payment" className="space-y-4" onSubmit={handleSubmit}>
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="payment-amount">Amount</Label>
+              <Input
+                id="payment-amount"
+                type="number"
+                min={0}
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                autoFocus
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Method</Label>
+              <Select value={method} onValueChange={(next) => setMethod(next as CreditPaymentMethod)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(METHOD_LABELS) as CreditPaymentMethod[]).map((key) => (
+                    <SelectItem key={key} value={key}>
+                      {METHOD_LABELS[key]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label>Against bills (optional)</Label>
+              <Button type="button" variant="link" size="sm" className="h-auto p-0" onClick={fillOldestFirst} disabled={!bills.length}>
+                Oldest first
+              </Button>
+            </div>
+            {isLoading ? (
+              <Loader2 className="mx-auto h-4 w-4 animate-spin text-muted-foreground" />
+            ) : bills.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No unpaid bills on record</p>
+            ) : (
+              <div className="max-h-48 space-y-2 overflow-y-auto rounded-md border p-2">
+                {bills.map((bill) => (
+                  <div key={bill.saleId} className="flex items-center gap-3 text-sm">
+                    <div className="flex-1">
+                      <p className="font-medium">{bill.billNumber ?? "Bill"}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {new Date(bill.date).toLocaleDateString("en-IN")} · {formatCurrency(bill.outstanding)} due
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      className="h-8 w-28"
+                      placeholder="0"
+                      aria-label={`Amount for ${bill.billNumber ?? "bill"}`}
+                      value={allocations[bill.saleId] ?? ""}
+                      onChange={(e) => setAllocations({ ...allocations, [bill.saleId]: e.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            {allocated > 0 && allocated < value && (
+              <p className="text-xs text-muted-foreground">
+                The other {formatCurrency(round2(value - allocated))} settles the oldest bills
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="payment-notes">Notes</Label>
+            <Textarea id="payment-notes" rows={2} value={notes} onChange={(e) => setNotes(e.target.value)} />
+          </div>
+
+          {error && amount !== "" && <p className="text-xs text-destructive">{error}</p>}
+        </form>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="submit" form="record-payment" disabled={!!error || recordPayment.isPending}>
+            {recordPayment.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Record {value > 0 && formatCurrency(value)}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
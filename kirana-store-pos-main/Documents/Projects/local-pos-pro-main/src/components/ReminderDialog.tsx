@@ -0,0 +1,181 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { MessageCircle, MessageSquare, SkipForward } from "lucide-react";
+import { useCustomerCreditTransactions } from "@/hooks/useCredit";
+import {
+  useCustomerReminders,
+  useLogReminder,
+  useReminderSchedules,
+  useUpdateReminderSchedule,
+} from "@/hooks/useReminders";
+import { useCurrency, useSettings } from "@/hooks/useSettings";
+import { lastPayment } from "@/lib/creditLedger";
+import {
+  CHANNEL_LABELS,
+  internationalPhone,
+  nextReminderDate,
+  reminderLink,
+  renderReminder,
+  upiPaymentLink,
+  type ReminderChannel,
+} from "@/lib/reminders";
+import type { Customer } from "@/services/customerService";
+
+interface ReminderDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  customers: Customer[]; // More than one steps through them as a queue
+}
+
+const formatDate = (date: string) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
+
+export function ReminderDialog({ open, onOpenChange, customers }: ReminderDialogProps) {
+  const formatCurrency = useCurrency();
+  const { data: settings } = useSettings();
+  const [index, setIndex] = useState(0);
+  const [edited, setEdited] = useState<string | null>(null); // Cashier's changes to this customer's message
+  const [nextDue, setNextDue] = useState("");
+  const customer = open ? customers[index] : undefined;
+
+  const { data: transactions = [] } = useCustomerCreditTransactions(customer?.id ?? "");
+  const { data: history = [] } = useCustomerReminders(customer?.id ?? "");
+  const { data: schedules = [] } = useReminderSchedules();
+  const logReminder = useLogReminder();
+  const updateSchedule = useUpdateReminderSchedule();
+  const schedule = schedules.find((entry) => entry.customerId === customer?.id);
+
+  useEffect(() => {
+    if (open) setIndex(0);
+  }, [open]);
+
+  useEffect(() => {
+    setEdited(null);
+    setNextDue(schedule?.nextDueAt?.slice(0, 10) ?? "");
+  }, [customer?.id, schedule?.nextDueAt]);
+
+  const generated = useMemo(() => {
+    if (!customer) return "";
+    const payment = lastPayment(transactions);
+    return renderReminder(settings.reminderTemplate, {
+      name: customer.name,
+      amount: formatCurrency(customer.creditBalance),
+      store: settings.storeName,
+      lastPayment: payment && `${formatCurrency(payment.amount)} on ${formatDate(payment.createdAt)}`,
+      upiLink:
+        settings.upiId &&
+        upiPaymentLink({
+          upiId: settings.upiId,
+          payee: settings.storeName,
+          amount: customer.creditBalance,
+          note: `Udhaar ${customer.name}`,
+        }),
+    });
+  }, [customer, transactions, settings, formatCurrency]);
+
+  const message = edited ?? generated;
+  const phone = internationalPhone(customer?.phone);
+
+  const advance = () => {
+    if (index + 1 < customers.length) setIndex(index + 1);
+    else onOpenChange(false);
+  };
+
+  const send = (channel: ReminderChannel) => {
+    if (!customer || !phone) return;
+    window.open(reminderLink(channel, phone, message), "_blank", "noopener");
+    logReminder.mutate({
+      customerId: customer.id,
+      channel,
+      amount: customer.creditBalance,
+      message,
+      nextDueAt: nextReminderDate(new Date(), settings.reminderIntervalDays).toISOString(),
+    });
+    advance();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            Payment Reminder
+            {customers.length > 1 && ` · ${index + 1} of ${customers.length}`}
+          </DialogTitle>
+          <DialogDescription>
+            {customer && `${customer.name} owes ${formatCurrency(customer.creditBalance)}`}
+            {customer?.phone && ` · ${customer.phone}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <Textarea rows={7} value={message} onChange={(e) => setEdited(e.target.value)} />
+          {!phone && <p className="text-xs text-destructive">No valid mobile number for this customer</p>}
+
+          <div className="flex items-end gap-2">
+            <div className="flex-1 space-y-2">
+              <Label htmlFor="reminder-next-due">Next reminder due</Label>
+              <Input id="reminder-next-due" type="date" value={nextDue} onChange={(e) => setNextDue(e.target.value)} />
+            </div>
+            <Button
+              variant="outline"
+              disabled={!customer || !nextDue || nextDue === schedule?.nextDueAt?.slice(0, 10) || updateSchedule.isPending}
+              onClick={() =>
+                customer && updateSchedule.mutate({ customerId: customer.id, nextDueAt: new Date(nextDue).toISOString() })
+              }
+            >
+              Save date
+            </Button>
+          </div>
+
+          <div className="space-y-1">
+            <p className="text-sm font-medium">Sent before</p>
+            {history.length === 0 ? (
+              <p className="text-xs text-muted-foreground">No reminders sent yet</p>
+            ) : (
+              <div className="max-h-24 space-y-1 overflow-y-auto text-xs text-muted-foreground">
+                {history.slice(0, 10).map((reminder) => (
+                  <div key={reminder.id} className="flex justify-between">
+                    <span>
+                      {formatDate(reminder.sentAt)} · {CHANNEL_LABELS[reminder.channel]}
+                      {reminder.sentBy && ` by ${reminder.sentBy}`}
+                    </span>
+                    <span>{formatCurrency(reminder.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter className="gap-2 sm:gap-0">
+          {customers.length > 1 && (
+            <Button variant="ghost" onClick={advance}>
+              <SkipForward className="h-4 w-4 mr-2" />
+              Skip
+            </Button>
+          )}
+          <Button variant="outline" disabled={!phone || !message} onClick={() => send("SMS")}>
+            <MessageSquare className="h-4 w-4 mr-2" />
+            SMS
+          </Button>
+          <Button disabled={!phone || !message} onClick={() => send("WHATSAPP")}>
+            <MessageCircle className="h-4 w-4 mr-2" />
+            WhatsApp
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,11 @@
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { loginPath, useIsAuthenticated } from "@/hooks/useAuth";
+
+// Wraps every page that needs a logged-in user
+export function RequireAuth() {
+  const location = useLocation();
+  const isAuthenticated = useIsAuthenticated();
+
+  if (!isAuthenticated) return <Navigate to={loginPath(location.pathname + location.search)} replace />;
+  return <Outlet />;
+}
@@ -0,0 +1,18 @@
+import type { ReactNode } from "react";
+import { Navigate } from "react-router-dom";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { hasPermission, homePath, type Permission } from "@/lib/permissions";
+import Forbidden from "@/pages/Forbidden";
+
+interface RequirePermissionProps {
+  permission: Permission;
+  children: ReactNode;
+  redirectHome?: boolean; // Send the user to their own home page instead of showing 403
+}
+
+export function RequirePermission({ permission, children, redirectHome }: RequirePermissionProps) {
+  const { data: user } = useCurrentUser();
+  if (hasPermission(user?.role, permission)) return <>{children}</>;
+  if (redirectHome && user && homePath(user.role) !== "/") return <Navigate to={homePath(user.role)} replace />;
+  return <Forbidden />;
+}
@@ -0,0 +1,354 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Separator } from "@/components/ui/separator";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Loader2, Minus, Plus, Printer, Search, X } from "lucide-react";
+import { useSaleByBillNumber } from "@/hooks/useSales";
+import { useCreateReturn, useSaleReturns } from "@/hooks/useReturns";
+import { useProductCatalog } from "@/hooks/useProductCatalog";
+import { useCurrency, useSettings } from "@/hooks/useSettings";
+import { useReceiptOptions } from "@/hooks/useReceiptSettings";
+import { useToast } from "@/hooks/use-toast";
+import { returnableLines, returnValue, splitRefund } from "@/lib/returns";
+import { pointsToReverse } from "@/lib/loyalty";
+import { formatQuantity, quantityStep, roundQuantity } from "@/lib/units";
+import { computeBillTax } from "@/lib/tax";
+import { printCreditNote } from "@/lib/thermalPrinter";
+import type { Sale } from "@/services/saleService";
+import type { Product } from "@/services/productService";
+import type { RefundMethod, SaleReturn } from "@/services/returnService";
+
+interface ReturnDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  sale?: Sale | null; // Opened from a sale row; otherwise the cashier looks the bill up by number
+}
+
+interface ExchangeItem {
+  product: Product;
+  quantity: number;
+}
+
+export function ReturnDialog({ open, onOpenChange, sale: initialSale }: ReturnDialogProps) {
+  const formatCurrency = useCurrency();
+  const { data: settings } = useSettings();
+  const receiptOptions = useReceiptOptions();
+  const catalog = useProductCatalog();
+  const createReturn = useCreateReturn();
+  const { toast } = useToast();
+
+  const [billInput, setBillInput] = useState("");
+  const [billNumber, setBillNumber] = useState("");
+  const [quantities, setQuantities] = useState<Record<string, number>>({});
+  const [refundMethod, setRefundMethod] = useState<RefundMethod>("CASH");
+  const [reason, setReason] = useState("");
+  const [exchangeQuery, setExchangeQuery] = useState("");
+  const [exchangeItems, setExchangeItems] = useState<ExchangeItem[]>([]);
+  const [completed, setCompleted] = useState<SaleReturn | null>(null);
+
+  const lookup = useSaleByBillNumber(initialSale ? "" : billNumber);
+  const sale = initialSale ?? lookup.data;
+  const { data: previousReturns } = useSaleReturns(sale?.id ?? "");
+  const earlierCreditNotes = previousReturns?.content.map((r) => r.creditNoteNumber) ?? [];
+
+  // Start fresh every time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setBillInput("");
+    setBillNumber("");
+    setQuantities({});
+    setRefundMethod("CASH");
+    setReason("");
+    setExchangeQuery("");
+    setExchangeItems([]);
+    setCompleted(null);
+  }, [open, initialSale]);
+
+  const lines = useMemo(() => (sale ? returnableLines(sale) : []), [sale]);
+  const returnItems = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([productId, quantity]) => ({ productId, quantity }));
+  const returnAmount = returnValue(lines, quantities);
+  const exchangeTotal = computeBillTax(
+    exchangeItems.map(({ product, quantity }) => ({
+      productId: product.id,
+      quantity,
+      unitPrice: product.price,
+      discount: 0,
+      gstRate: product.gstRate ?? settings.taxRate,
+      priceIncludesTax: product.priceIncludesTax,
+    })),
+    sale?.taxBreakdown?.supplyType
+  ).total;
+  const refund = sale ? splitRefund(sale, returnAmount) : { money: returnAmount, points: 0, pointsValue: 0 };
+  const netAmount = refund.money - exchangeTotal; // Negative: the customer pays the difference
+  const pointsReversed = sale ? pointsToReverse(sale, returnAmount) : 0;
+  const hasCustomer = !!sale?.customer?.name;
+  const exchangeResults = exchangeQuery ? catalog.search(exchangeQuery, 5) : [];
+
+  const stepQuantity = (productId: string, direction: 1 | -1, max: number, unit?: string) =>
+    setQuantities((current) => {
+      const next = roundQuantity((current[productId] ?? 0) + direction * quantityStep(unit), unit);
+      return { ...current, [productId]: Math.min(max, Math.max(0, next)) };
+    });
+
+  const addExchangeItem = (product: Product) => {
+    setExchangeItems((current) =>
+      current.some((item) => item.product.id === product.id)
+        ? current.map((item) => (item.product.id === product.id ? { ...item, quantity: item.quantity + 1 } : item))
+        : [...current, { product, quantity: 1 }]
+    );
+    setExchangeQuery("");
+  };
+
+  const handleSubmit = () => {
+    if (!sale || returnItems.length === 0) return;
+
+    createReturn.mutate(
+      {
+        saleId: sale.id,
+        items: returnItems,
+        exchangeItems: exchangeItems.map(({ product, quantity }) => ({ productId: product.id, quantity })),
+        refundMethod,
+        loyaltyPointsReversed: pointsReversed || undefined,
+        loyaltyPointsRestored: refund.points || undefined,
+        reason: reason || undefined,
+      },
+      { onSuccess: setCompleted }
+    );
+  };
+
+  const handlePrint = async (saleReturn: SaleReturn) => {
+    try {
+      await printCreditNote(saleReturn, receiptOptions);
+    } catch (err) {
+      toast({
+        title: "Print failed",
+        description: err instanceof Error ? err.message : "Could not print the credit note",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const refundLabel =
+    refundMethod === "CREDIT_ADJUSTMENT" ? "Reduce credit balance by" : `Refund by ${refundMethod === "UPI" ? "UPI" : "cash"}`;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Return / Exchange</DialogTitle>
+          <DialogDescription>
+            {sale ? `Bill ${sale.billNumber} · ${sale.customer?.name || "Walk-in"}` : "Find the bill to return items from"}
+          </DialogDescription>
+        </DialogHeader>
+
+        {completed ? (
+          <div className="space-y-4 text-center">
+            <p className="text-sm text-muted-foreground">Credit note issued</p>
+            <p className="text-2xl font-bold font-mono">{completed.creditNoteNumber}</p>
+            <p>
+              {completed.netAmount >= 0
+                ? `${refundLabel} ${formatCurrency(completed.netAmount)}`
+                : `Collect ${formatCurrency(-completed.netAmount)} from the customer`}
+            </p>
+            <DialogFooter>
+              <Button variant="outline" onClick={() => handlePrint(completed)}>
+                <Printer className="h-4 w-4 mr-2" />
+                Print Credit Note
+              </Button>
+              <Button onClick={() => onOpenChange(false)}>Done</Button>
+            </DialogFooter>
+          </div>
+        ) : (
+          <>
+            {!initialSale && (
+              <form
+                className="flex gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  setBillNumber(billInput.trim());
+                  setQuantities({});
+                }}
+              >
+                <Input
+                  placeholder="Bill number"
+                  value={billInput}
+                  onChange={(e) => setBillInput(e.target.value)}
+                  autoFocus
+                />
+                <Button type="submit" variant="outline" disabled={!billInput.trim()}>
+                  {lookup.isFetching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+                </Button>
+              </form>
+            )}
+            {lookup.isError && <p className="text-sm text-destructive">No bill found with that number</p>}
+
+            {sale && (
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label>Items to return</Label>
+                  {lines.map((line) => (
+                    <div key={line.productId} className="flex items-center gap-3 rounded-lg border p-2">
+                      <div className="flex-1">
+                        <p className="font-medium">{line.productName}</p>
+                        <p className="text-xs text-muted-foreground">
+                          Sold {formatQuantity(line.soldQuantity, line.unit)} · {formatCurrency(line.unitRefund)} each
+                          {line.returnableQuantity < line.soldQuantity &&
+                            ` · ${formatQuantity(line.soldQuantity - line.returnableQuantity, line.unit)} already returned`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          className="h-7 w-7"
+                          onClick={() => stepQuantity(line.productId, -1, line.returnableQuantity, line.unit)}
+                        >
+                          <Minus className="h-3 w-3" />
+                        </Button>
+                        <span className="w-12 text-center">{quantities[line.productId] ?? 0}</span>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          className="h-7 w-7"
+                          disabled={(quantities[line.productId] ?? 0) >= line.returnableQuantity}
+                          onClick={() => stepQuantity(line.productId, 1, line.returnableQuantity, line.unit)}
+                        >
+                          <Plus className="h-3 w-3" />
+                        </Button>
+                      </div>
+                    </div>
+                  ))}
+                  {earlierCreditNotes.length > 0 && (
+                    <p className="text-xs text-muted-foreground">
+                      Earlier credit notes: {earlierCreditNotes.join(", ")}
+                    </p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Exchange for (optional)</Label>
+                  <Input
+                    placeholder="Search replacement product..."
+                    value={exchangeQuery}
+                    onChange={(e) => setExchangeQuery(e.target.value)}
+                  />
+                  {exchangeResults.map((product) => (
+                    <div
+                      key={product.id}
+                      className="flex justify-between p-2 hover:bg-accent rounded cursor-pointer text-sm"
+                      onClick={() => addExchangeItem(product)}
+                    >
+                      <span>{product.name}</span>
+                      <span>{formatCurrency(product.price)}</span>
+                    </div>
+                  ))}
+                  {exchangeItems.map(({ product, quantity }) => (
+                    <div key={product.id} className="flex items-center justify-between rounded-lg border p-2 text-sm">
+                      <span>
+                        {product.name} × {quantity}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7"
+                        onClick={() => setExchangeItems((current) => current.filter((item) => item.product.id !== product.id))}
+                      >
+                        <X className="h-3 w-3" />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid gap-4 sm:grid-cols-2">
+                  <div className="space-y-2">
+                    <Label>Settle by</Label>
+                    <Select value={refundMethod} onValueChange={(value) => setRefundMethod(value as RefundMethod)}>
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="CASH">Cash</SelectItem>
+                        <SelectItem value="UPI">UPI</SelectItem>
+                        <SelectItem value="CREDIT_ADJUSTMENT" disabled={!hasCustomer}>
+                          Adjust customer's credit
+                        </SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="return-reason">Reason</Label>
+                    <Input
+                      id="return-reason"
+                      placeholder="Damaged, expired, wrong item..."
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <Separator />
+
+                <div className="space-y-1 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Return value</span>
+                    <span>{formatCurrency(returnAmount)}</span>
+                  </div>
+                  {exchangeItems.length > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Exchange items (estimate)</span>
+                      <span>{formatCurrency(-exchangeTotal)}</span>
+                    </div>
+                  )}
+                  {refund.points > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Paid with points, given back as {refund.points} points</span>
+                      <span>{formatCurrency(-refund.pointsValue)}</span>
+                    </div>
+                  )}
+                  {pointsReversed > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Loyalty points taken back</span>
+                      <span>{pointsReversed}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-base font-bold">
+                    <span>{netAmount >= 0 ? refundLabel : "Collect from customer"}</span>
+                    <span>{formatCurrency(Math.abs(netAmount))}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <DialogFooter>
+              <Button variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button onClick={handleSubmit} disabled={!sale || returnItems.length === 0 || createReturn.isPending}>
+                {createReturn.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Process Return
+              </Button>
+            </DialogFooter>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,145 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Scale, Usb } from "lucide-react";
+import { useToast } from "@/hooks/use-toast";
+import { useScaleSettings, useUpdateScaleSettings } from "@/hooks/useScaleSettings";
+import { isWeighingScaleSupported, weighingScale } from "@/lib/weighingScale";
+import { parsePrefixList } from "@/lib/scaleBarcode";
+
+const BAUD_RATES = [2400, 4800, 9600, 19200];
+
+export function ScaleSettingsCard() {
+  const { toast } = useToast();
+  const { data: savedSettings } = useScaleSettings();
+  const updateSettings = useUpdateScaleSettings();
+  const [enabled, setEnabled] = useState(savedSettings.enabled);
+  const [baudRate, setBaudRate] = useState(savedSettings.baudRate);
+  const [weightPrefixes, setWeightPrefixes] = useState(savedSettings.weightPrefixes.join(", "));
+  const [pricePrefixes, setPricePrefixes] = useState(savedSettings.pricePrefixes.join(", "));
+  const [scaleReady, setScaleReady] = useState(false);
+
+  useEffect(() => {
+    if (isWeighingScaleSupported()) weighingScale.isConnected().then(setScaleReady);
+  }, []);
+
+  const weight = parsePrefixList(weightPrefixes);
+  const price = parsePrefixList(pricePrefixes);
+  const overlap = weight.filter((prefix) => price.includes(prefix));
+
+  const handleConnect = async () => {
+    try {
+      await weighingScale.connect();
+      setScaleReady(await weighingScale.isConnected());
+    } catch {
+      // The user closed the port picker
+    }
+  };
+
+  const handleTestRead = async () => {
+    try {
+      const kilograms = await weighingScale.readWeight(baudRate);
+      toast({ title: "Scale reading", description: `${kilograms.toFixed(3)} kg` });
+    } catch (error) {
+      toast({
+        title: "Could not read the scale",
+        description: error instanceof Error ? error.message : "Check the cable and baud rate",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Weighing Scale</CardTitle>
+        <CardDescription>
+          Weigh loose items at this counter, and read weight or price labels printed by the scale.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between">
+          <Label htmlFor="scale-enabled">Scale connected to this counter</Label>
+          <Switch
+            id="scale-enabled"
+            checked={enabled}
+            disabled={!isWeighingScaleSupported()}
+            onCheckedChange={setEnabled}
+          />
+        </div>
+        {enabled && (
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label>Baud Rate</Label>
+              <Select value={String(baudRate)} onValueChange={(value) => setBaudRate(Number(value))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {BAUD_RATES.map((rate) => (
+                    <SelectItem key={rate} value={String(rate)}>
+                      {rate}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex items-end gap-2">
+              <Button variant="outline" onClick={handleConnect}>
+                <Usb className="h-4 w-4 mr-2" />
+                {scaleReady ? "Change Scale" : "Connect Scale"}
+              </Button>
+              <Button variant="outline" onClick={handleTestRead} disabled={!scaleReady}>
+                <Scale className="h-4 w-4 mr-2" />
+                Test
+              </Button>
+            </div>
+          </div>
+        )}
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div className="space-y-2">
+            <Label htmlFor="weight-prefixes">Weight label prefixes</Label>
+            <Input
+              id="weight-prefixes"
+              placeholder="20-29"
+              value={weightPrefixes}
+              onChange={(e) => setWeightPrefixes(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="price-prefixes">Price label prefixes</Label>
+            <Input
+              id="price-prefixes"
+              placeholder="None"
+              value={pricePrefixes}
+              onChange={(e) => setPricePrefixes(e.target.value)}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-muted-foreground">
+          Labels are EAN-13 codes starting 20-29 followed by the product's 5-digit scale code. Set that code as the
+          product's barcode.
+        </p>
+        {overlap.length > 0 && (
+          <p className="text-sm text-destructive">Prefix {overlap.join(", ")} cannot be both weight and price</p>
+        )}
+        <Button
+          onClick={() => updateSettings.mutate({ enabled, baudRate, weightPrefixes: weight, pricePrefixes: price })}
+          disabled={overlap.length > 0 || updateSettings.isPending}
+        >
+          Save Changes
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,47 @@
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { POS_SHORTCUTS, type PosShortcut } from "@/lib/posShortcuts";
+
+interface ShortcutsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+const GROUPS: PosShortcut["group"][] = ["Products", "Bill", "Payment"];
+
+export function ShortcutsDialog({ open, onOpenChange }: ShortcutsDialogProps) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Keyboard Shortcuts</DialogTitle>
+          <DialogDescription>Bill without the mouse. Shortcuts pause while a dialog is open.</DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-6 sm:grid-cols-3">
+          {GROUPS.map((group) => (
+            <div key={group} className="space-y-2">
+              <h3 className="text-sm font-semibold text-muted-foreground">{group}</h3>
+              {POS_SHORTCUTS.filter((shortcut) => shortcut.group === group).map((shortcut) => (
+                <div key={shortcut.action} className="flex items-start justify-between gap-2 text-sm">
+                  <span>{shortcut.description}</span>
+                  <span className="flex shrink-0 gap-1">
+                    {(shortcut.display ? [shortcut.display] : shortcut.keys).map((key) => (
+                      <kbd key={key} className="rounded border bg-muted px-1.5 py-0.5 font-mono text-xs">
+                        {key}
+                      </kbd>
+                    ))}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,173 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, X } from "lucide-react";
+import { useCurrency } from "@/hooks/useSettings";
+import { TENDER_LABELS, type TenderRow, type TenderSummary } from "@/lib/tenders";
+import type { CreditCheck } from "@/lib/creditPolicy";
+
+interface LoyaltyBalance {
+  points: number;
+  available: number; // Rupee value that can be redeemed; 0 below the minimum
+  earning: number; // Points this bill will earn
+}
+
+interface SplitTenderPanelProps {
+  rows: TenderRow[];
+  onRowsChange: (rows: TenderRow[]) => void;
+  balanceOnCredit: boolean;
+  onBalanceOnCreditChange: (value: boolean) => void;
+  creditAllowed: boolean; // Credit needs a named customer
+  summary: TenderSummary;
+  credit?: CreditCheck; // The customer's limit against what this bill puts on credit
+  loyalty?: LoyaltyBalance; // Set when a customer is on the bill and the store runs a loyalty program
+}
+
+export function SplitTenderPanel({
+  rows,
+  onRowsChange,
+  balanceOnCredit,
+  onBalanceOnCreditChange,
+  creditAllowed,
+  summary,
+  credit,
+  loyalty,
+}: SplitTenderPanelProps) {
+  const formatCurrency = useCurrency();
+
+  const updateRow = (index: number, patch: Partial<TenderRow>) =>
+    onRowsChange(rows.map((row, i) => (i === index ? { ...row, ...patch } : row)));
+
+  const addRow = () => {
+    const used = new Set(rows.map((row) => row.method));
+    const method = (["UPI", "CARD", "CASH"] as const).find((m) => !used.has(m)) ?? "CASH";
+    onRowsChange([...rows, { method, amount: "" }]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium">Payment</label>
+        <Button variant="ghost" size="sm" className="h-7" onClick={addRow}>
+          <Plus className="h-3 w-3 mr-1" />
+          Split
+        </Button>
+      </div>
+
+      {rows.map((row, index) => (
+        <div key={index} className="flex gap-2">
+          <Select
+            value={row.method}
+            onValueChange={(value) => updateRow(index, { method: value as TenderRow["method"] })}
+          >
+            <SelectTrigger className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="CASH">{TENDER_LABELS.CASH}</SelectItem>
+              <SelectItem value="UPI">{TENDER_LABELS.UPI}</SelectItem>
+              <SelectItem value="CARD">{TENDER_LABELS.CARD}</SelectItem>
+              {(loyalty?.available || row.method === "LOYALTY") && (
+                <SelectItem value="LOYALTY">{TENDER_LABELS.LOYALTY}</SelectItem>
+              )}
+            </SelectContent>
+          </Select>
+          <Input
+            type="number"
+            min={0}
+            placeholder="Balance"
+            value={row.amount}
+            onChange={(e) => updateRow(index, { amount: e.target.value })}
+          />
+          {rows.length > 1 && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="shrink-0"
+              onClick={() => onRowsChange(rows.filter((_, i) => i !== index))}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between text-sm">
+        <label htmlFor="balance-on-credit" className={creditAllowed ? "" : "text-muted-foreground"}>
+          Put balance on credit (udhaar)
+          {!creditAllowed && <span className="block text-xs">Select a customer to give credit</span>}
+        </label>
+        <Switch
+          id="balance-on-credit"
+          checked={balanceOnCredit && creditAllowed}
+          disabled={!creditAllowed}
+          onCheckedChange={onBalanceOnCreditChange}
+        />
+      </div>
+
+      <div className="space-y-1 rounded-md bg-muted/50 p-2 text-sm">
+        <div className="flex justify-between">
+          <span className="text-muted-foreground">Paid now</span>
+          <span>{formatCurrency(summary.paid)}</span>
+        </div>
+        {summary.credit > 0 && (
+          <div className="flex justify-between text-warning">
+            <span>On credit</span>
+            <span>{formatCurrency(summary.credit)}</span>
+          </div>
+        )}
+        {creditAllowed && credit && credit.headroom !== null && (
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Credit headroom</span>
+            <span className={credit.headroom - summary.credit < 0 ? "text-destructive" : undefined}>
+              {formatCurrency(Math.max(credit.headroom, 0))}
+            </span>
+          </div>
+        )}
+        {summary.redeemed > 0 && (
+          <div className="flex justify-between">
+            <span className="text-muted-foreground">Paid with points</span>
+            <span>{formatCurrency(summary.redeemed)}</span>
+          </div>
+        )}
+        {loyalty && (
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>
+              {loyalty.points} points
+              {loyalty.available > 0 && ` (worth ${formatCurrency(loyalty.available)})`}
+            </span>
+            {loyalty.earning > 0 && <span>Earns {loyalty.earning} points</span>}
+          </div>
+        )}
+        {summary.changeDue > 0 && (
+          <div className="flex justify-between font-semibold text-success">
+            <span>Change to return</span>
+            <span>{formatCurrency(summary.changeDue)}</span>
+          </div>
+        )}
+        {summary.balanceDue > 0 && (
+          <div className="flex justify-between text-destructive">
+            <span>Balance due</span>
+            <span>{formatCurrency(summary.balanceDue)}</span>
+          </div>
+        )}
+      </div>
+      {summary.error && <p className="text-xs text-destructive">{summary.error}</p>}
+      {!summary.error && credit?.error && <p className="text-xs text-destructive">{credit.error}</p>}
+      {credit?.needsOverride && (
+        <p className="text-xs text-warning">
+          {credit.overBy > 0
+            ? `${formatCurrency(credit.overBy)} over the credit limit. Needs owner approval to complete.`
+            : "Credit limit could not be checked. Needs owner approval to complete."}
+        </p>
+      )}
+    </div>
+  );
+}
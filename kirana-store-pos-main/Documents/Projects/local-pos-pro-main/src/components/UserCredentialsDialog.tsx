@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Loader2 } from "lucide-react";
+import { useResetUserPassword, useSetUserPin } from "@/hooks/useUsers";
+import { isValidPin, PIN_LENGTH } from "@/lib/counterDevice";
+import type { StaffUser } from "@/services/userService";
+
+interface UserCredentialsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  user: StaffUser | null;
+  mode: "password" | "pin";
+}
+
+const MIN_PASSWORD = 8;
+
+// Reset a user's password, or set their counter PIN
+export function UserCredentialsDialog({ open, onOpenChange, user, mode }: UserCredentialsDialogProps) {
+  const resetPassword = useResetUserPassword();
+  const setPin = useSetUserPin();
+  const [value, setValue] = useState("");
+  const [confirm, setConfirm] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setValue("");
+    setConfirm("");
+  }, [open]);
+
+  const isPin = mode === "pin";
+  const invalid = isPin ? !isValidPin(value) : value.length < MIN_PASSWORD;
+  const mismatch = confirm !== "" && confirm !== value;
+  const pending = resetPassword.isPending || setPin.isPending;
+  const close = () => onOpenChange(false);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!user || invalid || confirm !== value) return;
+    if (isPin) setPin.mutate({ id: user.id, pin: value }, { onSuccess: close });
+    else resetPassword.mutate({ id: user.id, password: value }, { onSuccess: close });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-sm">
+        <DialogHeader>
+          <DialogTitle>{isPin ? "Counter PIN" : "Reset Password"}</DialogTitle>
+          <DialogDescription>
+            {isPin
+              ? `${user?.fullName} unlocks a shared counter with this ${PIN_LENGTH.min}–${PIN_LENGTH.max} digit PIN.`
+              : `${user?.fullName} logs in with this password from now on. Tell them in person.`}
+          </DialogDescription>
+        </DialogHeader>
+        <form id="user-credentials" className="space-y-3" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="credential-new">{isPin ? "New PIN" : "New password"}</Label>
+            <Input
+              id="credential-new"
+              type="password"
+              inputMode={isPin ? "numeric" : undefined}
+              maxLength={isPin ? PIN_LENGTH.max : undefined}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              required
+              autoFocus
+            />
+            {value !== "" && invalid && (
+              <p className="text-sm text-destructive">
+                {isPin ? `${PIN_LENGTH.min}–${PIN_LENGTH.max} digits` : `At least ${MIN_PASSWORD} characters`}
+              </p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="credential-confirm">Confirm</Label>
+            <Input
+              id="credential-confirm"
+              type="password"
+              inputMode={isPin ? "numeric" : undefined}
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              required
+            />
+            {mismatch && <p className="text-sm text-destructive">Does not match</p>}
+          </div>
+        </form>
+        <DialogFooter>
+          {isPin && user?.hasPin && (
+            <Button
+              variant="ghost"
+              className="mr-auto text-destructive"
+              disabled={pending}
+              onClick={() => setPin.mutate({ id: user.id, pin: null }, { onSuccess: close })}
+            >
+              Remove PIN
+            </Button>
+          )}
+          <Button variant="outline" onClick={close}>
+            Cancel
+          </Button>
+          <Button type="submit" form="user-credentials" disabled={pending || invalid || mismatch}>
+            {pending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
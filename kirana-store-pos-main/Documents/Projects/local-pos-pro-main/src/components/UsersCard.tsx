@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button, buttonVariants } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { KeyRound, Loader2, Plus, UserCheck, UserX } from "lucide-react";
+import { AddUserDialog } from "./AddUserDialog";
+import { UserCredentialsDialog } from "./UserCredentialsDialog";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { useSetUserActive, useUpdateUser, useUsers } from "@/hooks/useUsers";
+import { ROLE_LABELS, type Role } from "@/lib/permissions";
+import type { StaffUser } from "@/services/userService";
+
+const formatLastLogin = (value?: string) =>
+  value
+    ? new Date(value).toLocaleString("en-IN", { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" })
+    : "Never";
+
+// Store accounts: add cashiers and staff, change roles, switch them off, reset passwords and PINs
+export function UsersCard() {
+  const { data: currentUser } = useCurrentUser();
+  const { data: users = [], isLoading } = useUsers();
+  const updateUser = useUpdateUser();
+  const setActive = useSetUserActive();
+  const [addOpen, setAddOpen] = useState(false);
+  const [credentials, setCredentials] = useState<{ user: StaffUser; mode: "password" | "pin" } | null>(null);
+  const [deactivating, setDeactivating] = useState<StaffUser | null>(null);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Users</CardTitle>
+          <CardDescription>Everyone who can log in to this store. Deactivated users keep their bill history.</CardDescription>
+        </div>
+        <Button onClick={() => setAddOpen(true)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add User
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Last login</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id; // The owner cannot lock themselves out
+                return (
+                  <TableRow key={user.id} className={user.isActive ? undefined : "text-muted-foreground"}>
+                    <TableCell>
+                      <span className="font-medium">{user.fullName}</span>
+                      <span className="block text-xs text-muted-foreground">{user.email}</span>
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={user.role}
+                        disabled={isSelf || updateUser.isPending}
+                        onValueChange={(role) => updateUser.mutate({ id: user.id, data: { role: role as Role } })}
+                      >
+                        <SelectTrigger className="w-32">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {(Object.keys(ROLE_LABELS) as Role[]).map((role) => (
+                            <SelectItem key={role} value={role}>
+                              {ROLE_LABELS[role]}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>{formatLastLogin(user.lastLoginAt)}</TableCell>
+                    <TableCell>
+                      {user.isActive ? (
+                        <Badge className="bg-green-100 text-green-700">Active</Badge>
+                      ) : (
+                        <Badge variant="outline">Inactive</Badge>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right space-x-1">
+                      <Button variant="ghost" size="sm" onClick={() => setCredentials({ user, mode: "pin" })}>
+                        {user.hasPin ? "Change PIN" : "Set PIN"}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        title="Reset password"
+                        onClick={() => setCredentials({ user, mode: "password" })}
+                      >
+                        <KeyRound className="h-4 w-4" />
+                      </Button>
+                      {!isSelf && (
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          title={user.isActive ? "Deactivate" : "Reactivate"}
+                          disabled={setActive.isPending}
+                          onClick={() =>
+                            user.isActive ? setDeactivating(user) : setActive.mutate({ id: user.id, isActive: true })
+                          }
+                        >
+                          {user.isActive ? (
+                            <UserX className="h-4 w-4 text-destructive" />
+                          ) : (
+                            <UserCheck className="h-4 w-4" />
+                          )}
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <AddUserDialog open={addOpen} onOpenChange={setAddOpen} />
+      <UserCredentialsDialog
+        open={!!credentials}
+        onOpenChange={(open) => !open && setCredentials(null)}
+        user={credentials?.user ?? null}
+        mode={credentials?.mode ?? "password"}
+      />
+      <AlertDialog open={!!deactivating} onOpenChange={(open) => !open && setDeactivating(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Deactivate {deactivating?.fullName}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              They will no longer be able to log in or unlock a counter with their PIN. Their bills stay in the
+              history, and you can reactivate them at any time.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className={buttonVariants({ variant: "destructive" })}
+              onClick={() => deactivating && setActive.mutate({ id: deactivating.id, isActive: false })}
+            >
+              Deactivate
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+}
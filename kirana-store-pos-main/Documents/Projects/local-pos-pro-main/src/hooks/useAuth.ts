@@ -1,13 +1,25 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { useNavigate } from 'react-router-dom';
-import { authService, type LoginRequest, type RegisterRequest } from '../services/authService';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { authService, type LoginRequest, type OwnerSetupRequest, type User } from '../services/authService';
+import { homePath } from '../lib/permissions';
+import { activeUser, setCounterUser } from '../lib/counterDevice';
 import { useToast } from './use-toast';
 
-// Get current user
+// Login page for a signed-out visit to `path`, which the user returns to afterwards
+export const loginPath = (path: string) => (path === '/' ? '/login' : `/login?from=${encodeURIComponent(path)}`);
+
+// The page the user was sent away from, or their home page; only paths inside the app are followed
+const returnPath = (search: string, user: User) => {
+  const from = new URLSearchParams(search).get('from');
+  return from?.startsWith('/') && !from.startsWith('//') ? from : homePath(user.role);
+};
+
+// Get current user; on a shared counter this is the cashier who unlocked it
 export const useCurrentUser = () => {
   return useQuery({
     queryKey: ['user', 'current'],
-    queryFn: () => authService.getCurrentUser(),
+    queryFn: () => activeUser(),
+    initialData: activeUser, // Known at once, so permission checks never flash a 403
     retry: false,
     staleTime: Infinity, // User data rarely changes during a session
   });
@@ -22,17 +34,19 @@ export const useIsAuthenticated = () => {
 export const useLogin = () => {
   const queryClient = useQueryClient();
   const navigate = useNavigate();
+  const location = useLocation();
   const { toast } = useToast();
 
   return useMutation({
     mutationFn: (credentials: LoginRequest) => authService.login(credentials),
     onSuccess: (data) => {
+      setCounterUser(data.user); // In counter mode the password login also unlocks the counter
       queryClient.setQueryData(['user', 'current'], data.user);
       toast({
         title: 'Welcome back!',
         description: `Logged in as ${data.user.fullName}`,
       });
-      navigate('/');
+      navigate(returnPath(location.search, data.user), { replace: true });
     },
     onError: (error: any) => {
       toast({
@@ -44,21 +58,33 @@ export const useLogin = () => {
   });
 };
 
-// Register mutation
-export const useRegister = () => {
+// Whether the store has no owner yet, so the first-run sign-up is offered
+export const useSetupStatus = () => {
+  return useQuery({
+    queryKey: ['auth', 'setup'],
+    queryFn: () => authService.setupStatus(),
+    retry: false,
+    staleTime: Infinity,
+  });
+};
+
+// First-run owner sign-up
+export const useSetupOwner = () => {
   const queryClient = useQueryClient();
   const navigate = useNavigate();
   const { toast } = useToast();
 
   return useMutation({
-    mutationFn: (data: RegisterRequest) => authService.register(data),
+    mutationFn: (data: OwnerSetupRequest) => authService.setupOwner(data),
     onSuccess: (data) => {
+      setCounterUser(data.user);
       queryClient.setQueryData(['user', 'current'], data.user);
+      queryClient.setQueryData(['auth', 'setup'], { needsOwner: false });
       toast({
         title: 'Account created!',
         description: `Welcome, ${data.user.fullName}`,
       });
-      navigate('/');
+      navigate(homePath(data.user.role), { replace: true });
     },
     onError: (error: any) => {
       toast({
@@ -70,6 +96,22 @@ export const useRegister = () => {
   });
 };
 
+// Owner approval for a discount or price change a cashier cannot give alone
+export const useVerifyOwner = () => {
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (credentials: LoginRequest) => authService.verifyOwner(credentials),
+    onError: (error: Error) => {
+      toast({
+        title: 'Approval failed',
+        description: error.message || 'Owner credentials were not accepted',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
 // Logout mutation
 export const useLogout = () => {
   const queryClient = useQueryClient();
@@ -79,6 +121,7 @@ export const useLogout = () => {
   return useMutation({
     mutationFn: () => {
       authService.logout();
+      setCounterUser(null);
       return Promise.resolve();
     },
     onSuccess: () => {
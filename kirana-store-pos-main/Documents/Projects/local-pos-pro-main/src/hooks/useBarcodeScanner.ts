@@ -0,0 +1,99 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners "type" the code much faster than a human, usually ending with Enter
+
+interface BarcodeScannerOptions {
+  onScan: (code: string) => void;
+  enabled?: boolean;
+  minLength?: number; // Shortest code treated as a scan
+  maxKeyInterval?: number; // ms allowed between keystrokes of one scan
+}
+
+const SUFFIXLESS_TIMEOUT = 80; // ms of silence that ends a scan when the scanner sends no Enter
+
+type TextField = HTMLInputElement | HTMLTextAreaElement;
+
+const isTextField = (target: EventTarget | null): target is TextField =>
+  target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement;
+
+// Put back what the field held before the scan leaked into it, keeping React state in sync
+const restoreField = (field: TextField, value: string) => {
+  const prototype = field instanceof HTMLInputElement ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+  Object.getOwnPropertyDescriptor(prototype, 'value')?.set?.call(field, value);
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+export const useBarcodeScanner = ({
+  onScan,
+  enabled = true,
+  minLength = 6,
+  maxKeyInterval = 35,
+}: BarcodeScannerOptions) => {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+    let field: TextField | null = null;
+    let fieldValue = '';
+    let idleTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const reset = () => {
+      buffer = '';
+      field = null;
+      clearTimeout(idleTimer);
+    };
+
+    const finish = () => {
+      const code = buffer;
+      const scannedField = field;
+      const previousValue = fieldValue;
+      reset();
+      if (code.length < minLength) return false;
+
+      if (scannedField) restoreField(scannedField, previousValue);
+      onScanRef.current(code);
+      return true;
+    };
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+      const now = performance.now();
+      const isBurst = now - lastKeyAt <= maxKeyInterval;
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        if (isBurst && finish()) {
+          event.preventDefault();
+          event.stopPropagation();
+        } else {
+          reset();
+        }
+        return;
+      }
+
+      if (event.key.length !== 1) return;
+
+      if (!isBurst || !buffer) {
+        // A slow keystroke starts a new candidate scan
+        reset();
+        field = isTextField(event.target) ? event.target : null;
+        fieldValue = field?.value ?? '';
+      }
+      buffer += event.key;
+
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(finish, SUFFIXLESS_TIMEOUT);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      clearTimeout(idleTimer);
+    };
+  }, [enabled, minLength, maxKeyInterval]);
+};
@@ -0,0 +1,107 @@
+import { useCallback, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authService, type User } from '../services/authService';
+import {
+  activeUser,
+  readCounterDeviceSettings,
+  saveCounterDeviceSettings,
+  setCounterUser,
+  type CounterDeviceSettings,
+} from '../lib/counterDevice';
+import { useCurrentUser } from './useAuth';
+import { useToast } from './use-toast';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'] as const;
+
+export const useCounterDevice = () => {
+  return useQuery({
+    queryKey: ['settings', 'counterDevice'],
+    queryFn: readCounterDeviceSettings,
+    initialData: readCounterDeviceSettings,
+    staleTime: Infinity,
+  });
+};
+
+// Hand the counter to another user, or lock it with null
+export const useSwitchCounterUser = () => {
+  const queryClient = useQueryClient();
+
+  return useCallback(
+    (user: User | null) => {
+      setCounterUser(user);
+      queryClient.setQueryData(['user', 'current'], activeUser());
+    },
+    [queryClient]
+  );
+};
+
+// Save counter mode for this device; whoever turns it on keeps the counter until it locks
+export const useUpdateCounterDevice = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const { data: currentUser } = useCurrentUser();
+  const switchUser = useSwitchCounterUser();
+
+  return useMutation({
+    mutationFn: async (settings: CounterDeviceSettings) => {
+      saveCounterDeviceSettings(settings);
+      return settings;
+    },
+    networkMode: 'always',
+    onSuccess: (settings) => {
+      queryClient.setQueryData(['settings', 'counterDevice'], settings);
+      switchUser(currentUser ?? authService.getCurrentUser());
+      toast({
+        title: 'Success',
+        description: settings.enabled ? 'Counter mode is on for this device' : 'Counter mode is off',
+      });
+    },
+  });
+};
+
+// Unlock the counter with a PIN
+export const usePinLogin = () => {
+  const { toast } = useToast();
+  const switchUser = useSwitchCounterUser();
+
+  return useMutation({
+    mutationFn: (pin: string) => authService.pinLogin(pin),
+    onSuccess: (user) => {
+      switchUser(user);
+      toast({
+        title: 'Unlocked',
+        description: `${user.fullName} is now billing`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Unlock failed',
+        description: error.message || 'Wrong PIN',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Lock the counter after a spell with no taps or key presses
+export const useIdleLock = () => {
+  const { data: settings } = useCounterDevice();
+  const { data: currentUser } = useCurrentUser();
+  const switchUser = useSwitchCounterUser();
+  const watching = settings.enabled && !!currentUser && settings.idleMinutes > 0;
+
+  useEffect(() => {
+    if (!watching) return;
+    let timer: ReturnType<typeof setTimeout>;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => switchUser(null), settings.idleMinutes * 60 * 1000);
+    };
+    restart();
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, restart, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, restart));
+    };
+  }, [watching, settings.idleMinutes, switchUser]);
+};
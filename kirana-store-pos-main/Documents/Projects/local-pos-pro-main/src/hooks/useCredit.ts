@@ -19,6 +19,14 @@ export const useCreditTransactions = (page = 0, size = 20) => {
   });
 };
 
+// Get every credit transaction for the aging report
+export const useAllCreditTransactions = () => {
+  return useQuery({
+    queryKey: ['credit', 'transactions', 'all'],
+    queryFn: () => creditService.getAllTransactionsUnpaged(),
+  });
+};
+
 // Get outstanding credit accounts
 export const useOutstandingAccounts = () => {
   return useQuery({
@@ -1,4 +1,4 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { customerService, type Customer, type CustomerRequest, type CustomerFilters } from '../services/customerService';
 import { useToast } from './use-toast';
 
@@ -10,6 +10,15 @@ export const useCustomers = (filters?: CustomerFilters) => {
   });
 };
 
+// Search customers by name or phone, e.g. for the POS customer picker
+export const useCustomerSearch = (search: string, size = 20) => {
+  return useQuery({
+    queryKey: ['customers', 'search', search, size],
+    queryFn: () => customerService.getAll({ search: search || undefined, size }),
+    placeholderData: keepPreviousData, // Keep the last results on screen while the next search loads
+  });
+};
+
 // Get customer by ID
 export const useCustomer = (id: string) => {
   return useQuery({
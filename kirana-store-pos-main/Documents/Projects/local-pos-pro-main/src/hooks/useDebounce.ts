@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+// The value, once it has stopped changing for `delay` ms; keeps search requests down while typing
+export const useDebounce = <T>(value: T, delay = 300): T => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
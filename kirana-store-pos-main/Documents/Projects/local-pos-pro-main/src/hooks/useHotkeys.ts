@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react';
+
+// Window-level keyboard shortcuts, keyed by combo: "F2", "Ctrl+K", "Shift+F9", "+", "ArrowUp"
+
+// Return false to let the key through, e.g. Enter when there is nothing to confirm
+export type HotkeyHandler = (event: KeyboardEvent) => boolean | void;
+
+const isEditable = (target: EventTarget | null) =>
+  target instanceof HTMLInputElement ||
+  target instanceof HTMLTextAreaElement ||
+  target instanceof HTMLSelectElement ||
+  (target instanceof HTMLElement && target.isContentEditable);
+
+// Dialogs and menus own the keyboard while they are open
+const isInOverlay = (target: EventTarget | null) =>
+  target instanceof Element && !!target.closest('[role="dialog"], [role="menu"], [role="listbox"]');
+
+export const comboFor = (event: KeyboardEvent) => {
+  const printable = event.key.length === 1;
+  const parts = [
+    event.ctrlKey || event.metaKey ? 'Ctrl' : '',
+    event.altKey ? 'Alt' : '',
+    // Shift is part of typing "?" or "+", so only count it for named keys
+    event.shiftKey && !printable ? 'Shift' : '',
+    printable ? event.key.toUpperCase() : event.key,
+  ];
+  return parts.filter(Boolean).join('+');
+};
+
+export const useHotkeys = (bindings: Record<string, HotkeyHandler>, enabled = true) => {
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.defaultPrevented || isInOverlay(event.target)) return;
+
+      const combo = comboFor(event);
+      const handler = bindingsRef.current[combo];
+      if (!handler) return;
+
+      // While typing, only function keys and Ctrl/Alt combos count as shortcuts
+      const isCommandKey = /^F\d+$/.test(event.key) || event.ctrlKey || event.metaKey || event.altKey;
+      if (isEditable(event.target) && !isCommandKey) return;
+
+      if (handler(event) !== false) event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
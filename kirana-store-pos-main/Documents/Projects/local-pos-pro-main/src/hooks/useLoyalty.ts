@@ -0,0 +1,11 @@
+import { useQuery } from '@tanstack/react-query';
+import { loyaltyService } from '../services/loyaltyService';
+
+// Get a customer's loyalty points history
+export const useCustomerLoyalty = (customerId: string) => {
+  return useQuery({
+    queryKey: ['loyalty', 'customer', customerId],
+    queryFn: () => loyaltyService.getCustomerTransactions(customerId),
+    enabled: !!customerId,
+  });
+};
@@ -0,0 +1,99 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { cartStorage, type BillDraft, type ParkedCart } from '../lib/cart';
+import { useToast } from './use-toast';
+
+const PARKED_CARTS_KEY = ['parked-carts'];
+
+// Bills on hold at this counter
+export const useParkedCarts = () => {
+  return useQuery({
+    queryKey: PARKED_CARTS_KEY,
+    queryFn: cartStorage.listParked,
+    initialData: cartStorage.listParked,
+    staleTime: Infinity,
+  });
+};
+
+export interface HoldCartInput {
+  name: string;
+  draft: BillDraft;
+}
+
+const park = (carts: ParkedCart[], { name, draft }: HoldCartInput): ParkedCart[] => [
+  ...carts,
+  { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, name, draft, parkedAt: new Date().toISOString() },
+];
+
+// Put the current bill on hold mutation
+export const useHoldCart = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (input: HoldCartInput) => {
+      const carts = park(cartStorage.listParked(), input);
+      cartStorage.saveParked(carts);
+      return carts;
+    },
+    networkMode: 'always',
+    onSuccess: (carts, { name }) => {
+      queryClient.setQueryData(PARKED_CARTS_KEY, carts);
+      toast({
+        title: 'Bill on hold',
+        description: `"${name}" parked. Recall it from the Current Bill card.`,
+      });
+    },
+  });
+};
+
+export interface RecallCartInput {
+  id: string;
+  current?: HoldCartInput; // The bill in progress is parked in its place
+}
+
+// Recall a held bill mutation; resolves with the recalled bill
+export const useRecallCart = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ id, current }: RecallCartInput) => {
+      const all = cartStorage.listParked();
+      const recalled = all.find((cart) => cart.id === id);
+      if (!recalled) throw new Error('This bill is no longer on hold');
+      const remaining = all.filter((cart) => cart.id !== id);
+      const carts = current ? park(remaining, current) : remaining;
+      cartStorage.saveParked(carts);
+      return { recalled, carts };
+    },
+    networkMode: 'always',
+    onSuccess: ({ carts }) => {
+      queryClient.setQueryData(PARKED_CARTS_KEY, carts);
+    },
+    onError: (error: Error) => {
+      queryClient.setQueryData(PARKED_CARTS_KEY, cartStorage.listParked());
+      toast({
+        title: 'Could not recall bill',
+        description: error.message,
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Discard a held bill mutation
+export const useDiscardParkedCart = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (id: string) => {
+      const carts = cartStorage.listParked().filter((cart) => cart.id !== id);
+      cartStorage.saveParked(carts);
+      return carts;
+    },
+    networkMode: 'always',
+    onSuccess: (carts) => {
+      queryClient.setQueryData(PARKED_CARTS_KEY, carts);
+    },
+  });
+};
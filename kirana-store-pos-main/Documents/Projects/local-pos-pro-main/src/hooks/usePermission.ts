@@ -0,0 +1,16 @@
+import { useCallback } from 'react';
+import { useCurrentUser } from './useAuth';
+import { hasPermission, type Permission } from '../lib/permissions';
+
+// Whether the logged-in user may do something
+export const usePermission = (permission: Permission) => {
+  const { data: user } = useCurrentUser();
+  return hasPermission(user?.role, permission);
+};
+
+// Checker for components that test several permissions
+export const usePermissions = () => {
+  const { data: user } = useCurrentUser();
+  const role = user?.role;
+  return useCallback((permission: Permission) => hasPermission(role, permission), [role]);
+};
@@ -0,0 +1,49 @@
+import { useMemo } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { productCatalog } from '../lib/productCatalog';
+import { createProductSearchIndex } from '../lib/searchIndex';
+
+const SYNC_INTERVAL = 5 * 60 * 1000; // Pick up price/stock edits every 5 minutes
+
+// Keep the local catalog in sync with the backend
+// Lives under the 'products' key so every product/sale mutation triggers an incremental sync
+export const useCatalogSync = () => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ['products', 'catalog-sync'],
+    queryFn: async () => {
+      const result = await productCatalog.sync();
+      if (result.full || result.updated > 0 || result.removed > 0) {
+        await queryClient.invalidateQueries({ queryKey: ['catalog'] });
+      }
+      return result;
+    },
+    refetchInterval: SYNC_INTERVAL,
+    retry: false,
+  });
+};
+
+// Locally mirrored product catalog with instant search
+export const useProductCatalog = () => {
+  const sync = useCatalogSync();
+
+  const { data: products = [], isLoading } = useQuery({
+    queryKey: ['catalog'],
+    queryFn: () => productCatalog.load(),
+    networkMode: 'always', // Reads IndexedDB, so it works offline too
+    staleTime: Infinity,
+  });
+
+  const index = useMemo(() => createProductSearchIndex(products), [products]);
+
+  return {
+    products,
+    search: index.search,
+    findByBarcode: index.findByBarcode,
+    isLoading: isLoading || (products.length === 0 && sync.isFetching),
+    isSyncing: sync.isFetching,
+    syncError: sync.error,
+    lastSyncedAt: sync.data?.lastSyncedAt,
+  };
+};
@@ -1,4 +1,6 @@
+import { useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { isOfflineError } from '../lib/api';
 import { productService, type Product, type ProductRequest, type ProductFilters } from '../services/productService';
 import { useToast } from './use-toast';
 
@@ -28,6 +30,28 @@ export const useProductByBarcode = (barcode: string) => {
   });
 };
 
+// Imperative barcode lookup for scanners; shares the cache with useProductByBarcode
+// Resolves to undefined when no product has this barcode; rejects when the server cannot be reached
+export const useBarcodeLookup = () => {
+  const queryClient = useQueryClient();
+
+  return useCallback(
+    async (barcode: string): Promise<Product | undefined> => {
+      try {
+        return await queryClient.fetchQuery({
+          queryKey: ['product', 'barcode', barcode],
+          queryFn: () => productService.getByBarcode(barcode),
+          staleTime: 60000,
+        });
+      } catch (error) {
+        if (isOfflineError(error)) throw error;
+        return undefined;
+      }
+    },
+    [queryClient]
+  );
+};
+
 // Get low stock products
 export const useLowStockProducts = () => {
   return useQuery({
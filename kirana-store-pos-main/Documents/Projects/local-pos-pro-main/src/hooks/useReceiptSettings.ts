@@ -0,0 +1,82 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import type { PaperWidth, ReceiptOptions } from '../lib/receipt';
+import type { PrinterConnection } from '../lib/thermalPrinter';
+import type { StoreSettings } from '../services/settingsService';
+import { useSettings } from './useSettings';
+import { useToast } from './use-toast';
+
+// Printer setup for this counter; the header/footer text is store-wide and lives in store settings
+export interface ReceiptSettings {
+  paperWidth: PaperWidth;
+  connection: PrinterConnection;
+  autoPrint: boolean; // Print as soon as a sale completes
+}
+
+const STORAGE_KEY = 'receipt_settings';
+
+export const DEFAULT_RECEIPT_SETTINGS: ReceiptSettings = {
+  paperWidth: 58,
+  connection: 'BROWSER',
+  autoPrint: true,
+};
+
+const readReceiptSettings = (): ReceiptSettings => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return stored ? { ...DEFAULT_RECEIPT_SETTINGS, ...JSON.parse(stored) } : DEFAULT_RECEIPT_SETTINGS;
+};
+
+// Receipt settings are per counter, so they live on the device
+export const useReceiptSettings = () => {
+  return useQuery({
+    queryKey: ['settings', 'receipt'],
+    queryFn: readReceiptSettings,
+    initialData: readReceiptSettings,
+    staleTime: Infinity,
+  });
+};
+
+// Save receipt settings mutation
+export const useUpdateReceiptSettings = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (settings: ReceiptSettings) => {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+      return settings;
+    },
+    networkMode: 'always',
+    onSuccess: (settings) => {
+      queryClient.setQueryData(['settings', 'receipt'], settings);
+      toast({
+        title: 'Success',
+        description: 'Receipt settings saved',
+      });
+    },
+  });
+};
+
+export type ReceiptPrintOptions = ReceiptOptions & Pick<ReceiptSettings, 'connection' | 'autoPrint'>;
+
+// Store name and contact lines first, so the shop name prints large at the top
+export const receiptHeaderFor = (store: StoreSettings) =>
+  [
+    store.storeName,
+    store.address,
+    store.contactNumber && `Ph: ${store.contactNumber}`,
+    store.gstin && `GSTIN: ${store.gstin}`,
+    store.receiptHeader,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// Everything printReceipt needs: this counter's printer plus the store's receipt text
+export const useReceiptOptions = (): ReceiptPrintOptions => {
+  const { data: receiptSettings } = useReceiptSettings();
+  const { data: store } = useSettings();
+  return {
+    ...receiptSettings,
+    header: receiptHeaderFor(store),
+    footer: store.receiptFooter,
+  };
+};
@@ -0,0 +1,62 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { reminderService, type ReminderRequest } from '../services/reminderService';
+import { useToast } from './use-toast';
+
+// Get reminders sent to a customer
+export const useCustomerReminders = (customerId: string) => {
+  return useQuery({
+    queryKey: ['reminders', 'customer', customerId],
+    queryFn: () => reminderService.getForCustomer(customerId),
+    enabled: !!customerId,
+  });
+};
+
+// Get every customer's next reminder date
+export const useReminderSchedules = () => {
+  return useQuery({
+    queryKey: ['reminders', 'schedule'],
+    queryFn: () => reminderService.getSchedules(),
+  });
+};
+
+// Log a sent reminder mutation; quiet on success as WhatsApp or SMS has already opened
+export const useLogReminder = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (data: ReminderRequest) => reminderService.log(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['reminders'] });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Reminder not logged',
+        description: error.message || 'The message was opened but could not be added to the history',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Reschedule a customer's next reminder mutation
+export const useUpdateReminderSchedule = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: ({ customerId, nextDueAt }: { customerId: string; nextDueAt: string }) =>
+      reminderService.updateSchedule(customerId, nextDueAt),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['reminders'] });
+      toast({ title: 'Success', description: 'Next reminder date updated' });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update the reminder date',
+        variant: 'destructive',
+      });
+    },
+  });
+};
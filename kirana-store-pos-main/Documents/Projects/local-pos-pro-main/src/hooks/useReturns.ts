@@ -0,0 +1,45 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { returnService, type ReturnRequest } from '../services/returnService';
+import { useToast } from './use-toast';
+
+// Get returns already made against a sale
+export const useSaleReturns = (saleId: string) => {
+  return useQuery({
+    queryKey: ['returns', { saleId }],
+    queryFn: () => returnService.getAll({ saleId, size: 100 }),
+    enabled: !!saleId,
+  });
+};
+
+// Process return mutation
+export const useCreateReturn = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (data: ReturnRequest) => returnService.create(data),
+    onSuccess: (saleReturn) => {
+      queryClient.invalidateQueries({ queryKey: ['returns'] });
+      queryClient.invalidateQueries({ queryKey: ['sales'] });
+      queryClient.invalidateQueries({ queryKey: ['sale'] });
+      queryClient.invalidateQueries({ queryKey: ['products'] }); // Returned items are back in stock
+      queryClient.invalidateQueries({ queryKey: ['customers'] }); // Credit balance may have changed
+      queryClient.invalidateQueries({ queryKey: ['customer'] });
+      queryClient.invalidateQueries({ queryKey: ['credit'] });
+      queryClient.invalidateQueries({ queryKey: ['loyalty'] }); // Points earned on the returned goods are taken back
+      queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+
+      toast({
+        title: 'Success',
+        description: `Return processed. Credit note: ${saleReturn.creditNoteNumber}`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to process return',
+        variant: 'destructive',
+      });
+    },
+  });
+};
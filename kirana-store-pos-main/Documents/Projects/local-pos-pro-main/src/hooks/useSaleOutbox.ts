@@ -0,0 +1,104 @@
+import { useEffect, useRef } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { saleOutbox } from '../lib/saleOutbox';
+import { useToast } from './use-toast';
+
+const AUTO_SYNC_INTERVAL = 60000; // Retry queued sales every minute while online
+
+// Get sales waiting in the offline outbox
+export const useSaleOutbox = () => {
+  return useQuery({
+    queryKey: ['outbox'],
+    queryFn: () => saleOutbox.list(),
+    networkMode: 'always', // Reads IndexedDB, so it works offline too
+  });
+};
+
+// Replay queued sales against the backend
+export const useSyncOutbox = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: () => saleOutbox.sync(),
+    networkMode: 'always',
+    onSuccess: ({ synced, conflicts }) => {
+      queryClient.invalidateQueries({ queryKey: ['outbox'] });
+
+      if (synced.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ['sales'] });
+        queryClient.invalidateQueries({ queryKey: ['products'] });
+        queryClient.invalidateQueries({ queryKey: ['customers'] });
+        queryClient.invalidateQueries({ queryKey: ['dashboard'] });
+        toast({
+          title: 'Offline sales synced',
+          description: `${synced.length} queued sale(s) uploaded`,
+        });
+      }
+
+      if (conflicts.length > 0) {
+        toast({
+          title: 'Sync conflicts',
+          description: `${conflicts.length} queued sale(s) were rejected. Review them on the POS screen.`,
+          variant: 'destructive',
+        });
+      }
+    },
+  });
+};
+
+// Put a conflicted sale back in the queue
+export const useRetryOutboxEntry = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (id: string) => saleOutbox.retry(id),
+    networkMode: 'always',
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['outbox'] });
+    },
+  });
+};
+
+// Discard a queued sale
+export const useDiscardOutboxEntry = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (id: string) => saleOutbox.discard(id),
+    networkMode: 'always',
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['outbox'] });
+      toast({
+        title: 'Discarded',
+        description: 'Queued sale removed',
+      });
+    },
+  });
+};
+
+// Sync the outbox whenever connectivity returns, and periodically while online
+export const useOutboxAutoSync = () => {
+  const { data: entries = [] } = useSaleOutbox();
+  const { mutate: sync, isPending } = useSyncOutbox();
+  const hasPending = entries.some((entry) => entry.status === 'PENDING');
+  const isSyncing = useRef(isPending);
+  isSyncing.current = isPending;
+
+  useEffect(() => {
+    if (!hasPending) return;
+
+    const trySync = () => {
+      if (navigator.onLine && !isSyncing.current) sync();
+    };
+
+    trySync();
+    window.addEventListener('online', trySync);
+    const interval = setInterval(trySync, AUTO_SYNC_INTERVAL);
+    return () => {
+      window.removeEventListener('online', trySync);
+      clearInterval(interval);
+    };
+  }, [hasPending, sync]);
+};
@@ -1,6 +1,10 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { saleService, type Sale, type SaleRequest, type SaleFilters } from '../services/saleService';
 import { useToast } from './use-toast';
+import { isOfflineError } from '../lib/api';
+import { createBulkInvoicePdf, createInvoiceZip, type StoreDetails } from '../lib/invoicePdf';
+import { downloadBlob } from '../lib/download';
+import { saleOutbox, createIdempotencyKey, type OutboxEntry, type OutboxSummary } from '../lib/saleOutbox';
 
 // Get all sales with filters and pagination
 export const useSales = (filters?: SaleFilters) => {
@@ -10,6 +14,15 @@ export const useSales = (filters?: SaleFilters) => {
   });
 };
 
+// Get every sale in a date range, for reports
+export const useSalesInRange = (startDate: string, endDate: string) => {
+  return useQuery({
+    queryKey: ['sales', 'range', startDate, endDate],
+    queryFn: () => saleService.getAllInRange(startDate, endDate),
+    enabled: !!startDate && !!endDate,
+  });
+};
+
 // Get sale by ID
 export const useSale = (id: string) => {
   return useQuery({
@@ -37,18 +50,51 @@ export const useTodaySales = () => {
   });
 };
 
+export interface CheckoutInput {
+  request: SaleRequest;
+  summary: OutboxSummary;
+}
+
+export interface CheckoutResult {
+  sale?: Sale;
+  queued?: OutboxEntry; // Set instead of sale when the backend was unreachable
+}
+
 // Create sale mutation (checkout)
+// Falls back to the offline outbox so the bill is never lost when the API is down
 export const useCreateSale = () => {
   const queryClient = useQueryClient();
   const { toast } = useToast();
 
   return useMutation({
-    mutationFn: (data: SaleRequest) => saleService.create(data),
-    onSuccess: (sale) => {
+    mutationFn: async ({ request, summary }: CheckoutInput): Promise<CheckoutResult> => {
+      const idempotencyKey = createIdempotencyKey();
+      try {
+        return { sale: await saleService.create(request, idempotencyKey) };
+      } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        return { queued: await saleOutbox.enqueue(idempotencyKey, request, summary) };
+      }
+    },
+    networkMode: 'always', // Must run offline so the outbox fallback can kick in
+    onSuccess: ({ sale, queued }) => {
+      if (queued) {
+        queryClient.invalidateQueries({ queryKey: ['outbox'] });
+        toast({
+          title: 'Saved offline',
+          description: 'Server unreachable. The sale will sync automatically when the connection is back.',
+        });
+        return;
+      }
+
       queryClient.invalidateQueries({ queryKey: ['sales'] });
       queryClient.invalidateQueries({ queryKey: ['products'] }); // Stock quantities changed
       queryClient.invalidateQueries({ queryKey: ['customers'] }); // Credit balance may have changed
+      queryClient.invalidateQueries({ queryKey: ['customer'] });
+      queryClient.invalidateQueries({ queryKey: ['credit'] });
+      queryClient.invalidateQueries({ queryKey: ['loyalty'] }); // Points earned or redeemed
       queryClient.invalidateQueries({ queryKey: ['dashboard'] }); // Dashboard stats changed
+
       toast({
         title: 'Success',
         description: `Sale completed. Bill Number: ${sale.billNumber}`,
@@ -63,3 +109,45 @@ export const useCreateSale = () => {
     },
   });
 };
+
+export type InvoiceExportFormat = 'PDF' | 'ZIP';
+
+export interface InvoiceExportInput {
+  startDate: string;
+  endDate: string;
+  format: InvoiceExportFormat;
+  store: StoreDetails;
+}
+
+// Export all invoices in a date range as one PDF or a ZIP of PDFs
+export const useExportInvoices = () => {
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async ({ startDate, endDate, format, store }: InvoiceExportInput) => {
+      const sales = await saleService.getAllInRange(startDate, endDate);
+      if (sales.length === 0) throw new Error('No sales found in this date range');
+
+      const filename = `Invoices-${startDate}-to-${endDate}`;
+      if (format === 'ZIP') {
+        downloadBlob(await createInvoiceZip(sales, store), `${filename}.zip`);
+      } else {
+        createBulkInvoicePdf(sales, store).save(`${filename}.pdf`);
+      }
+      return sales.length;
+    },
+    onSuccess: (count) => {
+      toast({
+        title: 'Success',
+        description: `Exported ${count} invoice${count === 1 ? '' : 's'}`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to export invoices',
+        variant: 'destructive',
+      });
+    },
+  });
+};
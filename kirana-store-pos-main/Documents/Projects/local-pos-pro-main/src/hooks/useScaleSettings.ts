@@ -0,0 +1,53 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { IN_STORE_PREFIXES, type ScaleLabelFormat } from '../lib/scaleBarcode';
+import { useToast } from './use-toast';
+
+// Weighing scale and scale-label setup for this counter
+export interface ScaleSettings extends ScaleLabelFormat {
+  enabled: boolean; // Show the "Weigh" button on loose items at the POS
+  baudRate: number;
+}
+
+const STORAGE_KEY = 'scale_settings';
+
+export const DEFAULT_SCALE_SETTINGS: ScaleSettings = {
+  enabled: false,
+  baudRate: 9600,
+  weightPrefixes: IN_STORE_PREFIXES,
+  pricePrefixes: [],
+};
+
+const readScaleSettings = (): ScaleSettings => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return stored ? { ...DEFAULT_SCALE_SETTINGS, ...JSON.parse(stored) } : DEFAULT_SCALE_SETTINGS;
+};
+
+export const useScaleSettings = () => {
+  return useQuery({
+    queryKey: ['settings', 'scale'],
+    queryFn: readScaleSettings,
+    initialData: readScaleSettings,
+    staleTime: Infinity,
+  });
+};
+
+// Save scale settings mutation
+export const useUpdateScaleSettings = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: async (settings: ScaleSettings) => {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+      return settings;
+    },
+    networkMode: 'always',
+    onSuccess: (settings) => {
+      queryClient.setQueryData(['settings', 'scale'], settings);
+      toast({
+        title: 'Success',
+        description: 'Scale settings saved',
+      });
+    },
+  });
+};
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { authService } from '../services/authService';
+import { tokenExpiry } from '../lib/jwt';
+import { activeUser, COUNTER_USER_KEY } from '../lib/counterDevice';
+import { loginPath } from './useAuth';
+import { useToast } from './use-toast';
+
+const REFRESH_AHEAD = 5 * 60 * 1000; // Renew the token this long before it runs out
+const MAX_TIMER = 2 ** 31 - 1; // Longer setTimeout delays fire at once
+
+const currentPath = () => window.location.pathname + window.location.search;
+
+// Keeps the login alive while the app is open: renews the token before it expires,
+// warns when it cannot, and follows logins, logouts and counter unlocks made in other tabs
+export const useSessionWatch = () => {
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const [token, setToken] = useState(authService.getToken);
+
+  useEffect(() => {
+    const handleStorage = (event: StorageEvent) => {
+      if (event.key === COUNTER_USER_KEY) {
+        queryClient.setQueryData(['user', 'current'], activeUser());
+        return;
+      }
+      if (event.key !== 'auth_token' && event.key !== null) return; // null: storage was cleared
+      const next = authService.getToken();
+      if (!next) {
+        queryClient.clear();
+        navigate(loginPath(currentPath()), { replace: true });
+        return;
+      }
+      queryClient.setQueryData(['user', 'current'], activeUser());
+      setToken(next);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [queryClient, navigate]);
+
+  useEffect(() => {
+    const expiry = token && tokenExpiry(token);
+    if (!expiry) return;
+    const timers: ReturnType<typeof setTimeout>[] = [];
+    const expiresIn = expiry.getTime() - Date.now();
+
+    if (expiresIn - REFRESH_AHEAD < MAX_TIMER) {
+      timers.push(
+        setTimeout(async () => {
+          try {
+            setToken(await authService.refresh());
+          } catch {
+            toast({
+              title: 'Session ending soon',
+              description: `You will be logged out at ${expiry.toLocaleTimeString('en-IN', {
+                hour: '2-digit',
+                minute: '2-digit',
+              })}. Finish the current bill and log in again.`,
+            });
+          }
+        }, Math.max(expiresIn - REFRESH_AHEAD, 0))
+      );
+    }
+
+    if (expiresIn < MAX_TIMER) {
+      timers.push(
+        setTimeout(() => {
+          authService.logout();
+          queryClient.clear();
+          toast({ title: 'Session expired', description: 'Please log in again', variant: 'destructive' });
+          navigate(loginPath(currentPath()), { replace: true });
+        }, Math.max(expiresIn, 0))
+      );
+    }
+
+    return () => timers.forEach(clearTimeout);
+  }, [token, queryClient, navigate, toast]);
+};
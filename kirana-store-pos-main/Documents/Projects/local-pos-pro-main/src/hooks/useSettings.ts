@@ -0,0 +1,62 @@
+import { useCallback } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { settingsService, type StoreSettings } from '../services/settingsService';
+import { formatCurrency } from '../lib/currency';
+import type { StoreDetails } from '../lib/invoicePdf';
+import { useToast } from './use-toast';
+
+// Get store settings; starts from the copy cached on this device
+export const useSettings = () => {
+  return useQuery({
+    queryKey: ['settings', 'store'],
+    queryFn: () => settingsService.get(),
+    initialData: settingsService.getCached,
+    initialDataUpdatedAt: 0, // Always refresh from the server on first use
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+// Save store settings mutation
+export const useUpdateSettings = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (data: StoreSettings) => settingsService.update(data),
+    onSuccess: ({ settings, savedLocally }) => {
+      queryClient.setQueryData(['settings', 'store'], settings);
+      toast({
+        title: 'Success',
+        description: savedLocally
+          ? 'Settings saved on this device. They will be uploaded when the server is reachable.'
+          : 'Settings saved',
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save settings',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Currency formatter using the store's currency symbol
+export const useCurrency = () => {
+  const { data: settings } = useSettings();
+  const symbol = settings.currencySymbol;
+  return useCallback((amount: number | undefined) => formatCurrency(amount, symbol), [symbol]);
+};
+
+// Store details printed on invoices
+export const useStoreDetails = (): StoreDetails => {
+  const { data: settings } = useSettings();
+  return {
+    name: settings.storeName,
+    address: settings.address,
+    phone: settings.contactNumber,
+    gstin: settings.gstin,
+    footer: settings.receiptFooter,
+  };
+};
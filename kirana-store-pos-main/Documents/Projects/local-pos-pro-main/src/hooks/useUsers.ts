@@ -0,0 +1,130 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { userService, type UserRequest } from '../services/userService';
+import { useToast } from './use-toast';
+
+// Get all store accounts
+export const useUsers = () => {
+  return useQuery({
+    queryKey: ['users'],
+    queryFn: () => userService.getAll(),
+  });
+};
+
+// Create or invite a user
+export const useCreateUser = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: (data: UserRequest) => userService.create(data),
+    onSuccess: (user, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast({
+        title: 'Success',
+        description: variables.sendInvite ? `Invite sent to ${user.email}` : `${user.fullName} can now log in`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to create user',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Change a user's name or role
+export const useUpdateUser = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: ({ id, data }: { id: string; data: Partial<Pick<UserRequest, 'fullName' | 'role'>> }) =>
+      userService.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast({
+        title: 'Success',
+        description: 'User updated',
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update user',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Deactivate or reactivate a user
+export const useSetUserActive = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: ({ id, isActive }: { id: string; isActive: boolean }) => userService.setActive(id, isActive),
+    onSuccess: (user) => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast({
+        title: 'Success',
+        description: `${user.fullName} ${user.isActive ? 'reactivated' : 'deactivated'}`,
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to change user status',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Reset a user's password
+export const useResetUserPassword = () => {
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: ({ id, password }: { id: string; password: string }) => userService.resetPassword(id, password),
+    onSuccess: () => {
+      toast({
+        title: 'Success',
+        description: 'Password reset',
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to reset password',
+        variant: 'destructive',
+      });
+    },
+  });
+};
+
+// Set or clear a user's counter PIN
+export const useSetUserPin = () => {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+
+  return useMutation({
+    mutationFn: ({ id, pin }: { id: string; pin: string | null }) => userService.setPin(id, pin),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast({
+        title: 'Success',
+        description: variables.pin ? 'PIN saved' : 'PIN removed',
+      });
+    },
+    onError: (error: Error) => {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save PIN',
+        variant: 'destructive',
+      });
+    },
+  });
+};
@@ -0,0 +1,64 @@
+import type { AxiosAdapter } from 'axios';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import api, { isOfflineError } from './api';
+import { networkDown, respondWith, stubBrowser } from '../test/stubs';
+
+// The error the interceptor hands to callers
+const rejection = (adapter: AxiosAdapter, url = '/sales') => api.get(url, { adapter }).catch((error) => error);
+
+beforeEach(stubBrowser);
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('isOfflineError', () => {
+  it('treats a request that never reached the server as offline', async () => {
+    expect(isOfflineError(await rejection(networkDown))).toBe(true);
+  });
+
+  it('treats a sleeping or failing gateway as offline', async () => {
+    expect(isOfflineError(await rejection(respondWith(503)))).toBe(true);
+    expect(isOfflineError(await rejection(respondWith(502)))).toBe(true);
+  });
+
+  it('does not treat a rejected sale as offline', async () => {
+    const error = await rejection(respondWith(400, { message: 'Credit limit exceeded' }));
+    expect(isOfflineError(error)).toBe(false);
+    expect(error.message).toBe('Credit limit exceeded');
+  });
+
+  it('ignores errors that did not come from the API', () => {
+    expect(isOfflineError(new Error('boom'))).toBe(false);
+    expect(isOfflineError(undefined)).toBe(false);
+  });
+});
+
+describe('401 handling', () => {
+  beforeEach(() => {
+    localStorage.setItem('auth_token', 'token');
+  });
+
+  it('keeps the session when an owner approval is refused', async () => {
+    await rejection(respondWith(401, { message: 'Wrong password' }), '/auth/verify-owner');
+    expect(localStorage.getItem('auth_token')).toBe('token');
+    expect(window.location.href).toBe('/pos');
+  });
+
+  it('keeps the session when a counter PIN is wrong', async () => {
+    await rejection(respondWith(401), '/auth/pin-login');
+    expect(localStorage.getItem('auth_token')).toBe('token');
+  });
+
+  it('leaves a refused token refresh to the session watcher', async () => {
+    await rejection(respondWith(401), '/auth/refresh');
+    expect(localStorage.getItem('auth_token')).toBe('token');
+    expect(window.location.href).toBe('/pos');
+  });
+
+  it('logs out and returns to the page afterwards when the token is rejected', async () => {
+    await rejection(respondWith(401), '/sales');
+    expect(localStorage.getItem('auth_token')).toBeNull();
+    expect(window.location.href).toBe('/login?from=%2Fpos');
+  });
+});
@@ -1,4 +1,4 @@
-import axios from 'axios';
+import axios, { type AxiosError } from 'axios';
 
 // API base configuration
 export const api = axios.create({
@@ -34,20 +34,35 @@ api.interceptors.response.use(
   },
   (error) => {
     // Handle 401 Unauthorized - token expired or invalid
-    if (error.response?.status === 401) {
+    // A wrong password on the login form, an owner approval or a counter PIN is not a lost session;
+    // a refused refresh is left to the session watcher, which warns and logs out at expiry
+    const url: string = error.config?.url ?? '';
+    const credentialCheck = ['/auth/login', '/auth/verify-owner', '/auth/pin-login', '/auth/refresh'].some((path) =>
+      url.startsWith(path)
+    );
+    if (error.response?.status === 401 && !credentialCheck) {
       localStorage.removeItem('auth_token');
       localStorage.removeItem('user');
-      window.location.href = '/login';
+      const { pathname, search } = window.location;
+      if (pathname !== '/login') window.location.href = `/login?from=${encodeURIComponent(pathname + search)}`;
     }
 
-    // Extract error message from backend ApiResponse
-    const message = error.response?.data?.message || error.message || 'An error occurred';
+    // Extract error message from backend ApiResponse; the AxiosError itself is kept, since
+    // spreading it would drop isAxiosError and the other prototype fields
+    error.message = error.response?.data?.message || error.message || 'An error occurred';
 
-    return Promise.reject({
-      ...error,
-      message,
-    });
+    return Promise.reject(error);
   }
 );
 
+// Shape of errors rejected by the response interceptor
+export type ApiError = AxiosError<{ message?: string }> & { message: string };
+
+// True when the request never reached a live backend (offline, timeout, Render instance asleep)
+export const isOfflineError = (error: unknown): boolean => {
+  if (!axios.isAxiosError(error)) return false;
+  if (!error.response) return true;
+  return [502, 503, 504].includes(error.response.status);
+};
+
 export default api;
@@ -0,0 +1,119 @@
+// Decode retail barcodes from the device camera, entirely in the browser
+// Uses the native BarcodeDetector where available (Chrome on Android) and falls back to ZXing
+
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128'];
+const NATIVE_SCAN_INTERVAL = 150; // ms between frames handed to BarcodeDetector
+const DUPLICATE_WINDOW = 1500; // ms during which the same code held in frame is ignored
+
+interface DetectedBarcode {
+  rawValue: string;
+}
+
+interface NativeBarcodeDetector {
+  detect(source: CanvasImageSource): Promise<DetectedBarcode[]>;
+}
+
+interface NativeBarcodeDetectorConstructor {
+  new (options?: { formats: string[] }): NativeBarcodeDetector;
+  getSupportedFormats(): Promise<string[]>;
+}
+
+const getNativeDetector = async (): Promise<NativeBarcodeDetector | null> => {
+  const Detector = (window as unknown as { BarcodeDetector?: NativeBarcodeDetectorConstructor })
+    .BarcodeDetector;
+  if (!Detector) return null;
+
+  const supported = await Detector.getSupportedFormats();
+  const formats = NATIVE_FORMATS.filter((format) => supported.includes(format));
+  return formats.length > 0 ? new Detector({ formats }) : null;
+};
+
+export const isCameraAvailable = () => !!navigator.mediaDevices?.getUserMedia;
+
+// Turn getUserMedia failures into something a cashier can act on
+export const describeCameraError = (error: unknown): string => {
+  const name = (error as DOMException)?.name;
+  if (name === 'NotAllowedError') return 'Camera permission was denied. Allow camera access in the browser settings.';
+  if (name === 'NotFoundError' || name === 'OverconstrainedError') return 'No camera found on this device.';
+  if (name === 'NotReadableError') return 'The camera is being used by another app.';
+  return 'Could not start the camera.';
+};
+
+// Start the rear camera on `video` and report each decoded code; resolves to a stop function
+export const startCameraScan = async (
+  video: HTMLVideoElement,
+  onDetect: (code: string) => void
+): Promise<() => void> => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: { ideal: 'environment' } },
+    audio: false,
+  });
+
+  let lastCode = '';
+  let lastCodeAt = 0;
+  const report = (code: string) => {
+    const now = Date.now();
+    if (code === lastCode && now - lastCodeAt < DUPLICATE_WINDOW) {
+      lastCodeAt = now;
+      return;
+    }
+    lastCode = code;
+    lastCodeAt = now;
+    onDetect(code);
+  };
+
+  const stopStream = () => stream.getTracks().forEach((track) => track.stop());
+
+  try {
+    const nativeDetector = await getNativeDetector();
+
+    if (nativeDetector) {
+      video.srcObject = stream;
+      await video.play();
+
+      let busy = false;
+      const timer = setInterval(async () => {
+        if (busy || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return;
+        busy = true;
+        try {
+          const [barcode] = await nativeDetector.detect(video);
+          if (barcode?.rawValue) report(barcode.rawValue);
+        } catch {
+          // A frame that fails to decode is expected; keep scanning
+        } finally {
+          busy = false;
+        }
+      }, NATIVE_SCAN_INTERVAL);
+
+      return () => {
+        clearInterval(timer);
+        video.srcObject = null;
+        stopStream();
+      };
+    }
+
+    // Loaded on demand so the decoder stays out of the main bundle
+    const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+      import('@zxing/browser'),
+      import('@zxing/library'),
+    ]);
+    const hints = new Map([
+      [
+        DecodeHintType.POSSIBLE_FORMATS,
+        [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.UPC_E, BarcodeFormat.CODE_128],
+      ],
+    ]);
+    const reader = new BrowserMultiFormatReader(hints);
+    const controls = await reader.decodeFromStream(stream, video, (result) => {
+      if (result) report(result.getText());
+    });
+
+    return () => {
+      controls.stop();
+      stopStream();
+    };
+  } catch (error) {
+    stopStream();
+    throw error;
+  }
+};
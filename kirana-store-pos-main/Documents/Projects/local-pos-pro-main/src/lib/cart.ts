@@ -0,0 +1,77 @@
+import type { GstRate, SupplyType } from './tax';
+import type { TenderRow } from './tenders';
+import type { AppliedDiscount, DiscountActor, DiscountInput } from './discounts';
+import { isLooseUnit, type ProductUnit } from './units';
+
+// The POS bill being built, plus bills parked on hold, kept in localStorage so a reload loses nothing
+
+export interface CartItem {
+  productId: string;
+  name: string;
+  price: number; // Per unit
+  quantity: number;
+  unit?: ProductUnit;
+  discount: number; // Per unit, worked out from lineDiscount
+  lineDiscount?: DiscountInput;
+  originalPrice?: number; // Catalog price when the price was overridden at the counter
+  adjustedBy?: DiscountActor; // Who set the discount or price
+  approvedBy?: DiscountActor; // Owner who approved it for a cashier
+  hsnCode?: string;
+  gstRate?: GstRate;
+  priceIncludesTax?: boolean;
+  category?: string; // For loyalty category multipliers
+}
+
+export interface BillDraft {
+  items: CartItem[];
+  customerId?: string;
+  supplyType: SupplyType;
+  tenderRows: TenderRow[];
+  balanceOnCredit: boolean;
+  billDiscount?: AppliedDiscount;
+  roundOff: boolean;
+}
+
+export interface ParkedCart {
+  id: string;
+  name: string;
+  draft: BillDraft;
+  parkedAt: string;
+}
+
+export const EMPTY_DRAFT: BillDraft = {
+  items: [],
+  supplyType: 'INTRA_STATE',
+  tenderRows: [{ method: 'CASH', amount: '' }],
+  balanceOnCredit: false,
+  roundOff: false,
+};
+
+const ACTIVE_KEY = 'pos_active_cart';
+const PARKED_KEY = 'pos_parked_carts';
+
+const read = <T>(key: string, fallback: T): T => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? (JSON.parse(stored) as T) : fallback;
+  } catch {
+    return fallback; // Corrupt entry from an older version
+  }
+};
+
+export const cartStorage = {
+  loadActive: (): BillDraft => ({ ...EMPTY_DRAFT, ...read<Partial<BillDraft>>(ACTIVE_KEY, {}) }),
+
+  saveActive: (draft: BillDraft) => {
+    if (draft.items.length === 0) localStorage.removeItem(ACTIVE_KEY);
+    else localStorage.setItem(ACTIVE_KEY, JSON.stringify(draft));
+  },
+
+  listParked: (): ParkedCart[] => read<ParkedCart[]>(PARKED_KEY, []),
+
+  saveParked: (carts: ParkedCart[]) => localStorage.setItem(PARKED_KEY, JSON.stringify(carts)),
+};
+
+// A loose item counts once however much of it was weighed out
+export const itemCount = (draft: BillDraft) =>
+  draft.items.reduce((sum, item) => sum + (isLooseUnit(item.unit) ? 1 : item.quantity), 0);
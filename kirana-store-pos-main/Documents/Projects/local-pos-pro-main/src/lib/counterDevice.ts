@@ -0,0 +1,46 @@
+import { authService, type User } from '../services/authService';
+
+// Shared counter mode: the owner stays logged in on this device and cashiers take turns unlocking it with a PIN
+
+export interface CounterDeviceSettings {
+  enabled: boolean;
+  idleMinutes: number; // Lock the screen after this long without a tap or key press
+}
+
+const SETTINGS_KEY = 'counter_device';
+export const COUNTER_USER_KEY = 'counter_user';
+
+export const DEFAULT_COUNTER_DEVICE_SETTINGS: CounterDeviceSettings = {
+  enabled: false,
+  idleMinutes: 5,
+};
+
+export const PIN_LENGTH = { min: 4, max: 6 };
+
+export const isValidPin = (pin: string) =>
+  new RegExp(`^\\d{${PIN_LENGTH.min},${PIN_LENGTH.max}}$`).test(pin);
+
+export const readCounterDeviceSettings = (): CounterDeviceSettings => {
+  const stored = localStorage.getItem(SETTINGS_KEY);
+  return stored ? { ...DEFAULT_COUNTER_DEVICE_SETTINGS, ...JSON.parse(stored) } : DEFAULT_COUNTER_DEVICE_SETTINGS;
+};
+
+export const saveCounterDeviceSettings = (settings: CounterDeviceSettings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Hand the counter to `user`, or lock it with null
+export const setCounterUser = (user: User | null) => {
+  if (user) localStorage.setItem(COUNTER_USER_KEY, JSON.stringify(user));
+  else localStorage.removeItem(COUNTER_USER_KEY);
+};
+
+const getCounterUser = (): User | null => {
+  const stored = localStorage.getItem(COUNTER_USER_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+// The person using the app: whoever unlocked the counter in counter mode (null while locked),
+// otherwise whoever logged in
+export const activeUser = (): User | null =>
+  readCounterDeviceSettings().enabled ? getCounterUser() : authService.getCurrentUser();
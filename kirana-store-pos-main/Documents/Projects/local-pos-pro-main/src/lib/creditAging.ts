@@ -0,0 +1,82 @@
+import { round2 } from './tax';
+import { openCredits, type OpenCredit } from './creditLedger';
+import type { CreditTransaction } from '../services/creditService';
+
+// How old each customer's unpaid udhaar is, with payments settling the oldest credit first
+
+export type AgingBucket = 'CURRENT' | 'DAYS_31_60' | 'DAYS_61_90' | 'OVER_90';
+
+export const AGING_BUCKETS: { key: AgingBucket; label: string; maxDays: number }[] = [
+  { key: 'CURRENT', label: '0–30 days', maxDays: 30 },
+  { key: 'DAYS_31_60', label: '31–60 days', maxDays: 60 },
+  { key: 'DAYS_61_90', label: '61–90 days', maxDays: 90 },
+  { key: 'OVER_90', label: '90+ days', maxDays: Infinity },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ageInDays = (date: string, asOf: Date) =>
+  Math.max(Math.floor((asOf.getTime() - new Date(date).getTime()) / DAY), 0);
+
+export const bucketFor = (days: number): AgingBucket =>
+  AGING_BUCKETS.find((bucket) => days <= bucket.maxDays)?.key ?? 'OVER_90';
+
+export const emptyBuckets = (): Record<AgingBucket, number> => ({ CURRENT: 0, DAYS_31_60: 0, DAYS_61_90: 0, OVER_90: 0 });
+
+export interface AgedCredit extends OpenCredit {
+  days: number;
+  bucket: AgingBucket;
+}
+
+export interface CustomerAging {
+  customerId: string;
+  customerName: string;
+  buckets: Record<AgingBucket, number>;
+  total: number;
+  oldestDays: number;
+  credits: AgedCredit[]; // Oldest first, for the drill-down
+}
+
+// One row per customer who still owes something, most overdue first
+export const agingReport = (transactions: CreditTransaction[], asOf = new Date()): CustomerAging[] => {
+  const byCustomer = new Map<string, CreditTransaction[]>();
+  transactions.forEach((transaction) => {
+    const list = byCustomer.get(transaction.customerId) ?? [];
+    list.push(transaction);
+    byCustomer.set(transaction.customerId, list);
+  });
+
+  const rows: CustomerAging[] = [];
+  byCustomer.forEach((list, customerId) => {
+    const credits = openCredits(list).map((credit) => {
+      const days = ageInDays(credit.date, asOf);
+      return { ...credit, days, bucket: bucketFor(days) };
+    });
+    if (credits.length === 0) return;
+
+    const buckets = emptyBuckets();
+    credits.forEach((credit) => {
+      buckets[credit.bucket] = round2(buckets[credit.bucket] + credit.outstanding);
+    });
+    rows.push({
+      customerId,
+      customerName: list[0].customerName,
+      buckets,
+      total: round2(credits.reduce((sum, credit) => sum + credit.outstanding, 0)),
+      oldestDays: Math.max(...credits.map((credit) => credit.days)),
+      credits,
+    });
+  });
+
+  return rows.sort((a, b) => b.oldestDays - a.oldestDays || b.total - a.total);
+};
+
+export const agingTotals = (rows: CustomerAging[]) => {
+  const totals = emptyBuckets();
+  rows.forEach((row) =>
+    AGING_BUCKETS.forEach(({ key }) => {
+      totals[key] = round2(totals[key] + row.buckets[key]);
+    })
+  );
+  return totals;
+};
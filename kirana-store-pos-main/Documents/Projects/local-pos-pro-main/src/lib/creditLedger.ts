@@ -0,0 +1,99 @@
+import { round2 } from './tax';
+import type { CreditAllocation, CreditTransaction } from '../services/creditService';
+
+// A customer's udhaar account as a statement: oldest first with a running balance, and the bills still unpaid
+
+export interface LedgerEntry {
+  transaction: CreditTransaction;
+  debit: number; // Credit taken on a bill
+  credit: number; // Paid back
+  balance: number; // Owed after this entry
+}
+
+const byDate = (a: CreditTransaction, b: CreditTransaction) => a.createdAt.localeCompare(b.createdAt);
+
+export const ledgerEntries = (transactions: CreditTransaction[]): LedgerEntry[] => {
+  const sorted = [...transactions].sort(byDate);
+  let balance = sorted[0]?.balanceBefore ?? 0;
+  return sorted.map((transaction) => {
+    const taken = transaction.transactionType === 'CREDIT_TAKEN';
+    const debit = taken ? transaction.amount : 0;
+    const credit = taken ? 0 : transaction.amount;
+    balance = round2(balance + debit - credit);
+    return { transaction, debit, credit, balance };
+  });
+};
+
+// Credit still owed from one entry: a bill, credit given without a bill, or the balance carried in before the history starts
+export interface OpenCredit {
+  saleId?: string;
+  billNumber?: string;
+  date: string;
+  amount: number; // Put on credit
+  outstanding: number;
+}
+
+export type OpenBill = OpenCredit & { saleId: string };
+
+// Payments settle the bills they were allocated to, then the oldest credit first
+export const openCredits = (transactions: CreditTransaction[]): OpenCredit[] => {
+  const sorted = [...transactions].sort(byDate);
+  const credits: OpenCredit[] = [];
+  const bySale = new Map<string, OpenCredit>();
+
+  const opening = sorted[0]?.balanceBefore ?? 0;
+  if (opening > 0) credits.push({ date: sorted[0].createdAt, amount: opening, outstanding: opening });
+
+  sorted.forEach((transaction) => {
+    if (transaction.transactionType === 'CREDIT_TAKEN') {
+      const credit: OpenCredit = {
+        saleId: transaction.saleId,
+        billNumber: transaction.billNumber,
+        date: transaction.createdAt,
+        amount: transaction.amount,
+        outstanding: transaction.amount,
+      };
+      credits.push(credit);
+      if (credit.saleId) bySale.set(credit.saleId, credit);
+      return;
+    }
+
+    let remaining = transaction.amount;
+    transaction.allocations?.forEach(({ saleId, amount }) => {
+      const credit = bySale.get(saleId);
+      if (!credit) return;
+      const applied = Math.min(amount, credit.outstanding, remaining);
+      credit.outstanding = round2(credit.outstanding - applied);
+      remaining = round2(remaining - applied);
+    });
+    for (const credit of credits) {
+      if (remaining <= 0) break;
+      const applied = Math.min(credit.outstanding, remaining);
+      credit.outstanding = round2(credit.outstanding - applied);
+      remaining = round2(remaining - applied);
+    }
+  });
+
+  return credits.filter((credit) => credit.outstanding > 0);
+};
+
+// Unpaid bills a payment can be set against
+export const openBills = (transactions: CreditTransaction[]): OpenBill[] =>
+  openCredits(transactions).filter((credit): credit is OpenBill => !!credit.saleId);
+
+// Spread a payment over open bills, oldest first
+export const allocateOldestFirst = (bills: OpenBill[], amount: number): CreditAllocation[] => {
+  const allocations: CreditAllocation[] = [];
+  let remaining = round2(amount);
+  for (const bill of bills) {
+    if (remaining <= 0) break;
+    const applied = Math.min(bill.outstanding, remaining);
+    allocations.push({ saleId: bill.saleId, amount: applied });
+    remaining = round2(remaining - applied);
+  }
+  return allocations;
+};
+
+// Most recent payment, for reminders
+export const lastPayment = (transactions: CreditTransaction[]): CreditTransaction | undefined =>
+  [...transactions].sort(byDate).reverse().find((transaction) => transaction.transactionType !== 'CREDIT_TAKEN');
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { checkCredit, creditHeadroom } from './creditPolicy';
+
+const customer = { creditBalance: 800, creditLimit: 1000 };
+
+describe('creditHeadroom', () => {
+  it('is what is left of the limit, or null without one', () => {
+    expect(creditHeadroom(customer)).toBe(200);
+    expect(creditHeadroom({ creditBalance: 800, creditLimit: 0 })).toBeNull();
+  });
+});
+
+describe('checkCredit', () => {
+  it('lets a bill within the limit through', () => {
+    expect(checkCredit({ customerId: 'c1', customer, credit: 200 })).toMatchObject({ overBy: 0, needsOverride: false });
+  });
+
+  it('needs an owner past the limit', () => {
+    expect(checkCredit({ customerId: 'c1', customer, credit: 350 })).toMatchObject({ overBy: 150, needsOverride: true });
+  });
+
+  it('counts the whole amount as over when the customer is already past the limit', () => {
+    const overdrawn = { creditBalance: 1200, creditLimit: 1000 };
+    expect(checkCredit({ customerId: 'c1', customer: overdrawn, credit: 50 }).overBy).toBe(50);
+  });
+
+  it('refuses credit for a walk-in', () => {
+    expect(checkCredit({ credit: 10 }).error).toBe('Credit needs a named customer, not a walk-in');
+  });
+
+  it('needs an owner while the balance is unknown', () => {
+    expect(checkCredit({ customerId: 'c1', credit: 10 }).needsOverride).toBe(true);
+  });
+
+  it('ignores bills with nothing on credit', () => {
+    expect(checkCredit({ credit: 0 })).toEqual({ headroom: null, overBy: 0, needsOverride: false });
+  });
+});
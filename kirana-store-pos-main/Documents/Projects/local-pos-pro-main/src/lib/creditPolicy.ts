@@ -0,0 +1,44 @@
+import { round2 } from './tax';
+import type { Customer } from '../services/customerService';
+
+// Udhaar rules at checkout: credit only for a named customer, and only an owner can take them past their limit
+
+export type CreditCustomer = Pick<Customer, 'creditBalance' | 'creditLimit'>;
+
+// A limit of 0 means none was set, so any amount may go on credit
+export const hasCreditLimit = (customer: CreditCustomer) => customer.creditLimit > 0;
+
+// Credit the customer can still take, or null when there is no limit
+export const creditHeadroom = (customer: CreditCustomer): number | null =>
+  hasCreditLimit(customer) ? round2(customer.creditLimit - customer.creditBalance) : null;
+
+// Share of the limit already used, 0 when there is no limit
+export const creditUsage = (customer: CreditCustomer) =>
+  hasCreditLimit(customer) ? customer.creditBalance / customer.creditLimit : 0;
+
+export interface CreditCheck {
+  headroom: number | null; // Before this bill
+  overBy: number; // Credit on this bill past the limit
+  needsOverride: boolean; // Owner must approve before the sale goes through
+  error?: string; // Blocks the sale outright
+}
+
+export const checkCredit = ({
+  customerId,
+  customer,
+  credit,
+}: {
+  customerId?: string;
+  customer?: CreditCustomer; // Undefined while the customer's balance is unknown (loading or offline)
+  credit: number; // Amount this bill puts on credit
+}): CreditCheck => {
+  const headroom = customer ? creditHeadroom(customer) : null;
+  const result: CreditCheck = { headroom, overBy: 0, needsOverride: false };
+  if (credit <= 0) return result;
+
+  if (!customerId) return { ...result, error: 'Credit needs a named customer, not a walk-in' };
+  if (!customer) return { ...result, needsOverride: true };
+  if (headroom === null || credit <= headroom) return result;
+
+  return { ...result, overBy: round2(credit - Math.max(headroom, 0)), needsOverride: true };
+};
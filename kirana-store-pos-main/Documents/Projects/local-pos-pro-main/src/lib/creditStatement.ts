@@ -0,0 +1,152 @@
+import { jsPDF } from 'jspdf';
+import type { StoreDetails } from './invoicePdf';
+import type { LedgerEntry } from './creditLedger';
+import { AGING_BUCKETS, type AgingBucket, type CustomerAging } from './creditAging';
+import type { Customer } from '../services/customerService';
+
+// Customer credit statements and the aging report as A4 PDFs, drawn the same way as invoices
+
+const MARGIN = 15;
+const LINE = 6;
+const BRAND: [number, number, number] = [15, 118, 110];
+
+const money = (value: number) => `Rs. ${value.toFixed(2)}`;
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+
+export const describeEntry = ({ transaction }: LedgerEntry) =>
+  transaction.transactionType === 'CREDIT_TAKEN'
+    ? `Bill ${transaction.billNumber ?? ''}`.trim()
+    : `Payment${transaction.paymentMethod ? ` (${transaction.paymentMethod.replace('_', ' ')})` : ''}`;
+
+interface Column {
+  title: string;
+  x: number; // Left edge, or right edge for amounts, from the margin
+  align: 'left' | 'right';
+}
+
+// Store name and document title; returns where the body starts
+const drawHeading = (doc: jsPDF, store: StoreDetails, title: string): number => {
+  const right = doc.internal.pageSize.getWidth() - MARGIN;
+  let y = MARGIN + 5;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(...BRAND);
+  doc.text(store.name, MARGIN, y);
+  doc.setTextColor(0);
+  doc.setFontSize(13);
+  doc.text(title, right, y, { align: 'right' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  [store.address, store.phone && `Phone: ${store.phone}`].filter(Boolean).forEach((line) => {
+    y += 5;
+    doc.text(line as string, MARGIN, y);
+  });
+  return y + 8;
+};
+
+// Table with a coloured header row, repeated on every page it runs onto; returns the y after the last row
+const drawTable = (doc: jsPDF, top: number, columns: Column[], rows: string[][]): number => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const right = doc.internal.pageSize.getWidth() - MARGIN;
+
+  const drawHeader = (y: number) => {
+    doc.setFillColor(...BRAND);
+    doc.rect(MARGIN, y, right - MARGIN, LINE + 1, 'F');
+    doc.setTextColor(255);
+    doc.setFont('helvetica', 'bold');
+    columns.forEach((column) => doc.text(column.title, MARGIN + column.x, y + 5, { align: column.align }));
+    doc.setTextColor(0);
+    doc.setFont('helvetica', 'normal');
+    return y + LINE + 1;
+  };
+
+  let y = drawHeader(top);
+  rows.forEach((cells) => {
+    if (y + LINE > pageHeight - MARGIN) {
+      doc.addPage();
+      y = drawHeader(MARGIN);
+    }
+    y += LINE - 1;
+    columns.forEach((column, index) => {
+      if (cells[index]) doc.text(cells[index], MARGIN + column.x, y, { align: column.align });
+    });
+    y += 1;
+    doc.setDrawColor(220);
+    doc.line(MARGIN, y, right, y);
+  });
+  return y;
+};
+
+const STATEMENT_COLUMNS: Column[] = [
+  { title: 'Date', x: 1.5, align: 'left' },
+  { title: 'Particulars', x: 30, align: 'left' },
+  { title: 'Debit', x: 118, align: 'right' },
+  { title: 'Credit', x: 148, align: 'right' },
+  { title: 'Balance', x: 178.5, align: 'right' },
+];
+
+export const createStatementPdf = (customer: Customer, entries: LedgerEntry[], store: StoreDetails): jsPDF => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const right = doc.internal.pageSize.getWidth() - MARGIN;
+
+  let y = drawHeading(doc, store, 'CREDIT STATEMENT');
+  doc.setFont('helvetica', 'bold');
+  doc.text(`Customer: ${customer.name}`, MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  doc.text(`Date: ${formatDate(new Date().toISOString())}`, right, y, { align: 'right' });
+  if (customer.phone) {
+    y += 5;
+    doc.text(`Phone: ${customer.phone}`, MARGIN, y);
+  }
+
+  y = drawTable(
+    doc,
+    y + 5,
+    STATEMENT_COLUMNS,
+    entries.map((entry) => [
+      formatDate(entry.transaction.createdAt),
+      describeEntry(entry),
+      entry.debit ? money(entry.debit) : '',
+      entry.credit ? money(entry.credit) : '',
+      money(entry.balance),
+    ])
+  );
+
+  y += LINE + 2;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Balance due', MARGIN, y);
+  doc.text(money(customer.creditBalance), right, y, { align: 'right' });
+  return doc;
+};
+
+const AGING_COLUMNS: Column[] = [
+  { title: 'Customer', x: 1.5, align: 'left' },
+  ...AGING_BUCKETS.map((bucket, index) => ({ title: bucket.label.replace('–', '-'), x: 78 + index * 25, align: 'right' as const })),
+  { title: 'Total', x: 178.5, align: 'right' },
+];
+
+export const createAgingPdf = (
+  rows: CustomerAging[],
+  totals: Record<AgingBucket, number>,
+  store: StoreDetails,
+  asOf = new Date()
+): jsPDF => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const y = drawHeading(doc, store, 'CREDIT AGING');
+  doc.text(`As of ${formatDate(asOf.toISOString())}`, MARGIN, y);
+
+  const totalRow = ['Total', ...AGING_BUCKETS.map(({ key }) => money(totals[key])), money(rows.reduce((sum, row) => sum + row.total, 0))];
+  drawTable(doc, y + 5, AGING_COLUMNS, [
+    ...rows.map((row) => [
+      row.customerName,
+      ...AGING_BUCKETS.map(({ key }) => (row.buckets[key] ? money(row.buckets[key]) : '')),
+      money(row.total),
+    ]),
+    totalRow,
+  ]);
+  return doc;
+};
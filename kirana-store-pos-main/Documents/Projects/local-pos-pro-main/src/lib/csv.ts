@@ -0,0 +1,11 @@
+// Spreadsheet-friendly CSV; the byte order mark makes Excel read the rupee sign correctly
+
+const escapeCell = (value: string | number) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvBlob = (rows: (string | number)[][]) =>
+  new Blob(['\uFEFF' + rows.map((row) => row.map(escapeCell).join(',')).join('\r\n')], {
+    type: 'text/csv;charset=utf-8',
+  });
@@ -0,0 +1,6 @@
+// Amounts are always shown with two decimals and Indian digit grouping (1,23,456.00)
+export const formatCurrency = (amount: number | undefined, symbol = '₹') => {
+  const value = amount ?? 0;
+  const digits = Math.abs(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${value < 0 ? '-' : ''}${symbol}${digits}`;
+};
@@ -0,0 +1,42 @@
+import { round2 } from './tax';
+import type { Sale } from '../services/saleService';
+
+// What a regular customer usually buys, from their past bills
+
+export interface FrequentProduct {
+  productId: string;
+  productName: string;
+  unit?: string;
+  bills: number; // Bills it appeared on
+  quantity: number; // Net of returns
+  spent: number;
+  lastBought: string;
+}
+
+// Products on the most bills first, then by amount spent
+export const frequentProducts = (sales: Sale[], limit = 8): FrequentProduct[] => {
+  const byProduct = new Map<string, FrequentProduct>();
+  sales.forEach((sale) => {
+    sale.items.forEach((item) => {
+      const entry = byProduct.get(item.productId) ?? {
+        productId: item.productId,
+        productName: item.productName,
+        unit: item.unit,
+        bills: 0,
+        quantity: 0,
+        spent: 0,
+        lastBought: sale.createdAt,
+      };
+      entry.bills += 1;
+      entry.quantity = round2(entry.quantity + item.quantity - (item.returnedQuantity ?? 0));
+      entry.spent = round2(entry.spent + item.lineTotal);
+      if (sale.createdAt > entry.lastBought) entry.lastBought = sale.createdAt;
+      byProduct.set(item.productId, entry);
+    });
+  });
+
+  return [...byProduct.values()]
+    .filter((entry) => entry.quantity > 0)
+    .sort((a, b) => b.bills - a.bills || b.spent - a.spent)
+    .slice(0, limit);
+};
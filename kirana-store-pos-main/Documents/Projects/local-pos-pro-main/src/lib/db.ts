@@ -0,0 +1,106 @@
+// Minimal promise wrapper around the browser's IndexedDB for offline data
+
+const DB_NAME = 'kirana-pos';
+const DB_VERSION = 2;
+
+export const STORES = {
+  saleOutbox: 'saleOutbox',
+  products: 'products',
+  meta: 'meta',
+} as const;
+
+export type StoreName = (typeof STORES)[keyof typeof STORES];
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+const promisify = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Open (and upgrade if needed) the shared database
+export const openDB = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.saleOutbox)) {
+          db.createObjectStore(STORES.saleOutbox, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.products)) {
+          db.createObjectStore(STORES.products, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(STORES.meta)) {
+          db.createObjectStore(STORES.meta, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const complete = (tx: IDBTransaction): Promise<void> =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const withStore = async <T>(
+  store: StoreName,
+  mode: IDBTransactionMode,
+  run: (objectStore: IDBObjectStore) => IDBRequest<T>
+): Promise<T> => {
+  const db = await openDB();
+  const tx = db.transaction(store, mode);
+  return promisify(run(tx.objectStore(store)));
+};
+
+export const idb = {
+  // Get all records in a store
+  getAll: <T>(store: StoreName): Promise<T[]> =>
+    withStore<T[]>(store, 'readonly', (s) => s.getAll()),
+
+  // Get a single record by key
+  get: <T>(store: StoreName, key: IDBValidKey): Promise<T | undefined> =>
+    withStore<T | undefined>(store, 'readonly', (s) => s.get(key)),
+
+  // Insert or replace a record
+  put: <T>(store: StoreName, value: T): Promise<IDBValidKey> =>
+    withStore(store, 'readwrite', (s) => s.put(value)),
+
+  // Delete a record by key
+  delete: (store: StoreName, key: IDBValidKey): Promise<undefined> =>
+    withStore(store, 'readwrite', (s) => s.delete(key)),
+
+  // Write and delete many records in a single transaction
+  bulk: async <T>(
+    store: StoreName,
+    { put = [], remove = [], clear = false }: { put?: T[]; remove?: IDBValidKey[]; clear?: boolean }
+  ): Promise<void> => {
+    const db = await openDB();
+    const tx = db.transaction(store, 'readwrite');
+    const objectStore = tx.objectStore(store);
+    if (clear) objectStore.clear();
+    put.forEach((value) => objectStore.put(value));
+    remove.forEach((key) => objectStore.delete(key));
+    return complete(tx);
+  },
+};
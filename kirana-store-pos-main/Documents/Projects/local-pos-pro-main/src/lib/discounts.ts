@@ -0,0 +1,122 @@
+import { round2 } from './tax';
+import type { Sale } from '../services/saleService';
+
+// Line and bill discounts at the counter, and who is allowed to give them
+
+export type DiscountType = 'FLAT' | 'PERCENT';
+
+export interface DiscountInput {
+  type: DiscountType;
+  value: number; // Rupees off each unit (FLAT) or percent off (PERCENT)
+}
+
+// Who applied a discount or price change, and the owner who approved it if a cashier asked
+export interface DiscountActor {
+  userId: string;
+  name: string;
+}
+
+export interface AppliedDiscount {
+  input: DiscountInput;
+  appliedBy?: DiscountActor;
+  approvedBy?: DiscountActor;
+}
+
+// Cashiers can give up to this much off without an owner approving it
+export const CASHIER_DISCOUNT_LIMIT_PERCENT = 10;
+
+export const discountPerUnit = (price: number, discount?: DiscountInput) => {
+  if (!discount || discount.value <= 0) return 0;
+  const amount = discount.type === 'PERCENT' ? (price * discount.value) / 100 : discount.value;
+  return round2(Math.min(price, amount));
+};
+
+export const discountPercent = (base: number, amount: number) => (base > 0 ? (amount / base) * 100 : 0);
+
+export const needsApproval = (base: number, amount: number) =>
+  discountPercent(base, amount) > CASHIER_DISCOUNT_LIMIT_PERCENT;
+
+export const billDiscountAmount = (billTotal: number, discount?: DiscountInput) => {
+  if (!discount || discount.value <= 0) return 0;
+  const amount = discount.type === 'PERCENT' ? (billTotal * discount.value) / 100 : discount.value;
+  return round2(Math.min(billTotal, amount));
+};
+
+// Spread a bill discount over the lines by value, so GST is charged on the reduced price.
+// Returns the extra discount per unit for each line; the last line absorbs rounding.
+// taxFactor converts a line's share back to its price basis for tax-exclusive prices (1 + rate / 100).
+export const allocateBillDiscount = (
+  lines: { lineValue: number; quantity: number; taxFactor?: number }[],
+  amount: number
+) => {
+  const total = lines.reduce((sum, line) => sum + line.lineValue, 0);
+  if (amount <= 0 || total <= 0) return lines.map(() => 0);
+
+  let remaining = amount;
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1 ? remaining : round2((amount * line.lineValue) / total);
+    remaining = round2(remaining - share);
+    return line.quantity > 0 ? share / line.quantity / (line.taxFactor ?? 1) : 0;
+  });
+};
+
+// Round the payable amount to the nearest rupee; the difference is shown as round-off
+export const roundOff = (total: number) => round2(Math.round(total) - total);
+
+// A sale's discount split into what was given on items and on the whole bill
+export const saleDiscounts = (sale: Pick<Sale, 'discountAmount' | 'billDiscount'>) => {
+  const bill = sale.billDiscount ?? 0;
+  return { items: round2((sale.discountAmount ?? 0) - bill), bill };
+};
+
+export type DiscountKind = 'LINE' | 'PRICE_OVERRIDE' | 'BILL';
+
+export interface DiscountEntry {
+  saleId: string;
+  billNumber: string;
+  createdAt: string;
+  kind: DiscountKind;
+  description: string;
+  amount: number;
+  appliedBy?: DiscountActor;
+  approvedBy?: DiscountActor;
+}
+
+// Every discount and price cut given on a set of sales, for the discount report
+export const discountEntries = (sales: Sale[]): DiscountEntry[] =>
+  sales.flatMap((sale) => {
+    const base = { saleId: sale.id, billNumber: sale.billNumber, createdAt: sale.createdAt };
+    const entries: DiscountEntry[] = [];
+    sale.items.forEach((item) => {
+      const actors = { appliedBy: item.discountAppliedBy, approvedBy: item.discountApprovedBy };
+      if (item.originalPrice && item.originalPrice > item.unitPrice) {
+        entries.push({
+          ...base,
+          ...actors,
+          kind: 'PRICE_OVERRIDE',
+          description: `${item.productName}: ${item.originalPrice.toFixed(2)} → ${item.unitPrice.toFixed(2)}`,
+          amount: round2((item.originalPrice - item.unitPrice) * item.quantity),
+        });
+      }
+      if (item.discount > 0) {
+        entries.push({
+          ...base,
+          ...actors,
+          kind: 'LINE',
+          description: `${item.productName} × ${item.quantity}`,
+          amount: round2(item.discount * item.quantity),
+        });
+      }
+    });
+    if (sale.billDiscount) {
+      entries.push({
+        ...base,
+        kind: 'BILL',
+        description: 'Bill discount',
+        amount: sale.billDiscount,
+        appliedBy: sale.billDiscountAppliedBy,
+        approvedBy: sale.billDiscountApprovedBy,
+      });
+    }
+    return entries;
+  });
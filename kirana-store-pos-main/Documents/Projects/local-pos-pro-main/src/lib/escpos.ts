@@ -0,0 +1,44 @@
+import { PAPER_COLUMNS, toPrintable, type PaperWidth, type ReceiptLine } from './receipt';
+
+// ESC/POS command encoder for generic 58mm / 80mm thermal printers
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 } as const;
+
+export const encodeReceipt = (lines: ReceiptLine[], paperWidth: PaperWidth): Uint8Array => {
+  const bytes: number[] = [];
+  const push = (...values: number[]) => bytes.push(...values);
+  const pushText = (value: string) => {
+    for (const char of toPrintable(value)) push(char.charCodeAt(0));
+  };
+
+  push(ESC, 0x40); // Initialise printer
+
+  lines.forEach((line) => {
+    if (line.kind === 'divider') {
+      push(ESC, 0x61, ALIGN.left);
+      pushText('-'.repeat(PAPER_COLUMNS[paperWidth]));
+      push(LF);
+      return;
+    }
+
+    if (line.kind === 'feed') {
+      push(ESC, 0x64, line.lines); // Print and feed n lines
+      return;
+    }
+
+    push(ESC, 0x61, ALIGN[line.align ?? 'left']);
+    push(ESC, 0x45, line.bold ? 1 : 0);
+    push(GS, 0x21, line.large ? 0x11 : 0x00); // Double width + height
+    pushText(line.text);
+    push(LF);
+  });
+
+  push(ESC, 0x45, 0, GS, 0x21, 0x00);
+  push(GS, 0x56, 0x42, 0x00); // Feed to cutter and partial cut
+
+  return new Uint8Array(bytes);
+};
@@ -0,0 +1,31 @@
+// Audible cues for the counter, where the cashier is often not looking at the screen
+
+let audioContext: AudioContext | null = null;
+
+const tone = (ctx: AudioContext, frequency: number, start: number, duration: number) => {
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+  oscillator.type = 'square';
+  oscillator.frequency.value = frequency;
+  gain.gain.value = 0.08;
+  oscillator.connect(gain).connect(ctx.destination);
+  oscillator.start(ctx.currentTime + start);
+  oscillator.stop(ctx.currentTime + start + duration);
+};
+
+// Short high beep for a successful scan, two low buzzes for an error
+export const playBeep = (kind: 'success' | 'error' = 'success') => {
+  try {
+    audioContext ??= new AudioContext();
+    if (audioContext.state === 'suspended') void audioContext.resume();
+
+    if (kind === 'success') {
+      tone(audioContext, 1800, 0, 0.08);
+    } else {
+      tone(audioContext, 220, 0, 0.15);
+      tone(audioContext, 220, 0.2, 0.15);
+    }
+  } catch {
+    // Audio is best-effort; some browsers block it until the first user gesture
+  }
+};
@@ -0,0 +1,284 @@
+import { jsPDF } from 'jspdf';
+import { saleTenders, TENDER_LABELS } from './tenders';
+import { saleDiscounts } from './discounts';
+import { formatQuantity, normalizeUnit } from './units';
+import type { Sale } from '../services/saleService';
+
+// Vector A4 invoices drawn with jsPDF text primitives (searchable, small, sharp when printed)
+
+export interface StoreDetails {
+  name: string;
+  address?: string;
+  phone?: string;
+  gstin?: string;
+  footer?: string; // The receipt footer from store settings, one line per line break
+}
+
+const MARGIN = 15;
+const LINE = 5;
+const ROW_PADDING = 1.5;
+const BRAND: [number, number, number] = [15, 118, 110];
+
+// The built-in Helvetica has no rupee glyph
+const money = (value: number | undefined) => `Rs. ${(value ?? 0).toFixed(2)}`;
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleString('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+interface Column {
+  title: string;
+  width: number;
+  align: 'left' | 'right' | 'center';
+}
+
+const COLUMNS: Column[] = [
+  { title: '#', width: 8, align: 'center' },
+  { title: 'Item', width: 62, align: 'left' },
+  { title: 'HSN', width: 18, align: 'center' },
+  { title: 'Qty', width: 14, align: 'right' },
+  { title: 'Rate', width: 22, align: 'right' },
+  { title: 'Disc', width: 18, align: 'right' },
+  { title: 'GST', width: 12, align: 'right' },
+  { title: 'Amount', width: 26, align: 'right' },
+];
+
+const cellX = (x: number, column: Column) =>
+  column.align === 'right' ? x + column.width - 1.5 : column.align === 'center' ? x + column.width / 2 : x + 1.5;
+
+const drawTableHeader = (doc: jsPDF, y: number): number => {
+  const width = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  doc.setFillColor(...BRAND);
+  doc.rect(MARGIN, y, width, LINE + ROW_PADDING * 2, 'F');
+  doc.setTextColor(255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+
+  let x = MARGIN;
+  COLUMNS.forEach((column) => {
+    doc.text(column.title, cellX(x, column), y + ROW_PADDING + 3.8, { align: column.align });
+    x += column.width;
+  });
+
+  doc.setTextColor(0);
+  doc.setFont('helvetica', 'normal');
+  return y + LINE + ROW_PADDING * 2;
+};
+
+// Draw one invoice starting on the current page; continues onto new pages as needed
+export const drawInvoice = (doc: jsPDF, sale: Sale, store: StoreDetails) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const bottom = pageHeight - MARGIN - 8;
+  const right = pageWidth - MARGIN;
+  const firstPage = doc.getNumberOfPages();
+
+  const ensureSpace = (y: number, needed: number, withTableHeader = false) => {
+    if (y + needed <= bottom) return y;
+    doc.addPage();
+    doc.setFontSize(9);
+    doc.setTextColor(120);
+    doc.text(`${sale.billNumber} (continued)`, MARGIN, MARGIN);
+    doc.setTextColor(0);
+    const top = MARGIN + LINE;
+    return withTableHeader ? drawTableHeader(doc, top) : top;
+  };
+
+  // ===== Store header =====
+  let y = MARGIN + 5;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(...BRAND);
+  doc.text(store.name, MARGIN, y);
+  doc.setTextColor(0);
+  doc.setFontSize(13);
+  doc.text('TAX INVOICE', right, y, { align: 'right' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const storeLines = [
+    store.address,
+    store.phone && `Phone: ${store.phone}`,
+    store.gstin && `GSTIN: ${store.gstin}`,
+  ].filter(Boolean) as string[];
+  const billLines = [`Bill No: ${sale.billNumber}`, `Date: ${formatDate(sale.createdAt)}`];
+  for (let i = 0; i < Math.max(storeLines.length, billLines.length); i++) {
+    y += LINE;
+    if (storeLines[i]) doc.text(storeLines[i], MARGIN, y);
+    if (billLines[i]) doc.text(billLines[i], right, y, { align: 'right' });
+  }
+
+  y += 3;
+  doc.setDrawColor(...BRAND);
+  doc.line(MARGIN, y, right, y);
+
+  // ===== Customer =====
+  y += LINE + 1;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Bill To:', MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  doc.text(sale.customer?.name || sale.customerName || 'Walk-in Customer', MARGIN + 16, y);
+  if (sale.customer?.phone) doc.text(`Phone: ${sale.customer.phone}`, right, y, { align: 'right' });
+  y += LINE;
+
+  // ===== Line items =====
+  y = drawTableHeader(doc, y);
+  doc.setFontSize(9);
+  doc.setDrawColor(220);
+
+  sale.items.forEach((item, index) => {
+    const nameLines: string[] = doc.splitTextToSize(item.productName, COLUMNS[1].width - 3);
+    const rowHeight = nameLines.length * 4 + ROW_PADDING * 2;
+    y = ensureSpace(y, rowHeight, true);
+
+    const cells = [
+      String(index + 1),
+      nameLines,
+      item.hsnCode || '-',
+      item.unit && normalizeUnit(item.unit) !== 'pcs' ? formatQuantity(item.quantity, item.unit) : String(item.quantity),
+      item.unitPrice.toFixed(2),
+      item.discount ? item.discount.toFixed(2) : '-',
+      `${item.gstRate ?? 0}%`,
+      item.lineTotal.toFixed(2),
+    ];
+
+    let x = MARGIN;
+    COLUMNS.forEach((column, i) => {
+      doc.text(cells[i], cellX(x, column), y + ROW_PADDING + 3, { align: column.align });
+      x += column.width;
+    });
+    y += rowHeight;
+    doc.line(MARGIN, y, right, y);
+  });
+
+  // ===== Totals =====
+  const discounts = saleDiscounts(sale);
+  const totals: [string, string][] = [
+    ['Subtotal', money(sale.subtotal)],
+    ['Discount', `- ${money(discounts.items)}`],
+  ];
+  if (discounts.bill > 0) totals.push(['Bill Discount', `- ${money(discounts.bill)}`]);
+  const tax = sale.taxBreakdown;
+  if (tax) {
+    totals.push(['Taxable Value', money(tax.taxableValue)]);
+    if (tax.supplyType === 'INTER_STATE') {
+      totals.push(['IGST', money(tax.igst)]);
+    } else {
+      totals.push(['CGST', money(tax.cgst)], ['SGST', money(tax.sgst)]);
+    }
+  } else {
+    totals.push(['Tax', money(sale.taxAmount)]);
+  }
+  if (sale.roundOff) totals.push(['Round Off', money(sale.roundOff)]);
+
+  y = ensureSpace(y + 4, totals.length * LINE + 12);
+  const labelX = right - 70;
+  totals.forEach(([label, value]) => {
+    y += LINE;
+    doc.text(label, labelX, y);
+    doc.text(value, right, y, { align: 'right' });
+  });
+
+  y += 3;
+  doc.setFillColor(236, 254, 255);
+  doc.rect(labelX - 2, y, right - labelX + 2, LINE + 3, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('GRAND TOTAL', labelX, y + 5.5);
+  doc.text(money(sale.totalAmount), right, y + 5.5, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  y += LINE + 3;
+
+  // ===== GST slab summary =====
+  const slabs = tax?.slabs.filter((slab) => slab.gstRate > 0) ?? [];
+  if (slabs.length > 0) {
+    y = ensureSpace(y + 4, (slabs.length + 1) * LINE + 4);
+    y += LINE;
+    doc.setFont('helvetica', 'bold');
+    doc.text('GST Summary', MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    slabs.forEach((slab) => {
+      y += LINE;
+      const split =
+        tax.supplyType === 'INTER_STATE'
+          ? `IGST ${money(slab.igst)}`
+          : `CGST ${money(slab.cgst)}  SGST ${money(slab.sgst)}`;
+      doc.text(`GST ${slab.gstRate}% on ${money(slab.taxableValue)}: ${split}`, MARGIN, y);
+    });
+  }
+
+  // ===== Payment =====
+  const payment: [string, string][] = saleTenders(sale).map((tender) => [
+    tender.method === 'CREDIT' ? 'Credit on this bill' : `Paid by ${TENDER_LABELS[tender.method]}`,
+    money(tender.amount),
+  ]);
+  if (sale.changeDue) payment.push(['Change returned', money(sale.changeDue)]);
+  if (sale.customer?.creditBalance) payment.push(['Outstanding balance', money(sale.customer.creditBalance)]);
+
+  y = ensureSpace(y + 4, payment.length * LINE + 4);
+  y += 2;
+  payment.forEach(([label, value]) => {
+    y += LINE;
+    doc.setFont('helvetica', 'bold');
+    doc.text(`${label}:`, MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(value, MARGIN + 40, y);
+  });
+
+  // ===== Footer and page numbers for this invoice =====
+  const footer: string[] = (store.footer ?? '')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line) => doc.splitTextToSize(line, pageWidth - MARGIN * 2));
+  y = ensureSpace(y + 6, LINE * (footer.length + 1));
+  doc.setTextColor(100);
+  footer.forEach((line) => {
+    y += LINE;
+    doc.text(line, pageWidth / 2, y, { align: 'center' });
+  });
+
+  const lastPage = doc.getNumberOfPages();
+  const pageCount = lastPage - firstPage + 1;
+  for (let page = firstPage; page <= lastPage; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.text(`${sale.billNumber}  |  Page ${page - firstPage + 1} of ${pageCount}`, pageWidth / 2, pageHeight - MARGIN, {
+      align: 'center',
+    });
+  }
+  doc.setPage(lastPage);
+  doc.setTextColor(0);
+};
+
+// Single-invoice PDF
+export const createInvoicePdf = (sale: Sale, store: StoreDetails): jsPDF => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  drawInvoice(doc, sale, store);
+  return doc;
+};
+
+// Many invoices in one PDF, each starting on a fresh page
+export const createBulkInvoicePdf = (sales: Sale[], store: StoreDetails): jsPDF => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  sales.forEach((sale, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, sale, store);
+  });
+  return doc;
+};
+
+// Many invoices as separate PDFs inside a ZIP
+export const createInvoiceZip = async (sales: Sale[], store: StoreDetails): Promise<Blob> => {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  sales.forEach((sale) => {
+    zip.file(`Bill-${sale.billNumber}.pdf`, createInvoicePdf(sale, store).output('arraybuffer'));
+  });
+  return zip.generateAsync({ type: 'blob' });
+};
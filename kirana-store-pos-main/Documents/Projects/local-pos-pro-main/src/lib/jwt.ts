@@ -0,0 +1,31 @@
+// Reads the expiry out of the login token; checking the signature is the backend's job
+
+interface JwtPayload {
+  exp?: number; // Seconds since the epoch
+  sub?: string;
+}
+
+const decodePart = (part: string): JwtPayload => {
+  const base64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+export const decodeJwt = (token: string): JwtPayload | null => {
+  try {
+    return decodePart(token.split('.')[1]);
+  } catch {
+    return null;
+  }
+};
+
+// Null when the token carries no expiry
+export const tokenExpiry = (token: string): Date | null => {
+  const exp = decodeJwt(token)?.exp;
+  return exp ? new Date(exp * 1000) : null;
+};
+
+export const isTokenExpired = (token: string, now = Date.now()) => {
+  const expiry = tokenExpiry(token);
+  return !!expiry && expiry.getTime() <= now;
+};
@@ -0,0 +1,84 @@
+import { round2 } from './tax';
+import type { Sale } from '../services/saleService';
+import type { LoyaltyTransaction } from '../services/loyaltyService';
+import type { StoreSettings } from '../services/settingsService';
+
+// Loyalty points: earned on what the customer pays, spent as a tender, taken back on returns
+
+export type LoyaltySettings = Pick<
+  StoreSettings,
+  | 'loyaltyEnabled'
+  | 'loyaltyPointsPerRupee'
+  | 'loyaltyPointValue'
+  | 'loyaltyCategoryMultipliers'
+  | 'loyaltyExpiryDays'
+  | 'loyaltyMinRedeemPoints'
+>;
+
+export interface EarningLine {
+  amount: number; // Line total after discounts and tax
+  category?: string;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const categoryMultiplier = (category: string | undefined, settings: LoyaltySettings) => {
+  const key = category?.trim().toLowerCase();
+  return settings.loyaltyCategoryMultipliers.find((entry) => entry.category.trim().toLowerCase() === key)?.multiplier ?? 1;
+};
+
+// Whole points for a bill; the part paid with points earns nothing
+export const pointsEarned = (lines: EarningLine[], redeemedValue: number, settings: LoyaltySettings) => {
+  if (!settings.loyaltyEnabled) return 0;
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (total <= 0) return 0;
+  const paidShare = Math.max(total - redeemedValue, 0) / total;
+  const weighted = lines.reduce((sum, line) => sum + line.amount * categoryMultiplier(line.category, settings), 0);
+  return Math.floor(round2(weighted * settings.loyaltyPointsPerRupee * paidShare));
+};
+
+// Rupees the customer can pay with their points, nothing below the minimum
+export const redeemableValue = (points: number, settings: LoyaltySettings) =>
+  settings.loyaltyEnabled && points > 0 && points >= settings.loyaltyMinRedeemPoints
+    ? round2(points * settings.loyaltyPointValue)
+    : 0;
+
+// Points taken for a redeemed amount, rounded up to whole points
+export const pointsForValue = (value: number, settings: LoyaltySettings) =>
+  value > 0 ? Math.ceil(round2(value / settings.loyaltyPointValue)) : 0;
+
+// Earned points to take back when part of a bill is returned
+export const pointsToReverse = (sale: Pick<Sale, 'loyaltyPointsEarned' | 'totalAmount'>, returnAmount: number) => {
+  const earned = sale.loyaltyPointsEarned ?? 0;
+  if (earned <= 0 || sale.totalAmount <= 0) return 0;
+  return Math.min(Math.round((earned * returnAmount) / sale.totalAmount), earned);
+};
+
+// Points still held from each earning, spending the oldest first
+const pointLots = (transactions: LoyaltyTransaction[]) => {
+  const lots: { expiresAt?: string; remaining: number }[] = [];
+  [...transactions]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach((transaction) => {
+      if (transaction.points > 0) {
+        lots.push({ expiresAt: transaction.expiresAt, remaining: transaction.points });
+        return;
+      }
+      let toSpend = -transaction.points;
+      for (const lot of lots) {
+        if (toSpend <= 0) break;
+        const used = Math.min(lot.remaining, toSpend);
+        lot.remaining -= used;
+        toSpend -= used;
+      }
+    });
+  return lots.filter((lot) => lot.remaining > 0);
+};
+
+// Points that lapse within the next few days unless spent
+export const expiringPoints = (transactions: LoyaltyTransaction[], withinDays = 30, asOf = new Date()) => {
+  const cutoff = asOf.getTime() + withinDays * DAY;
+  return pointLots(transactions)
+    .filter((lot) => lot.expiresAt && new Date(lot.expiresAt).getTime() <= cutoff)
+    .reduce((sum, lot) => sum + lot.remaining, 0);
+};
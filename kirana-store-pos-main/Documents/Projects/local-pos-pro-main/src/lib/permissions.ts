@@ -0,0 +1,58 @@
+// What each role may do; routes, navigation and buttons all check against this one table
+
+export type Role = 'OWNER' | 'CASHIER' | 'STAFF';
+
+export const PERMISSIONS = {
+  'pos.use': 'Bill customers at the POS',
+  'pos.approve': 'Give bigger discounts, change prices and go past credit limits without approval',
+  'products.view': 'See products and stock',
+  'products.edit': 'Add products and update stock',
+  'products.delete': 'Delete products',
+  'products.viewCost': 'See cost prices',
+  'customers.view': 'See customers',
+  'customers.edit': 'Add and edit customers',
+  'sales.view': 'See bills',
+  'sales.return': 'Take returns and exchanges',
+  'credit.view': 'See udhaar accounts',
+  'credit.recordPayment': 'Record udhaar payments and send reminders',
+  'reports.view': 'See the dashboard and reports',
+  'settings.manage': 'Change store settings',
+  'users.manage': 'Add users, change roles, reset passwords and PINs',
+} as const;
+
+export type Permission = keyof typeof PERMISSIONS;
+
+export const ROLE_LABELS: Record<Role, string> = {
+  OWNER: 'Owner',
+  CASHIER: 'Cashier',
+  STAFF: 'Staff',
+};
+
+export const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  OWNER: Object.keys(PERMISSIONS) as Permission[],
+  CASHIER: [
+    'pos.use',
+    'products.view',
+    'customers.view',
+    'customers.edit',
+    'sales.view',
+    'sales.return',
+    'credit.view',
+    'credit.recordPayment',
+  ],
+  STAFF: ['products.view', 'products.edit'],
+};
+
+const isRole = (role: string | undefined): role is Role => !!role && role in ROLE_PERMISSIONS;
+
+// Unknown roles and logged-out users get nothing
+export const hasPermission = (role: string | undefined, permission: Permission) =>
+  isRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+
+// Where a user lands when they open the app or hit a page they cannot use
+export const homePath = (role: string | undefined) => {
+  if (hasPermission(role, 'reports.view')) return '/';
+  if (hasPermission(role, 'pos.use')) return '/pos';
+  if (hasPermission(role, 'products.view')) return '/products';
+  return '/login';
+};
@@ -0,0 +1,54 @@
+// Keyboard shortcuts for fast billing; the POS binds them and the cheat sheet lists them
+
+export type PosAction =
+  | 'help'
+  | 'palette'
+  | 'focusSearch'
+  | 'customer'
+  | 'previousLine'
+  | 'nextLine'
+  | 'increase'
+  | 'decrease'
+  | 'typeQuantity'
+  | 'confirmQuantity'
+  | 'removeLine'
+  | 'cancel'
+  | 'payCash'
+  | 'payUpi'
+  | 'payCard'
+  | 'toggleCredit'
+  | 'hold'
+  | 'recall'
+  | 'complete';
+
+export interface PosShortcut {
+  action: PosAction;
+  keys: string[]; // Combos as matched by useHotkeys, e.g. "F2", "Ctrl+K", "+"
+  display?: string; // Shown instead of the keys when they are a long list
+  description: string;
+  group: 'Products' | 'Bill' | 'Payment';
+}
+
+const QUANTITY_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'Backspace'];
+
+export const POS_SHORTCUTS: PosShortcut[] = [
+  { action: 'palette', keys: ['F2', 'Ctrl+K'], description: 'Find and add a product', group: 'Products' },
+  { action: 'focusSearch', keys: ['/'], description: 'Go to the search box', group: 'Products' },
+  { action: 'customer', keys: ['F3'], description: 'Pick or add a customer', group: 'Products' },
+  { action: 'help', keys: ['F1', '?'], description: 'Show these shortcuts', group: 'Products' },
+  { action: 'previousLine', keys: ['ArrowUp'], display: '↑', description: 'Select previous bill line', group: 'Bill' },
+  { action: 'nextLine', keys: ['ArrowDown'], display: '↓', description: 'Select next bill line', group: 'Bill' },
+  { action: 'increase', keys: ['+', '='], display: '+', description: 'Increase quantity', group: 'Bill' },
+  { action: 'decrease', keys: ['-'], description: 'Decrease quantity', group: 'Bill' },
+  { action: 'typeQuantity', keys: QUANTITY_KEYS, display: '0-9', description: 'Type a quantity for the line', group: 'Bill' },
+  { action: 'confirmQuantity', keys: ['Enter'], description: 'Set the typed quantity', group: 'Bill' },
+  { action: 'removeLine', keys: ['Delete'], display: 'Del', description: 'Remove the line', group: 'Bill' },
+  { action: 'cancel', keys: ['Escape'], display: 'Esc', description: 'Clear typed quantity', group: 'Bill' },
+  { action: 'payCash', keys: ['F4'], description: 'Pay by cash', group: 'Payment' },
+  { action: 'payUpi', keys: ['F6'], description: 'Pay by UPI', group: 'Payment' },
+  { action: 'payCard', keys: ['F7'], description: 'Pay by card', group: 'Payment' },
+  { action: 'toggleCredit', keys: ['F8'], description: 'Put balance on credit', group: 'Payment' },
+  { action: 'hold', keys: ['F9'], description: 'Put the bill on hold', group: 'Payment' },
+  { action: 'recall', keys: ['Shift+F9'], description: 'Recall the last held bill', group: 'Payment' },
+  { action: 'complete', keys: ['F10', 'Ctrl+Enter'], description: 'Complete sale', group: 'Payment' },
+];
@@ -0,0 +1,82 @@
+import { idb, STORES } from './db';
+import { productService, type Product } from '../services/productService';
+
+// Local mirror of the product catalog, kept fresh with incremental `updatedAt` syncs
+
+const META_KEY = 'productCatalog';
+const PAGE_SIZE = 200;
+const FULL_RESYNC_INTERVAL = 24 * 60 * 60 * 1000; // Catch deletions the incremental feed can't see
+
+const INACTIVE_STATUSES = ['INACTIVE', 'DELETED', 'DISCONTINUED'];
+
+interface CatalogMeta {
+  key: typeof META_KEY;
+  lastSyncedAt?: string; // Highest updatedAt seen so far
+  lastFullSyncAt?: string;
+}
+
+export interface CatalogSyncResult {
+  full: boolean;
+  updated: number;
+  removed: number;
+  lastSyncedAt?: string;
+}
+
+const isSellable = (product: Product) => !INACTIVE_STATUSES.includes(product.status?.toUpperCase());
+
+const fetchChangedProducts = async (updatedAfter?: string): Promise<Product[]> => {
+  const products: Product[] = [];
+  let page = 0;
+  let totalPages = 1;
+
+  while (page < totalPages) {
+    const response = await productService.getAll({
+      page,
+      size: PAGE_SIZE,
+      sortBy: 'updatedAt',
+      sortOrder: 'asc',
+      updatedAfter,
+    });
+    products.push(...response.content);
+    totalPages = response.totalPages;
+    page++;
+  }
+
+  return products;
+};
+
+export const productCatalog = {
+  // Read the mirrored catalog from IndexedDB
+  load: async (): Promise<Product[]> => {
+    const products = await idb.getAll<Product>(STORES.products);
+    return products.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Pull changes since the last sync (or everything, once a day)
+  sync: async (): Promise<CatalogSyncResult> => {
+    const meta = await idb.get<CatalogMeta>(STORES.meta, META_KEY);
+    const now = new Date();
+    const full =
+      !meta?.lastSyncedAt ||
+      !meta.lastFullSyncAt ||
+      now.getTime() - new Date(meta.lastFullSyncAt).getTime() > FULL_RESYNC_INTERVAL;
+
+    const changed = await fetchChangedProducts(full ? undefined : meta.lastSyncedAt);
+    const sellable = changed.filter(isSellable);
+    const removed = changed.filter((product) => !isSellable(product)).map((product) => product.id);
+
+    await idb.bulk<Product>(STORES.products, { clear: full, put: sellable, remove: removed });
+
+    const lastSyncedAt = changed.reduce(
+      (latest, product) => (product.updatedAt && product.updatedAt > latest ? product.updatedAt : latest),
+      meta?.lastSyncedAt ?? ''
+    );
+    await idb.put<CatalogMeta>(STORES.meta, {
+      key: META_KEY,
+      lastSyncedAt: lastSyncedAt || undefined,
+      lastFullSyncAt: full ? now.toISOString() : meta?.lastFullSyncAt,
+    });
+
+    return { full, updated: sellable.length, removed: removed.length, lastSyncedAt };
+  },
+};
@@ -0,0 +1,211 @@
+import { saleTenders, TENDER_LABELS } from './tenders';
+import { saleDiscounts } from './discounts';
+import { formatQuantity, normalizeUnit } from './units';
+import type { Sale } from '../services/saleService';
+import type { SaleReturn } from '../services/returnService';
+
+// Lays a sale out as fixed-width lines for 58mm / 80mm thermal paper
+// The same lines feed both the ESC/POS encoder and the browser print fallback
+
+export type PaperWidth = 58 | 80;
+
+// Characters per line in the printer's default 12x24 font
+export const PAPER_COLUMNS: Record<PaperWidth, number> = { 58: 32, 80: 48 };
+
+export type ReceiptAlign = 'left' | 'center' | 'right';
+
+export type ReceiptLine =
+  | { kind: 'text'; text: string; align?: ReceiptAlign; bold?: boolean; large?: boolean }
+  | { kind: 'divider' }
+  | { kind: 'feed'; lines: number };
+
+export interface ReceiptOptions {
+  paperWidth: PaperWidth;
+  header?: string;
+  footer?: string;
+}
+
+// Thermal printers only know ASCII code pages
+export const toPrintable = (text: string) =>
+  text
+    .replace(/₹/g, 'Rs.')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+const money = (value: number | undefined) => (value ?? 0).toFixed(2);
+
+const wrap = (text: string, width: number): string[] => {
+  const lines: string[] = [];
+  let current = '';
+  toPrintable(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      while (word.length > width) {
+        if (current) lines.push(current);
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+        current = '';
+      }
+      if (!current) current = word;
+      else if (current.length + 1 + word.length <= width) current += ` ${word}`;
+      else {
+        lines.push(current);
+        current = word;
+      }
+    });
+  if (current) lines.push(current);
+  return lines;
+};
+
+// "Label ........ value" squeezed into one line
+export const row = (left: string, right: string, width: number) => {
+  const l = toPrintable(left);
+  const r = toPrintable(right);
+  const space = width - r.length;
+  return space > l.length ? l + ' '.repeat(space - l.length) : `${l.slice(0, Math.max(0, space - 1))} ${r}`;
+};
+
+const text = (value: string, extra: Partial<Extract<ReceiptLine, { kind: 'text' }>> = {}): ReceiptLine => ({
+  kind: 'text',
+  text: value,
+  ...extra,
+});
+
+const pushHeader = (lines: ReceiptLine[], options: ReceiptOptions) => {
+  const width = PAPER_COLUMNS[options.paperWidth];
+  if (options.header) {
+    options.header.split('\n').forEach((headerLine, index) => {
+      // The first header line is the shop name, printed large
+      const large = index === 0;
+      wrap(headerLine, large ? Math.floor(width / 2) : width).forEach((part) =>
+        lines.push(text(part, { align: 'center', bold: large, large }))
+      );
+    });
+    lines.push({ kind: 'divider' });
+  }
+};
+
+const pushFooter = (lines: ReceiptLine[], options: ReceiptOptions) => {
+  const width = PAPER_COLUMNS[options.paperWidth];
+  if (options.footer) {
+    lines.push({ kind: 'divider' });
+    options.footer.split('\n').forEach((footerLine) =>
+      wrap(footerLine, width).forEach((part) => lines.push(text(part, { align: 'center' })))
+    );
+  }
+};
+
+const formatReceiptDate = (value: string) =>
+  new Date(value).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+export const buildReceipt = (sale: Sale, options: ReceiptOptions): ReceiptLine[] => {
+  const width = PAPER_COLUMNS[options.paperWidth];
+  const lines: ReceiptLine[] = [];
+  const divider: ReceiptLine = { kind: 'divider' };
+
+  pushHeader(lines, options);
+
+  lines.push(text(`Bill: ${sale.billNumber}`));
+  lines.push(text(`Date: ${formatReceiptDate(sale.createdAt)}`));
+  if (sale.cashier) lines.push(text(`Cashier: ${sale.cashier.name}`));
+  lines.push(text(`Customer: ${sale.customer?.name || sale.customerName || 'Walk-in'}`));
+  lines.push(divider);
+
+  lines.push(text(row('Item', 'Amount', width), { bold: true }));
+  sale.items.forEach((item) => {
+    wrap(item.productName, width).forEach((part) => lines.push(text(part)));
+    const quantity = item.unit && normalizeUnit(item.unit) !== 'pcs' ? formatQuantity(item.quantity, item.unit) : item.quantity;
+    const qty = `  ${quantity} x ${money(item.unitPrice)}`;
+    lines.push(text(row(item.discount ? `${qty} -${money(item.discount)}` : qty, money(item.lineTotal), width)));
+  });
+  lines.push(divider);
+
+  lines.push(text(row('Subtotal', money(sale.subtotal), width)));
+  const discounts = saleDiscounts(sale);
+  if (discounts.items > 0) lines.push(text(row('Item discount', `-${money(discounts.items)}`, width)));
+  if (discounts.bill > 0) lines.push(text(row('Bill discount', `-${money(discounts.bill)}`, width)));
+
+  const tax = sale.taxBreakdown;
+  if (tax?.supplyType === 'INTER_STATE') {
+    lines.push(text(row('IGST', money(tax.igst), width)));
+  } else if (tax) {
+    lines.push(text(row('CGST', money(tax.cgst), width)));
+    lines.push(text(row('SGST', money(tax.sgst), width)));
+  } else if (sale.taxAmount) {
+    lines.push(text(row('Tax', money(sale.taxAmount), width)));
+  }
+
+  if (sale.roundOff) lines.push(text(row('Round off', money(sale.roundOff), width)));
+
+  lines.push(text(row('TOTAL', `Rs.${money(sale.totalAmount)}`, Math.floor(width / 2)), { bold: true, large: true }));
+  saleTenders(sale).forEach((tender) =>
+    lines.push(
+      text(row(tender.method === 'CREDIT' ? 'On credit' : `Paid (${TENDER_LABELS[tender.method]})`, money(tender.amount), width))
+    )
+  );
+  if (sale.changeDue) lines.push(text(row('Change', money(sale.changeDue), width)));
+  if (sale.loyaltyPointsEarned) lines.push(text(row('Points earned', String(sale.loyaltyPointsEarned), width)));
+
+  pushFooter(lines, options);
+
+  lines.push({ kind: 'feed', lines: 3 });
+  return lines;
+};
+
+const REFUND_LABELS: Record<SaleReturn['refundMethod'], string> = {
+  CASH: 'Refunded (Cash)',
+  UPI: 'Refunded (UPI)',
+  CREDIT_ADJUSTMENT: 'Adjusted in credit',
+};
+
+export const buildCreditNote = (saleReturn: SaleReturn, options: ReceiptOptions): ReceiptLine[] => {
+  const width = PAPER_COLUMNS[options.paperWidth];
+  const lines: ReceiptLine[] = [];
+  const divider: ReceiptLine = { kind: 'divider' };
+
+  pushHeader(lines, options);
+
+  lines.push(text('CREDIT NOTE', { align: 'center', bold: true }));
+  lines.push(text(`No: ${saleReturn.creditNoteNumber}`));
+  lines.push(text(`Against bill: ${saleReturn.billNumber}`));
+  lines.push(text(`Date: ${formatReceiptDate(saleReturn.createdAt)}`));
+  lines.push(text(`Customer: ${saleReturn.customer?.name || 'Walk-in'}`));
+  lines.push(divider);
+
+  lines.push(text(row('Returned', 'Amount', width), { bold: true }));
+  saleReturn.items.forEach((item) => {
+    wrap(item.productName, width).forEach((part) => lines.push(text(part)));
+    lines.push(text(row(`  ${item.quantity} x ${money(item.unitRefund)}`, money(item.lineTotal), width)));
+  });
+  lines.push(divider);
+  lines.push(text(row('Return value', money(saleReturn.returnAmount), width)));
+
+  if (saleReturn.exchangeSale) {
+    lines.push(text(row(`Exchange bill ${saleReturn.exchangeSale.billNumber}`, `-${money(saleReturn.exchangeSale.totalAmount)}`, width)));
+  }
+
+  if (saleReturn.loyaltyPointsRestored) {
+    lines.push(text(row('Points given back', String(saleReturn.loyaltyPointsRestored), width)));
+  }
+
+  const net = saleReturn.netAmount;
+  if (net >= 0) {
+    lines.push(text(row(REFUND_LABELS[saleReturn.refundMethod], `Rs.${money(net)}`, width), { bold: true }));
+  } else {
+    lines.push(text(row('Collected from customer', `Rs.${money(-net)}`, width), { bold: true }));
+  }
+  if (saleReturn.reason) lines.push(text(`Reason: ${saleReturn.reason}`));
+
+  pushFooter(lines, options);
+
+  lines.push({ kind: 'feed', lines: 3 });
+  return lines;
+};
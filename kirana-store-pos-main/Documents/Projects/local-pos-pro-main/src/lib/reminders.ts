@@ -0,0 +1,56 @@
+// Udhaar payment reminders: templated text sent through WhatsApp or SMS deep links, plus the follow-up schedule
+
+export type ReminderChannel = 'WHATSAPP' | 'SMS';
+
+export const CHANNEL_LABELS: Record<ReminderChannel, string> = {
+  WHATSAPP: 'WhatsApp',
+  SMS: 'SMS',
+};
+
+export const REMINDER_PLACEHOLDERS = ['name', 'amount', 'store', 'lastPayment', 'upiLink'] as const;
+export type ReminderPlaceholder = (typeof REMINDER_PLACEHOLDERS)[number];
+
+export const DEFAULT_REMINDER_TEMPLATE = [
+  'Namaste {name},',
+  'Your pending balance at {store} is {amount}.',
+  'Last payment: {lastPayment}',
+  'Pay by UPI: {upiLink}',
+  'Thank you!',
+].join('\n');
+
+// Fill in {placeholders}; a line whose placeholder has no value (no UPI ID, never paid) is left out
+export const renderReminder = (template: string, values: Partial<Record<ReminderPlaceholder, string>>) =>
+  template
+    .split('\n')
+    .filter((line) => !REMINDER_PLACEHOLDERS.some((key) => line.includes(`{${key}}`) && !values[key]))
+    .map((line) => line.replace(/\{(\w+)\}/g, (match, key: string) => values[key as ReminderPlaceholder] ?? match))
+    .join('\n');
+
+// UPI intent link that opens any UPI app with the amount filled in
+export const upiPaymentLink = ({ upiId, payee, amount, note }: { upiId: string; payee: string; amount: number; note?: string }) => {
+  const params = new URLSearchParams({ pa: upiId, pn: payee, am: amount.toFixed(2), cu: 'INR' });
+  if (note) params.set('tn', note);
+  return `upi://pay?${params.toString()}`;
+};
+
+// Indian numbers in international form without the plus, as wa.me expects; null when it is not a usable number
+export const internationalPhone = (phone?: string): string | null => {
+  const digits = (phone ?? '').replace(/\D/g, '');
+  if (digits.length === 10) return `91${digits}`;
+  if (digits.length === 11 && digits.startsWith('0')) return `91${digits.slice(1)}`;
+  if (digits.length === 12 && digits.startsWith('91')) return digits;
+  return null;
+};
+
+export const reminderLink = (channel: ReminderChannel, phone: string, message: string) =>
+  channel === 'WHATSAPP'
+    ? `https://wa.me/${phone}?text=${encodeURIComponent(message)}`
+    : `sms:+${phone}?body=${encodeURIComponent(message)}`;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const nextReminderDate = (sentAt: Date, intervalDays: number) => new Date(sentAt.getTime() + intervalDays * DAY);
+
+// Never reminded counts as due
+export const isReminderDue = (nextDueAt: string | undefined, now = new Date()) =>
+  !nextDueAt || new Date(nextDueAt) <= now;
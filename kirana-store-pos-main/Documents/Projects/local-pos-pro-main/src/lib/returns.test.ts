@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { returnableLines, returnValue, splitRefund } from './returns';
+import type { Sale } from '../services/saleService';
+
+const bill = (overrides: Partial<Sale> = {}): Sale => ({
+  id: 'sale-1',
+  billNumber: 'BILL-2025-001240',
+  customer: { name: 'Meena' },
+  items: [
+    { productId: 'rice', productName: 'Sona Masoori 5kg', quantity: 2, unitPrice: 30, discount: 0, lineTotal: 60 },
+    { productId: 'dal', productName: 'Toor Dal 1kg', quantity: 1, unitPrice: 40, discount: 0, lineTotal: 40 },
+  ],
+  subtotal: 100,
+  discountAmount: 0,
+  taxAmount: 0,
+  totalAmount: 100,
+  amountPaid: 100,
+  creditAmount: 0,
+  paymentMethod: 'CASH',
+  paymentStatus: 'PAID',
+  createdAt: '2025-11-03T10:00:00Z',
+  updatedAt: '2025-11-03T10:00:00Z',
+  ...overrides,
+});
+
+describe('returnableLines', () => {
+  it('refunds what was paid per unit on an undiscounted bill', () => {
+    const lines = returnableLines(bill());
+    expect(lines.map((line) => line.unitRefund)).toEqual([30, 40]);
+    expect(returnValue(lines, { rice: 2, dal: 1 })).toBe(100);
+  });
+
+  it('spreads the bill discount over the lines by value', () => {
+    const lines = returnableLines(bill({ billDiscount: 10, discountAmount: 10, totalAmount: 90, amountPaid: 90 }));
+    expect(lines[0].unitRefund).toBeCloseTo(27);
+    expect(returnValue(lines, { rice: 1 })).toBe(27);
+    expect(returnValue(lines, { rice: 2, dal: 1 })).toBe(90);
+  });
+
+  it('spreads the round-off so a full return matches the bill total', () => {
+    const sale = bill({
+      items: [
+        { productId: 'oil', productName: 'Sunflower Oil 1L', quantity: 1, unitPrice: 50.6, discount: 0, lineTotal: 50.6 },
+        { productId: 'dal', productName: 'Toor Dal 1kg', quantity: 1, unitPrice: 49, discount: 0, lineTotal: 49 },
+      ],
+      roundOff: 0.4,
+    });
+    expect(returnValue(returnableLines(sale), { oil: 1, dal: 1 })).toBe(100);
+  });
+
+  it('leaves out what earlier returns already took back', () => {
+    const sale = bill();
+    sale.items[0].returnedQuantity = 1.5;
+    expect(returnableLines(sale)[0].returnableQuantity).toBe(0.5);
+  });
+});
+
+describe('splitRefund', () => {
+  it('refunds a bill paid in money entirely as money', () => {
+    expect(splitRefund(bill(), 40)).toEqual({ money: 40, points: 0, pointsValue: 0 });
+  });
+
+  it('gives the points share back as points', () => {
+    const sale = bill({
+      paymentMethod: 'SPLIT',
+      payments: [
+        { method: 'LOYALTY', amount: 30 },
+        { method: 'CASH', amount: 70 },
+      ],
+      loyaltyPointsRedeemed: 30,
+    });
+    expect(splitRefund(sale, 50)).toEqual({ money: 35, points: 15, pointsValue: 15 });
+    expect(splitRefund(sale, 100)).toEqual({ money: 70, points: 30, pointsValue: 30 });
+  });
+});
@@ -0,0 +1,61 @@
+import { round2 } from './tax';
+import { saleTenders } from './tenders';
+import type { Sale } from '../services/saleService';
+
+// Works out what can still be returned from a bill and what it is worth
+
+export interface ReturnableLine {
+  productId: string;
+  productName: string;
+  unit?: string;
+  soldQuantity: number;
+  returnableQuantity: number;
+  unitRefund: number; // What the customer paid per unit, with the bill discount and round-off spread in
+}
+
+// Line totals leave out the bill discount and round-off; scaling them to the bill total
+// spreads both over the lines by value
+const paidPerLineRupee = (sale: Sale) => {
+  const linesTotal = sale.items.reduce((sum, item) => sum + item.lineTotal, 0);
+  return linesTotal > 0 ? sale.totalAmount / linesTotal : 0;
+};
+
+export const returnableLines = (sale: Sale): ReturnableLine[] => {
+  const share = paidPerLineRupee(sale);
+  return sale.items.map((item) => ({
+    productId: item.productId,
+    productName: item.productName,
+    unit: item.unit,
+    soldQuantity: item.quantity,
+    returnableQuantity: Math.max(0, item.quantity - (item.returnedQuantity ?? 0)),
+    unitRefund: item.quantity > 0 ? (item.lineTotal * share) / item.quantity : 0,
+  }));
+};
+
+export const returnValue = (lines: ReturnableLine[], quantities: Record<string, number>) =>
+  round2(lines.reduce((sum, line) => sum + line.unitRefund * (quantities[line.productId] ?? 0), 0));
+
+export interface RefundSplit {
+  money: number; // Paid back by the chosen refund method
+  points: number; // Loyalty points put back on the customer's balance
+  pointsValue: number; // Rupee value of those points
+}
+
+// The part of the bill paid with loyalty points goes back as points, the rest as money
+export const splitRefund = (
+  sale: Pick<Sale, 'payments' | 'paymentMethod' | 'amountPaid' | 'creditAmount' | 'totalAmount' | 'loyaltyPointsRedeemed'>,
+  returnAmount: number
+): RefundSplit => {
+  const paidWithPoints = saleTenders(sale)
+    .filter((tender) => tender.method === 'LOYALTY')
+    .reduce((sum, tender) => sum + tender.amount, 0);
+  if (paidWithPoints <= 0 || sale.totalAmount <= 0) return { money: returnAmount, points: 0, pointsValue: 0 };
+
+  const share = Math.min(returnAmount / sale.totalAmount, 1);
+  const pointsValue = round2(paidWithPoints * share);
+  return {
+    money: round2(returnAmount - pointsValue),
+    points: Math.round((sale.loyaltyPointsRedeemed ?? 0) * share),
+    pointsValue,
+  };
+};
@@ -0,0 +1,127 @@
+import { idb, STORES } from './db';
+import { isOfflineError, type ApiError } from './api';
+import { saleService, type Sale, type SaleRequest } from '../services/saleService';
+
+// Sales that could not reach the backend are parked here and replayed later
+
+export type OutboxStatus = 'PENDING' | 'CONFLICT';
+
+export interface OutboxSummary {
+  itemCount: number;
+  total: number;
+  customerName?: string;
+}
+
+export interface OutboxEntry {
+  id: string; // Doubles as the idempotency key sent on replay
+  request: SaleRequest;
+  summary: OutboxSummary;
+  status: OutboxStatus;
+  attempts: number;
+  error?: string;
+  createdAt: string;
+  lastAttemptAt?: string;
+}
+
+export interface OutboxSyncResult {
+  synced: Sale[];
+  conflicts: OutboxEntry[];
+  remaining: number;
+}
+
+// Create a unique key per checkout attempt
+export const createIdempotencyKey = (): string => {
+  if (typeof crypto !== 'undefined' && 'randomUUID' in crypto) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+const byCreatedAt = (a: OutboxEntry, b: OutboxEntry) => a.createdAt.localeCompare(b.createdAt);
+
+let activeSync: Promise<OutboxSyncResult> | null = null;
+
+const replayPending = async (): Promise<OutboxSyncResult> => {
+  const entries = (await idb.getAll<OutboxEntry>(STORES.saleOutbox)).sort(byCreatedAt);
+  const result: OutboxSyncResult = { synced: [], conflicts: [], remaining: 0 };
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.status !== 'PENDING') continue;
+
+    const attempt: OutboxEntry = {
+      ...entry,
+      attempts: entry.attempts + 1,
+      lastAttemptAt: new Date().toISOString(),
+    };
+
+    try {
+      const sale = await saleService.create(entry.request, entry.id);
+      await idb.delete(STORES.saleOutbox, entry.id);
+      result.synced.push(sale);
+    } catch (error) {
+      if (isOfflineError(error)) {
+        // Still unreachable: keep this and every later entry queued in order
+        await idb.put(STORES.saleOutbox, { ...attempt, error: undefined });
+        result.remaining = entries.slice(i).filter((e) => e.status === 'PENDING').length;
+        break;
+      }
+
+      // The backend rejected the sale (stock or credit limit changed since it was billed)
+      const conflict: OutboxEntry = {
+        ...attempt,
+        status: 'CONFLICT',
+        error: (error as ApiError).message || 'Sale was rejected by the server',
+      };
+      await idb.put(STORES.saleOutbox, conflict);
+      result.conflicts.push(conflict);
+    }
+  }
+
+  return result;
+};
+
+export const saleOutbox = {
+  // List queued sales, oldest first
+  list: async (): Promise<OutboxEntry[]> => {
+    const entries = await idb.getAll<OutboxEntry>(STORES.saleOutbox);
+    return entries.sort(byCreatedAt);
+  },
+
+  // Queue a sale for later replay
+  enqueue: async (id: string, request: SaleRequest, summary: OutboxSummary): Promise<OutboxEntry> => {
+    const entry: OutboxEntry = {
+      id,
+      request,
+      summary,
+      status: 'PENDING',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+    };
+    await idb.put(STORES.saleOutbox, entry);
+    return entry;
+  },
+
+  // Move a conflicted sale back into the replay queue
+  retry: async (id: string): Promise<void> => {
+    const entry = await idb.get<OutboxEntry>(STORES.saleOutbox, id);
+    if (entry) {
+      await idb.put(STORES.saleOutbox, { ...entry, status: 'PENDING', error: undefined });
+    }
+  },
+
+  // Drop a queued sale for good
+  discard: async (id: string): Promise<void> => {
+    await idb.delete(STORES.saleOutbox, id);
+  },
+
+  // Replay pending sales in order; concurrent callers share one run
+  sync: (): Promise<OutboxSyncResult> => {
+    if (!activeSync) {
+      activeSync = replayPending().finally(() => {
+        activeSync = null;
+      });
+    }
+    return activeSync;
+  },
+};
@@ -0,0 +1,52 @@
+// Labels printed by a weighing scale: EAN-13 codes in the in-store range (prefix 20-29).
+// Layout: 2-digit prefix, 5-digit item code (the PLU set on the scale), 5-digit value, check digit.
+// Whether the value is the weight in grams or the price in paise depends on the prefix.
+
+export type ScaleLabelValue = 'WEIGHT' | 'PRICE';
+
+export interface ScaleLabelFormat {
+  weightPrefixes: string[];
+  pricePrefixes: string[];
+}
+
+export interface ScaleLabel {
+  itemCode: string;
+  weight?: number; // Kilograms
+  price?: number; // Rupees
+}
+
+export const IN_STORE_PREFIXES = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29'];
+
+const isValidEan13 = (code: string) => {
+  const digits = code.split('').map(Number);
+  const sum = digits.slice(0, 12).reduce((total, digit, index) => total + digit * (index % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === digits[12];
+};
+
+export const labelValueFor = (prefix: string, format: ScaleLabelFormat): ScaleLabelValue | null => {
+  if (format.weightPrefixes.includes(prefix)) return 'WEIGHT';
+  if (format.pricePrefixes.includes(prefix)) return 'PRICE';
+  return null;
+};
+
+// null when the code is not a scale label, so the caller treats it as a normal barcode
+export const parseScaleBarcode = (code: string, format: ScaleLabelFormat): ScaleLabel | null => {
+  if (!/^\d{13}$/.test(code) || !isValidEan13(code)) return null;
+
+  const valueType = labelValueFor(code.slice(0, 2), format);
+  if (!valueType) return null;
+
+  const itemCode = code.slice(2, 7);
+  const value = Number(code.slice(7, 12));
+  return valueType === 'WEIGHT' ? { itemCode, weight: value / 1000 } : { itemCode, price: value / 100 };
+};
+
+// "20-24, 27" -> ['20', '21', '22', '23', '24', '27'], keeping only in-store prefixes
+export const parsePrefixList = (value: string): string[] => {
+  const prefixes = value.split(',').flatMap((part) => {
+    const [start, end = start] = part.split('-').map((bound) => Number(bound.trim()));
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return [];
+    return Array.from({ length: Math.max(0, end - start + 1) }, (_, i) => String(start + i));
+  });
+  return [...new Set(prefixes)].filter((prefix) => IN_STORE_PREFIXES.includes(prefix));
+};
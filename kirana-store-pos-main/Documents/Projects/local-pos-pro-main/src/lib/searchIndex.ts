@@ -0,0 +1,147 @@
+import type { Product } from '../services/productService';
+
+// In-memory prefix + fuzzy index over the product catalog for instant POS search
+
+const MAX_PREFIX_LENGTH = 12;
+
+const SCORE_EXACT = 4;
+const SCORE_PREFIX = 3;
+const SCORE_FUZZY = 1;
+
+export const normalize = (text: string): string =>
+  text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const tokenize = (text: string): string[] => normalize(text).split(' ').filter(Boolean);
+
+// Levenshtein distance that bails out as soon as it exceeds `max`
+const editDistance = (a: string, b: string, max: number): number => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a query token of this length
+const allowedTypos = (length: number) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+const addTo = (map: Map<string, Set<number>>, key: string, index: number) => {
+  const bucket = map.get(key);
+  if (bucket) bucket.add(index);
+  else map.set(key, new Set([index]));
+};
+
+export interface ProductSearchIndex {
+  search: (query: string, limit?: number) => Product[];
+  findByBarcode: (barcode: string) => Product | undefined;
+}
+
+export const createProductSearchIndex = (products: Product[]): ProductSearchIndex => {
+  const tokens = new Map<string, Set<number>>();
+  const prefixes = new Map<string, Set<number>>();
+  const barcodes = new Map<string, number>();
+  const names = products.map((product) => normalize(product.name));
+
+  products.forEach((product, index) => {
+    const words = tokenize(`${product.name} ${product.category ?? ''} ${product.barcode ?? ''}`);
+    words.forEach((word) => {
+      addTo(tokens, word, index);
+      for (let length = 1; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+        addTo(prefixes, word.slice(0, length), index);
+      }
+    });
+    if (product.barcode) barcodes.set(product.barcode.trim(), index);
+  });
+
+  // Score every product matching a single query token
+  const matchToken = (token: string): Map<number, number> => {
+    const scores = new Map<number, number>();
+    const raise = (index: number, score: number) => {
+      if ((scores.get(index) ?? 0) < score) scores.set(index, score);
+    };
+
+    tokens.get(token)?.forEach((index) => raise(index, SCORE_EXACT));
+    if (token.length <= MAX_PREFIX_LENGTH) {
+      prefixes.get(token)?.forEach((index) => raise(index, SCORE_PREFIX));
+    } else {
+      tokens.forEach((indexes, word) => {
+        if (word.startsWith(token)) indexes.forEach((index) => raise(index, SCORE_PREFIX));
+      });
+    }
+
+    const typos = allowedTypos(token.length);
+    if (scores.size === 0 && typos > 0) {
+      tokens.forEach((indexes, word) => {
+        // Compare against the word's head so "amul bu" style partial typing still matches
+        const head = word.slice(0, token.length);
+        if (editDistance(token, head, typos) <= typos || editDistance(token, word, typos) <= typos) {
+          indexes.forEach((index) => raise(index, SCORE_FUZZY));
+        }
+      });
+    }
+    return scores;
+  };
+
+  const search = (query: string, limit = 10): Product[] => {
+    const raw = query.trim();
+    if (!raw) return [];
+
+    const barcodeHit = barcodes.get(raw);
+    const queryTokens = tokenize(raw);
+    if (queryTokens.length === 0) return barcodeHit !== undefined ? [products[barcodeHit]] : [];
+
+    // Every query token must match (AND); scores add up
+    let totals: Map<number, number> | null = null;
+    for (const token of queryTokens) {
+      const matches = matchToken(token);
+      if (totals === null) {
+        totals = matches;
+      } else {
+        const next = new Map<number, number>();
+        totals.forEach((score, index) => {
+          const extra = matches.get(index);
+          if (extra !== undefined) next.set(index, score + extra);
+        });
+        totals = next;
+      }
+      if (totals.size === 0) break;
+    }
+
+    const normalizedQuery = queryTokens.join(' ');
+    const ranked = Array.from(totals ?? new Map<number, number>())
+      .map(([index, score]) => ({
+        index,
+        score: score + (names[index].startsWith(normalizedQuery) ? SCORE_EXACT : 0),
+      }))
+      .sort((a, b) => b.score - a.score || names[a.index].localeCompare(names[b.index]))
+      .map(({ index }) => index);
+
+    // An exact barcode match always comes first
+    const ordered =
+      barcodeHit === undefined ? ranked : [barcodeHit, ...ranked.filter((index) => index !== barcodeHit)];
+
+    return ordered.slice(0, limit).map((index) => products[index]);
+  };
+
+  const findByBarcode = (barcode: string): Product | undefined => {
+    const index = barcodes.get(barcode.trim());
+    return index === undefined ? undefined : products[index];
+  };
+
+  return { search, findByBarcode };
+};
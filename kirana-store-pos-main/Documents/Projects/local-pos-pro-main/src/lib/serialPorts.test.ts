@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { choosePort, findPort, type SerialPortInfo, type SerialPortLike } from './serialPorts';
+import { stubBrowser } from '../test/stubs';
+
+const port = (info: SerialPortInfo) => ({ readable: null, writable: null, open: async () => {}, getInfo: () => info }) as SerialPortLike;
+
+const printerPort = port({ usbVendorId: 0x0416, usbProductId: 0x5011 });
+const scalePort = port({ usbVendorId: 0x067b, usbProductId: 0x2303 });
+
+// Ports already granted to the page, and the one the next picker will return
+const stubSerial = (granted: SerialPortLike[], picked?: SerialPortLike) =>
+  vi.stubGlobal('navigator', { serial: { getPorts: async () => granted, requestPort: async () => picked } });
+
+beforeEach(stubBrowser);
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('findPort', () => {
+  it('gives each device the port picked for it, whatever the grant order', async () => {
+    stubSerial([scalePort, printerPort], printerPort);
+    await choosePort('printer');
+    stubSerial([scalePort, printerPort], scalePort);
+    await choosePort('scale');
+
+    expect(await findPort('printer')).toBe(printerPort);
+    expect(await findPort('scale')).toBe(scalePort);
+  });
+
+  it('finds nothing when the picked port is no longer granted', async () => {
+    stubSerial([printerPort], scalePort);
+    await choosePort('scale');
+    expect(await findPort('scale')).toBeUndefined();
+  });
+
+  it('assumes a lone port granted before ports were remembered', async () => {
+    stubSerial([printerPort]);
+    expect(await findPort('printer')).toBe(printerPort);
+  });
+
+  it('does not take a lone port another device was set up on', async () => {
+    stubSerial([scalePort], scalePort);
+    await choosePort('scale');
+    expect(await findPort('printer')).toBeUndefined();
+  });
+});
@@ -0,0 +1,57 @@
+// Web Serial ports granted to this device, and which of them each serial device uses.
+// A counter can have a serial receipt printer and a serial scale granted at the same time,
+// so every device remembers the port the user picked for it instead of taking the first one.
+
+// Minimal Web Serial shapes; the API is not in the TypeScript DOM lib yet
+export interface SerialPortInfo {
+  usbVendorId?: number;
+  usbProductId?: number;
+}
+export interface SerialPortLike {
+  readable: ReadableStream<Uint8Array> | null;
+  writable: WritableStream<Uint8Array> | null;
+  open(options: { baudRate: number }): Promise<void>;
+  getInfo(): SerialPortInfo;
+}
+interface Serial {
+  getPorts(): Promise<SerialPortLike[]>;
+  requestPort(): Promise<SerialPortLike>;
+}
+
+export type SerialDevice = 'printer' | 'scale';
+
+const PORT_KEYS: Record<SerialDevice, string> = {
+  printer: 'receipt_printer_port',
+  scale: 'weighing_scale_port',
+};
+
+const SERIAL_DEVICES = Object.keys(PORT_KEYS) as SerialDevice[];
+
+export const serial = () => (navigator as unknown as { serial?: Serial }).serial;
+
+const savedPort = (device: SerialDevice): SerialPortInfo | null => JSON.parse(localStorage.getItem(PORT_KEYS[device]) ?? 'null');
+
+// USB adapters are told apart by vendor and product ID; built-in ports report neither
+const samePort = (info: SerialPortInfo, saved: SerialPortInfo) =>
+  info.usbVendorId === saved.usbVendorId && info.usbProductId === saved.usbProductId;
+
+// Ask the user to pick the port for this device; the browser remembers the grant, we remember the choice
+export const choosePort = async (device: SerialDevice): Promise<SerialPortLike> => {
+  const port = await serial().requestPort();
+  localStorage.setItem(PORT_KEYS[device], JSON.stringify(port.getInfo()));
+  return port;
+};
+
+// The granted port this device was set up on
+export const findPort = async (device: SerialDevice): Promise<SerialPortLike | undefined> => {
+  const ports = (await serial()?.getPorts()) ?? [];
+  const saved = savedPort(device);
+  if (saved) return ports.find((port) => samePort(port.getInfo(), saved));
+
+  // Granted before ports were remembered: a lone port is only assumed when no other device claims it
+  const claimed = SERIAL_DEVICES.filter((other) => other !== device)
+    .map(savedPort)
+    .filter((info): info is SerialPortInfo => !!info);
+  if (ports.length !== 1 || claimed.some((info) => samePort(ports[0].getInfo(), info))) return undefined;
+  return ports[0];
+};
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { computeBillTax, computeLineTax } from './tax';
+
+describe('computeLineTax', () => {
+  it('takes GST out of a tax-inclusive MRP and splits it into CGST and SGST', () => {
+    const line = computeLineTax({ productId: 'ghee', quantity: 1, unitPrice: 118, discount: 0, gstRate: 18 }, 'INTRA_STATE');
+    expect(line).toMatchObject({ taxableValue: 100, cgst: 9, sgst: 9, igst: 0, taxAmount: 18, lineTotal: 118 });
+  });
+
+  it('adds GST on top of an exclusive price after the discount', () => {
+    const line = computeLineTax(
+      { productId: 'soap', quantity: 2, unitPrice: 110, discount: 10, gstRate: 5, priceIncludesTax: false },
+      'INTRA_STATE'
+    );
+    expect(line).toMatchObject({ taxableValue: 200, taxAmount: 10, lineTotal: 210 });
+  });
+
+  it('keeps CGST plus SGST equal to the rounded tax when it splits unevenly', () => {
+    const line = computeLineTax(
+      { productId: 'tea', quantity: 1, unitPrice: 10.1, discount: 0, gstRate: 5, priceIncludesTax: false },
+      'INTRA_STATE'
+    );
+    expect(line.taxAmount).toBe(0.51);
+    expect(line.cgst + line.sgst).toBeCloseTo(0.51);
+  });
+});
+
+describe('computeBillTax', () => {
+  it('charges IGST on inter-state bills and groups the slabs', () => {
+    const bill = computeBillTax(
+      [
+        { productId: 'ghee', quantity: 1, unitPrice: 118, discount: 0, gstRate: 18 },
+        { productId: 'soap', quantity: 2, unitPrice: 100, discount: 0, gstRate: 5, priceIncludesTax: false },
+      ],
+      'INTER_STATE'
+    );
+    expect(bill.total).toBe(328);
+    expect(bill.breakdown).toMatchObject({ taxableValue: 300, cgst: 0, sgst: 0, igst: 28, totalTax: 28 });
+    expect(bill.breakdown.slabs.map((slab) => slab.gstRate)).toEqual([5, 18]);
+  });
+});
@@ -0,0 +1,110 @@
+// GST calculation for POS bills
+// Intra-state supplies split tax equally into CGST + SGST; inter-state supplies charge IGST
+
+export const GST_SLABS = [0, 5, 12, 18, 28] as const;
+export type GstRate = (typeof GST_SLABS)[number];
+
+export type SupplyType = 'INTRA_STATE' | 'INTER_STATE';
+
+export interface TaxableLine {
+  productId: string;
+  hsnCode?: string;
+  quantity: number;
+  unitPrice: number;
+  discount: number; // Per unit, in the same basis as unitPrice
+  gstRate?: GstRate;
+  priceIncludesTax?: boolean;
+}
+
+export interface LineTax {
+  productId: string;
+  hsnCode?: string;
+  gstRate: GstRate;
+  taxableValue: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+  taxAmount: number;
+  lineTotal: number; // What the customer pays for this line
+}
+
+export interface TaxSlabSummary {
+  gstRate: GstRate;
+  taxableValue: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+}
+
+export interface TaxBreakdown {
+  supplyType: SupplyType;
+  taxableValue: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+  totalTax: number;
+  slabs: TaxSlabSummary[];
+}
+
+export interface BillTax {
+  lines: LineTax[];
+  breakdown: TaxBreakdown;
+  total: number;
+}
+
+export const round2 = (value: number) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export const isGstRate = (value: number): value is GstRate => (GST_SLABS as readonly number[]).includes(value);
+
+export const computeLineTax = (line: TaxableLine, supplyType: SupplyType): LineTax => {
+  const gstRate = line.gstRate ?? 0;
+  const gross = Math.max(0, line.unitPrice - (line.discount || 0)) * line.quantity;
+  const inclusive = line.priceIncludesTax ?? true; // Kirana prices are usually MRP, tax included
+
+  const taxableValue = round2(inclusive ? (gross * 100) / (100 + gstRate) : gross);
+  const taxAmount = round2(inclusive ? gross - taxableValue : (gross * gstRate) / 100);
+
+  // Split so CGST + SGST always adds back up to the rounded tax
+  const cgst = supplyType === 'INTRA_STATE' ? round2(taxAmount / 2) : 0;
+  const sgst = supplyType === 'INTRA_STATE' ? round2(taxAmount - cgst) : 0;
+  const igst = supplyType === 'INTER_STATE' ? taxAmount : 0;
+
+  return {
+    productId: line.productId,
+    hsnCode: line.hsnCode,
+    gstRate,
+    taxableValue,
+    cgst,
+    sgst,
+    igst,
+    taxAmount,
+    lineTotal: round2(taxableValue + taxAmount),
+  };
+};
+
+export const computeBillTax = (lines: TaxableLine[], supplyType: SupplyType = 'INTRA_STATE'): BillTax => {
+  const lineTaxes = lines.map((line) => computeLineTax(line, supplyType));
+
+  const slabs = new Map<GstRate, TaxSlabSummary>();
+  lineTaxes.forEach((line) => {
+    const slab = slabs.get(line.gstRate) ?? { gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    slab.taxableValue = round2(slab.taxableValue + line.taxableValue);
+    slab.cgst = round2(slab.cgst + line.cgst);
+    slab.sgst = round2(slab.sgst + line.sgst);
+    slab.igst = round2(slab.igst + line.igst);
+    slabs.set(line.gstRate, slab);
+  });
+
+  const sum = (pick: (line: LineTax) => number) => round2(lineTaxes.reduce((total, line) => total + pick(line), 0));
+  const breakdown: TaxBreakdown = {
+    supplyType,
+    taxableValue: sum((line) => line.taxableValue),
+    cgst: sum((line) => line.cgst),
+    sgst: sum((line) => line.sgst),
+    igst: sum((line) => line.igst),
+    totalTax: sum((line) => line.taxAmount),
+    slabs: Array.from(slabs.values()).sort((a, b) => a.gstRate - b.gstRate),
+  };
+
+  return { lines: lineTaxes, breakdown, total: sum((line) => line.lineTotal) };
+};
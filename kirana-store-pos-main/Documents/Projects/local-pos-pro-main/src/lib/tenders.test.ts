@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { paymentMethodFor, saleTenders, summarizeTenders } from './tenders';
+
+describe('summarizeTenders', () => {
+  it('settles UPI first and gives change from cash only', () => {
+    const summary = summarizeTenders(
+      [
+        { method: 'UPI', amount: 100 },
+        { method: 'CASH', amount: 500 },
+      ],
+      347.5,
+      false
+    );
+    expect(summary.changeDue).toBe(252.5);
+    expect(summary.tenders).toEqual([
+      { method: 'UPI', amount: 100 },
+      { method: 'CASH', amount: 247.5 },
+    ]);
+    expect(summary.error).toBeUndefined();
+  });
+
+  it('puts the balance on credit when allowed', () => {
+    const summary = summarizeTenders([{ method: 'CASH', amount: 100 }], 300, true);
+    expect(summary.credit).toBe(200);
+    expect(summary.tenders).toContainEqual({ method: 'CREDIT', amount: 200 });
+  });
+
+  it('refuses a bill the payments do not cover', () => {
+    const summary = summarizeTenders([{ method: 'CASH', amount: 100 }], 300, false);
+    expect(summary.balanceDue).toBe(200);
+    expect(summary.error).toBe('Payments do not cover the bill total');
+  });
+
+  it('redeems as many points as a blank row allows and takes the rest in cash', () => {
+    const summary = summarizeTenders(
+      [
+        { method: 'LOYALTY', amount: null },
+        { method: 'CASH', amount: null },
+      ],
+      300,
+      false,
+      50
+    );
+    expect(summary.redeemed).toBe(50);
+    expect(summary.tenders).toEqual([
+      { method: 'LOYALTY', amount: 50 },
+      { method: 'CASH', amount: 250 },
+    ]);
+  });
+
+  it('refuses more points than the customer has', () => {
+    expect(summarizeTenders([{ method: 'LOYALTY', amount: 80 }], 300, true, 50).error).toBe('Not enough loyalty points');
+  });
+});
+
+describe('paymentMethodFor', () => {
+  it('keeps plain methods for older reports', () => {
+    expect(paymentMethodFor([{ method: 'UPI', amount: 10 }])).toBe('UPI');
+    expect(
+      paymentMethodFor([
+        { method: 'CASH', amount: 10 },
+        { method: 'CREDIT', amount: 5 },
+      ])
+    ).toBe('PARTIAL');
+    expect(
+      paymentMethodFor([
+        { method: 'CASH', amount: 10 },
+        { method: 'UPI', amount: 5 },
+      ])
+    ).toBe('SPLIT');
+  });
+});
+
+describe('saleTenders', () => {
+  it('rebuilds tenders for bills saved before split payments', () => {
+    expect(saleTenders({ paymentMethod: 'PARTIAL', amountPaid: 60, creditAmount: 40 })).toEqual([
+      { method: 'CASH', amount: 60 },
+      { method: 'CREDIT', amount: 40 },
+    ]);
+  });
+});
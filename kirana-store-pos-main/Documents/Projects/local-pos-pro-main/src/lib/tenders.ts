@@ -0,0 +1,136 @@
+import { round2 } from './tax';
+import type { PaymentMethod, Sale } from '../services/saleService';
+
+// Split-tender payments: several cash/UPI/card amounts on one bill, with any balance left on credit
+
+// LOYALTY pays with the customer's points at the store's point value
+export type TenderMethod = 'CASH' | 'UPI' | 'CARD' | 'LOYALTY' | 'CREDIT';
+
+export interface Tender {
+  method: TenderMethod;
+  amount: number;
+}
+
+// A tender row at the counter; a blank amount takes whatever is still due (nothing when the rest goes on credit)
+export interface TenderInput {
+  method: Exclude<TenderMethod, 'CREDIT'>;
+  amount: number | null;
+}
+
+// Form state for a tender row; the amount is the raw input text
+export interface TenderRow {
+  method: TenderInput['method'];
+  amount: string;
+}
+
+export const toTenderInputs = (rows: TenderRow[]): TenderInput[] =>
+  rows.map((row) => ({ method: row.method, amount: row.amount === '' ? null : Number(row.amount) }));
+
+export const TENDER_LABELS: Record<TenderMethod, string> = {
+  CASH: 'Cash',
+  UPI: 'UPI',
+  CARD: 'Card',
+  LOYALTY: 'Points',
+  CREDIT: 'Credit',
+};
+
+export interface TenderSummary {
+  tenders: Tender[]; // What gets recorded on the sale, including the credit portion
+  paid: number; // Money actually kept, after change is handed back
+  redeemed: number; // Paid with loyalty points
+  changeDue: number;
+  credit: number;
+  balanceDue: number; // Still owed with nothing to cover it
+  error?: string;
+}
+
+// loyaltyAvailable is what the customer's points are worth; a blank points row redeems as much as it can
+export const summarizeTenders = (
+  inputs: TenderInput[],
+  total: number,
+  balanceOnCredit: boolean,
+  loyaltyAvailable = 0
+): TenderSummary => {
+  const tenders: Tender[] = [];
+  let due = round2(total);
+  let cash = 0;
+  let error: string | undefined;
+
+  // Card and UPI are charged exactly, so settle them before cash
+  const ordered = [...inputs.filter((t) => t.method !== 'CASH'), ...inputs.filter((t) => t.method === 'CASH')];
+  let redeemed = 0;
+  ordered.forEach(({ method, amount }) => {
+    const blank =
+      method === 'LOYALTY' ? Math.min(Math.max(due, 0), loyaltyAvailable - redeemed) : balanceOnCredit ? 0 : Math.max(due, 0);
+    const value = round2(amount ?? blank);
+    if (value <= 0) return;
+    if (method === 'CASH') {
+      cash = round2(cash + value);
+    } else if (value > due) {
+      error = `${TENDER_LABELS[method]} amount is more than the balance due`;
+    }
+    if (method === 'LOYALTY') {
+      redeemed = round2(redeemed + value);
+      if (redeemed > loyaltyAvailable) error = 'Not enough loyalty points';
+    }
+    tenders.push({ method, amount: value });
+    due = round2(due - value);
+  });
+
+  const changeDue = due < 0 ? Math.min(round2(-due), cash) : 0;
+  const remaining = Math.max(due, 0);
+  const credit = balanceOnCredit ? remaining : 0;
+  if (credit > 0) tenders.push({ method: 'CREDIT', amount: credit });
+
+  // Record cash net of change so the tenders always add up to the bill
+  let toReturn = changeDue;
+  for (let i = tenders.length - 1; i >= 0 && toReturn > 0; i--) {
+    if (tenders[i].method !== 'CASH') continue;
+    const returned = Math.min(tenders[i].amount, toReturn);
+    tenders[i] = { ...tenders[i], amount: round2(tenders[i].amount - returned) };
+    toReturn = round2(toReturn - returned);
+  }
+
+  const balanceDue = round2(remaining - credit);
+  if (!error && balanceDue > 0) error = 'Payments do not cover the bill total';
+
+  return {
+    tenders: tenders.filter((tender) => tender.amount > 0),
+    paid: round2(total - remaining),
+    redeemed,
+    changeDue,
+    credit,
+    balanceDue,
+    error,
+  };
+};
+
+// Single-method bills keep their plain method so older reports still read them
+export const paymentMethodFor = (tenders: Tender[]): PaymentMethod => {
+  const methods = [...new Set(tenders.map((tender) => tender.method))];
+  if (methods.length === 0) return 'CASH';
+  if (methods.length === 1) return methods[0];
+  if (methods.length === 2 && methods.includes('CASH') && methods.includes('CREDIT')) return 'PARTIAL';
+  return 'SPLIT';
+};
+
+// Tenders of a sale, reconstructed for bills saved before split payments existed
+export const saleTenders = (sale: Pick<Sale, 'payments' | 'paymentMethod' | 'amountPaid' | 'creditAmount'>): Tender[] => {
+  if (sale.payments?.length) return sale.payments;
+  const tenders: Tender[] = [];
+  const method = sale.paymentMethod === 'PARTIAL' || sale.paymentMethod === 'CREDIT' ? 'CASH' : sale.paymentMethod;
+  if (sale.amountPaid > 0) tenders.push({ method: method as TenderMethod, amount: sale.amountPaid });
+  if (sale.creditAmount > 0) tenders.push({ method: 'CREDIT', amount: sale.creditAmount });
+  return tenders;
+};
+
+// Amount collected per tender method across sales
+export const totalsByTender = (sales: Sale[]): Record<TenderMethod, number> => {
+  const totals: Record<TenderMethod, number> = { CASH: 0, UPI: 0, CARD: 0, LOYALTY: 0, CREDIT: 0 };
+  sales.forEach((sale) =>
+    saleTenders(sale).forEach((tender) => {
+      totals[tender.method] = round2((totals[tender.method] ?? 0) + tender.amount);
+    })
+  );
+  return totals;
+};
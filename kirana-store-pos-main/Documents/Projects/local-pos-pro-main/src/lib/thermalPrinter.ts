@@ -0,0 +1,172 @@
+import { encodeReceipt } from './escpos';
+import { buildCreditNote, buildReceipt, PAPER_COLUMNS, type PaperWidth, type ReceiptLine, type ReceiptOptions } from './receipt';
+import type { Sale } from '../services/saleService';
+import type { SaleReturn } from '../services/returnService';
+import { toast } from '../hooks/use-toast';
+import { choosePort, findPort, serial, type SerialPortLike } from './serialPorts';
+
+// Sends receipts to a USB or serial thermal printer, or to the browser's print dialog
+
+export type PrinterConnection = 'BROWSER' | 'USB' | 'SERIAL';
+
+// Minimal WebUSB shapes; the API is not in the TypeScript DOM lib yet
+interface UsbEndpoint {
+  endpointNumber: number;
+  direction: 'in' | 'out';
+  type: 'bulk' | 'interrupt' | 'isochronous';
+}
+interface UsbInterface {
+  interfaceNumber: number;
+  alternates: { endpoints: UsbEndpoint[] }[];
+}
+interface UsbDevice {
+  opened: boolean;
+  configuration: { interfaces: UsbInterface[] } | null;
+  open(): Promise<void>;
+  selectConfiguration(value: number): Promise<void>;
+  claimInterface(interfaceNumber: number): Promise<void>;
+  transferOut(endpointNumber: number, data: Uint8Array): Promise<unknown>;
+}
+interface Usb {
+  getDevices(): Promise<UsbDevice[]>;
+  requestDevice(options: { filters: { classCode?: number }[] }): Promise<UsbDevice>;
+}
+
+const USB_PRINTER_CLASS = 7;
+const SERIAL_BAUD_RATE = 9600;
+
+const usb = () => (navigator as unknown as { usb?: Usb }).usb;
+
+export const isPrinterConnectionSupported = (connection: PrinterConnection) =>
+  connection === 'BROWSER' || (connection === 'USB' ? !!usb() : !!serial());
+
+const findBulkOut = (device: UsbDevice) => {
+  for (const iface of device.configuration?.interfaces ?? []) {
+    const endpoint = iface.alternates[0]?.endpoints.find((e) => e.direction === 'out' && e.type === 'bulk');
+    if (endpoint) return { interfaceNumber: iface.interfaceNumber, endpointNumber: endpoint.endpointNumber };
+  }
+  throw new Error('This USB device has no printer output endpoint');
+};
+
+const writeUsb = async (device: UsbDevice, data: Uint8Array) => {
+  if (!device.opened) await device.open();
+  if (!device.configuration) await device.selectConfiguration(1);
+  const { interfaceNumber, endpointNumber } = findBulkOut(device);
+  try {
+    await device.claimInterface(interfaceNumber);
+  } catch {
+    // Already claimed by this page from a previous print
+  }
+  await device.transferOut(endpointNumber, data);
+};
+
+const writeSerial = async (port: SerialPortLike, data: Uint8Array) => {
+  if (!port.writable) await port.open({ baudRate: SERIAL_BAUD_RATE });
+  const writer = port.writable.getWriter();
+  try {
+    await writer.write(data);
+  } finally {
+    writer.releaseLock();
+  }
+};
+
+const escapeHtml = (value: string) =>
+  value.replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+// Narrow print-CSS version of the same receipt for printers driven by the OS
+export const printReceiptInBrowser = (lines: ReceiptLine[], paperWidth: PaperWidth) =>
+  new Promise<void>((resolve) => {
+    const body = lines
+      .map((line) => {
+        if (line.kind === 'divider') return `<div>${'-'.repeat(PAPER_COLUMNS[paperWidth])}</div>`;
+        if (line.kind === 'feed') return '<br>'.repeat(line.lines);
+        const style = [
+          `text-align:${line.align ?? 'left'}`,
+          line.bold ? 'font-weight:bold' : '',
+          line.large ? 'font-size:2em' : '',
+        ].join(';');
+        return `<div style="${style}">${escapeHtml(line.text) || '&nbsp;'}</div>`;
+      })
+      .join('');
+
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.right = '0';
+    frame.style.bottom = '0';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    const doc = frame.contentDocument;
+    doc.open();
+    doc.write(`<!doctype html><html><head><style>
+      @page { size: ${paperWidth}mm auto; margin: 0; }
+      body { width: ${paperWidth - 4}mm; margin: 0 2mm; font: 11px/1.3 "Courier New", monospace; white-space: pre; }
+    </style></head><body>${body}</body></html>`);
+    doc.close();
+
+    const cleanup = () => {
+      frame.remove();
+      resolve();
+    };
+    frame.contentWindow.onafterprint = cleanup;
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(cleanup, 60000); // Some browsers never fire afterprint
+  });
+
+export const thermalPrinter = {
+  // Ask the user to pick a printer; the browser remembers the grant for next time
+  connect: async (connection: PrinterConnection): Promise<void> => {
+    if (connection === 'USB') {
+      await usb().requestDevice({ filters: [{ classCode: USB_PRINTER_CLASS }] });
+    } else if (connection === 'SERIAL') {
+      await choosePort('printer');
+    }
+  },
+
+  // Whether a previously granted printer is available without prompting
+  isConnected: async (connection: PrinterConnection): Promise<boolean> => {
+    if (connection === 'USB') return ((await usb()?.getDevices()) ?? []).length > 0;
+    if (connection === 'SERIAL') return !!(await findPort('printer'));
+    return true;
+  },
+
+  // Print raw ESC/POS bytes on the granted printer
+  write: async (connection: PrinterConnection, data: Uint8Array): Promise<void> => {
+    if (connection === 'USB') {
+      const [device] = (await usb()?.getDevices()) ?? [];
+      if (!device) throw new Error('No USB printer connected');
+      await writeUsb(device, data);
+    } else if (connection === 'SERIAL') {
+      const port = await findPort('printer');
+      if (!port) throw new Error('No serial printer connected');
+      await writeSerial(port, data);
+    }
+  },
+};
+
+type PrintOptions = ReceiptOptions & { connection: PrinterConnection };
+
+// Print on the configured printer, falling back to the browser dialog if it is unavailable
+const printLines = async (lines: ReceiptLine[], options: PrintOptions): Promise<void> => {
+  if (options.connection !== 'BROWSER' && (await thermalPrinter.isConnected(options.connection))) {
+    try {
+      await thermalPrinter.write(options.connection, encodeReceipt(lines, options.paperWidth));
+      return;
+    } catch (error) {
+      toast({
+        title: 'Thermal printer failed',
+        description: `${error instanceof Error ? error.message : 'Printer did not respond'}. Printing from the browser instead.`,
+      });
+    }
+  }
+
+  await printReceiptInBrowser(lines, options.paperWidth);
+};
+
+export const printReceipt = (sale: Sale, options: PrintOptions) => printLines(buildReceipt(sale, options), options);
+
+export const printCreditNote = (saleReturn: SaleReturn, options: PrintOptions) =>
+  printLines(buildCreditNote(saleReturn, options), options);
@@ -0,0 +1,75 @@
+// Units products are sold in. Loose goods (rice, dal, oil) are sold by weight or volume
+// in fractional quantities; packed goods are counted in whole pieces.
+
+export const PRODUCT_UNITS = ['pcs', 'kg', 'gm', 'ltr', 'ml', 'dozen'] as const;
+export type ProductUnit = (typeof PRODUCT_UNITS)[number];
+
+export const UNIT_LABELS: Record<ProductUnit, string> = {
+  pcs: 'Pieces',
+  kg: 'Kilogram',
+  gm: 'Gram',
+  ltr: 'Litre',
+  ml: 'Millilitre',
+  dozen: 'Dozen',
+};
+
+// Free-text units typed in before units were fixed
+const UNIT_ALIASES: Record<string, ProductUnit> = {
+  pc: 'pcs',
+  piece: 'pcs',
+  pieces: 'pcs',
+  nos: 'pcs',
+  kgs: 'kg',
+  kilo: 'kg',
+  g: 'gm',
+  gms: 'gm',
+  gram: 'gm',
+  grams: 'gm',
+  l: 'ltr',
+  lt: 'ltr',
+  litre: 'ltr',
+  liter: 'ltr',
+  dz: 'dozen',
+};
+
+export const normalizeUnit = (unit?: string): ProductUnit => {
+  const key = (unit ?? '').trim().toLowerCase();
+  if ((PRODUCT_UNITS as readonly string[]).includes(key)) return key as ProductUnit;
+  return UNIT_ALIASES[key] ?? 'pcs';
+};
+
+export const isLooseUnit = (unit?: string) => ['kg', 'gm', 'ltr', 'ml'].includes(normalizeUnit(unit));
+
+// How far the cart's +/- buttons move the quantity
+export const quantityStep = (unit?: string) => {
+  const normalized = normalizeUnit(unit);
+  if (normalized === 'kg' || normalized === 'ltr') return 0.25;
+  if (normalized === 'gm' || normalized === 'ml') return 50;
+  return 1;
+};
+
+// Grams and millilitres are whole; kilos and litres go to the gram; counted units are whole
+export const roundQuantity = (quantity: number, unit?: string) => {
+  const normalized = normalizeUnit(unit);
+  const places = normalized === 'kg' || normalized === 'ltr' ? 3 : 0;
+  const factor = 10 ** places;
+  return Math.round((quantity + Number.EPSILON) * factor) / factor;
+};
+
+export const formatQuantity = (quantity: number, unit?: string) =>
+  `${roundQuantity(quantity, unit).toLocaleString('en-IN', { maximumFractionDigits: 3 })} ${normalizeUnit(unit)}`;
+
+export const defaultQuantity = (unit?: string) => {
+  const normalized = normalizeUnit(unit);
+  return normalized === 'gm' || normalized === 'ml' ? 100 : 1;
+};
+
+// " / kg" after a price; nothing for pieces
+export const perUnitSuffix = (unit?: string) => (normalizeUnit(unit) === 'pcs' ? '' : ` / ${normalizeUnit(unit)}`);
+
+// A weight off a scale or label, in kilograms, as a quantity in the product's unit
+export const quantityFromKilograms = (kilograms: number, unit?: string) => {
+  const normalized = normalizeUnit(unit);
+  const quantity = normalized === 'gm' || normalized === 'ml' ? kilograms * 1000 : kilograms;
+  return roundQuantity(quantity, unit);
+};
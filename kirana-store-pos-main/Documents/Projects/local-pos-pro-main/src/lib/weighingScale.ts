@@ -0,0 +1,61 @@
+// Reads the weight from a counter scale over Web Serial.
+// Scales are expected in continuous-output mode, sending lines like "ST,GS,+  1.250kg";
+// "US" (unstable) readings are skipped until the pan settles.
+
+import { choosePort, findPort, serial } from './serialPorts';
+
+export interface ScaleReading {
+  weight: number; // Kilograms
+  stable: boolean;
+}
+
+const READ_TIMEOUT = 5000;
+
+export const isWeighingScaleSupported = () => !!serial();
+
+export const parseScaleLine = (line: string): ScaleReading | null => {
+  const match = line.match(/([-+]?\s*\d+(?:\.\d+)?)\s*(kg|g)?/i);
+  if (!match) return null;
+  const value = Number(match[1].replace(/\s/g, ''));
+  if (Number.isNaN(value)) return null;
+  const weight = match[2]?.toLowerCase() === 'g' ? value / 1000 : value;
+  return { weight, stable: !/\bUS\b|unstable/i.test(line) };
+};
+
+export const weighingScale = {
+  // Ask the user to pick the scale's port; the browser remembers the grant for next time
+  connect: async (): Promise<void> => {
+    await choosePort('scale');
+  },
+
+  isConnected: async (): Promise<boolean> => !!(await findPort('scale')),
+
+  // Wait for the next steady, non-zero weight on the pan
+  readWeight: async (baudRate: number): Promise<number> => {
+    const port = await findPort('scale');
+    if (!port) throw new Error('No weighing scale connected');
+    if (!port.readable) await port.open({ baudRate });
+
+    const reader = port.readable.getReader();
+    const decoder = new TextDecoder();
+    const timer = setTimeout(() => reader.cancel(), READ_TIMEOUT);
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('The scale did not send a steady weight');
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/[\r\n]+/);
+        buffer = lines.pop() ?? '';
+        const reading = lines
+          .map(parseScaleLine)
+          .reverse()
+          .find((candidate) => candidate?.stable && candidate.weight > 0);
+        if (reading) return reading.weight;
+      }
+    } finally {
+      clearTimeout(timer);
+      reader.releaseLock();
+    }
+  },
+};
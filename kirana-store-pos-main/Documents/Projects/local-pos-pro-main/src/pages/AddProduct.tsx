@@ -1,13 +1,35 @@
 import { useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { Card, CardContent } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Button } from "@/components/ui/button";
-import { useCreateProduct } from "@/hooks/useProducts";
+import { Switch } from "@/components/ui/switch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Camera } from "lucide-react";
+import { useCreateProduct, useBarcodeLookup } from "@/hooks/useProducts";
+import { useSettings } from "@/hooks/useSettings";
+import { usePermission } from "@/hooks/usePermission";
+import { CameraScannerDialog } from "@/components/CameraScannerDialog";
+import { isCameraAvailable } from "@/lib/cameraScanner";
+import { GST_SLABS, type GstRate } from "@/lib/tax";
+import { PRODUCT_UNITS, UNIT_LABELS, isLooseUnit, type ProductUnit } from "@/lib/units";
 import { ProductRequest } from "@/services/productService";
 
 export default function AddProduct() {
   const addProduct=useCreateProduct();
+  const [searchParams] = useSearchParams();
+  const { data: settings } = useSettings();
+  const lookupBarcode = useBarcodeLookup();
+  const canSeeCost = usePermission("products.viewCost");
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [barcodeOwner, setBarcodeOwner] = useState<string | null>(null);
   const [form, setForm] = useState({
     name: "",
     description: "",
@@ -15,16 +37,26 @@ export default function AddProduct() {
     price: "",
     costPrice: "",
     stockQuantity: "",
-    minStockLevel:"",
-    unit:"",
-    barcode: "",
+    minStockLevel: String(settings.minStockDefault),
+    unit: "pcs" as ProductUnit,
+    barcode: searchParams.get("barcode") ?? "", // Prefilled when coming from an unknown POS scan
     expiryDate: "",
+    hsnCode: "",
+    gstRate: String(settings.taxRate),
+    priceIncludesTax: true,
   });
 
   const handleChange = (e) => {
     setForm({ ...form, [e.target.name]: e.target.value });
   };
 
+  // Camera scans go through the same barcode lookup as the POS to catch duplicates
+  const handleBarcodeScan = async (barcode: string) => {
+    setForm((current) => ({ ...current, barcode }));
+    const existing = await lookupBarcode(barcode).catch(() => undefined); // Offline: the server still refuses duplicates on save
+    setBarcodeOwner(existing ? existing.name : null);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     const payload:ProductRequest={
@@ -37,7 +69,10 @@ export default function AddProduct() {
         barcode: form.barcode,
         expiryDate: form.expiryDate,
         unit:form.unit,
-        minStockLevel:Number(form.minStockLevel)
+        minStockLevel:Number(form.minStockLevel),
+        hsnCode: form.hsnCode || undefined,
+        gstRate: Number(form.gstRate) as GstRate,
+        priceIncludesTax: form.priceIncludesTax,
 
     }
     addProduct.mutate(payload);
@@ -82,7 +117,31 @@ export default function AddProduct() {
             </div>
 
             <div>
-              <Label>Price</Label>
+              <Label>Unit</Label>
+              <Select
+                value={form.unit}
+                onValueChange={(value) => setForm({ ...form, unit: value as ProductUnit })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PRODUCT_UNITS.map((unit) => (
+                    <SelectItem key={unit} value={unit}>
+                      {UNIT_LABELS[unit]} ({unit})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {isLooseUnit(form.unit) && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  Sold loose: the POS accepts decimal quantities and scale weights
+                </p>
+              )}
+            </div>
+
+            <div>
+              <Label>Price per {form.unit}</Label>
               <Input
                 name="price"
                 type="number"
@@ -93,21 +152,62 @@ export default function AddProduct() {
             </div>
 
             <div>
-              <Label>Cost Price</Label>
+              <Label>HSN Code</Label>
               <Input
-                name="costPrice"
-                type="number"
-                placeholder="12"
-                value={form.costPrice}
+                name="hsnCode"
+                placeholder="e.g. 1006"
+                value={form.hsnCode}
                 onChange={handleChange}
               />
             </div>
 
+            <div>
+              <Label>GST Rate</Label>
+              <Select
+                value={form.gstRate}
+                onValueChange={(value) => setForm({ ...form, gstRate: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {GST_SLABS.map((rate) => (
+                    <SelectItem key={rate} value={String(rate)}>
+                      {rate === 0 ? "0% (Exempt)" : `${rate}%`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <Label htmlFor="price-includes-tax">Price includes GST (MRP)</Label>
+              <Switch
+                id="price-includes-tax"
+                checked={form.priceIncludesTax}
+                onCheckedChange={(checked) => setForm({ ...form, priceIncludesTax: checked })}
+              />
+            </div>
+
+            {canSeeCost && (
+              <div>
+                <Label>Cost Price</Label>
+                <Input
+                  name="costPrice"
+                  type="number"
+                  placeholder="12"
+                  value={form.costPrice}
+                  onChange={handleChange}
+                />
+              </div>
+            )}
+
             <div>
               <Label>Stock Quantity</Label>
               <Input
                 name="stockQuantity"
                 type="number"
+                step={isLooseUnit(form.unit) ? "any" : 1}
                 placeholder="50"
                 value={form.stockQuantity}
                 onChange={handleChange}
@@ -124,24 +224,35 @@ export default function AddProduct() {
               />
             </div>
 
-            <div>
-              <Label>Unit</Label>
-              <Input
-                name="unit"
-                placeholder="50"
-                value={form.unit}
-                onChange={handleChange}
-              />
-            </div>
-
             <div>
               <Label>Barcode</Label>
-              <Input
-                name="barcode"
-                placeholder="Enter barcode"
-                value={form.barcode}
-                onChange={handleChange}
-              />
+              <div className="flex gap-2">
+                <Input
+                  name="barcode"
+                  placeholder="Enter barcode"
+                  value={form.barcode}
+                  onChange={(e) => {
+                    setBarcodeOwner(null);
+                    handleChange(e);
+                  }}
+                />
+                {isCameraAvailable() && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    title="Scan with camera"
+                    onClick={() => setCameraOpen(true)}
+                  >
+                    <Camera className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+              {barcodeOwner && (
+                <p className="text-sm text-destructive mt-1">
+                  This barcode is already assigned to {barcodeOwner}
+                </p>
+              )}
             </div>
 
             <div>
@@ -158,6 +269,13 @@ export default function AddProduct() {
           </form>
         </CardContent>
       </Card>
+
+      <CameraScannerDialog
+        open={cameraOpen}
+        onOpenChange={setCameraOpen}
+        onDetect={handleBarcodeScan}
+        title="Scan Product Barcode"
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useMemo, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Input } from "@/components/ui/input";
@@ -10,14 +10,37 @@ import {
   TableHeader,
   TableRow,
 } from "@/components/ui/table";
-import { Search, CreditCard, Phone, Calendar, Loader2 } from "lucide-react";
-import { useOutstandingAccounts, useTotalOutstanding } from "@/hooks/useCredit";
+import { Search, CreditCard, Phone, Calendar, Loader2, BellRing, Hourglass } from "lucide-react";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { useAllCreditTransactions, useOutstandingAccounts, useTotalOutstanding } from "@/hooks/useCredit";
+import { useCustomer } from "@/hooks/useCustomers";
+import { useReminderSchedules } from "@/hooks/useReminders";
+import { useCurrency } from "@/hooks/useSettings";
+import { usePermission } from "@/hooks/usePermission";
+import { RecordPaymentDialog } from "@/components/RecordPaymentDialog";
+import { CreditLedgerSheet } from "@/components/CreditLedgerSheet";
+import { ReminderDialog } from "@/components/ReminderDialog";
+import { CreditAgingReport } from "@/components/CreditAgingReport";
+import { StatCard } from "@/components/StatCard";
+import { AGING_BUCKETS, agingReport, agingTotals } from "@/lib/creditAging";
+import { internationalPhone, isReminderDue } from "@/lib/reminders";
+import type { Customer } from "@/services/customerService";
 
 const Credit = () => {
   const [searchQuery, setSearchQuery] = useState("");
+  const [paymentCustomer, setPaymentCustomer] = useState<Customer | null>(null);
+  const [historyCustomer, setHistoryCustomer] = useState<Customer | null>(null);
+  const [reminderQueue, setReminderQueue] = useState<Customer[]>([]);
 
   const { data: creditAccounts = [], isLoading, isError, error } = useOutstandingAccounts();
   const { data: totalCredit = 0 } = useTotalOutstanding();
+  const { data: schedules = [] } = useReminderSchedules();
+  const { data: allTransactions = [], isLoading: agingLoading } = useAllCreditTransactions();
+  const aging = useMemo(() => agingReport(allTransactions), [allTransactions]);
+  const formatCurrency = useCurrency();
+  const canRecordPayment = usePermission("credit.recordPayment");
+  // Fresh balance for the open ledger; a fully paid customer drops off the outstanding list
+  const { data: historyDetails } = useCustomer(historyCustomer?.id ?? "");
 
   if (isLoading) {
     return (
@@ -48,6 +71,20 @@ const Credit = () => {
       )
     : creditAccounts;
 
+  const filteredAging = searchQuery
+    ? aging.filter((row) => row.customerName.toLowerCase().includes(searchQuery.toLowerCase()))
+    : aging;
+  const bucketTotals = agingTotals(aging);
+
+  const nextDueAt = (customerId: string) => schedules.find((entry) => entry.customerId === customerId)?.nextDueAt;
+  const upcomingReminder = (customerId: string) => {
+    const due = nextDueAt(customerId);
+    return due && !isReminderDue(due) ? new Date(due).toLocaleDateString() : null;
+  };
+  const dueForReminder = creditAccounts.filter(
+    (account) => internationalPhone(account.phone) && isReminderDue(nextDueAt(account.id))
+  );
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -59,81 +96,150 @@ const Credit = () => {
         </div>
         <div className="text-right">
           <p className="text-sm text-muted-foreground">Total Outstanding</p>
-          <p className="text-3xl font-bold text-warning">₹{totalCredit.toLocaleString()}</p>
+          <p className="text-3xl font-bold text-warning">{formatCurrency(totalCredit)}</p>
         </div>
       </div>
 
-      <div className="flex items-center gap-4">
-        <div className="relative flex-1 max-w-md">
-          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
-          <Input
-            placeholder="Search customers..."
-            className="pl-9"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+      <div className="grid gap-4 md:grid-cols-4">
+        {AGING_BUCKETS.map((bucket) => (
+          <StatCard
+            key={bucket.key}
+            title={bucket.label}
+            value={formatCurrency(bucketTotals[bucket.key])}
+            icon={Hourglass}
+            trend={`${aging.filter((row) => row.buckets[bucket.key] > 0).length} customers`}
           />
-        </div>
-        <Button variant="outline">
-          <Calendar className="h-4 w-4 mr-2" />
-          Sort by Date
-        </Button>
+        ))}
       </div>
 
-      <div className="rounded-lg border bg-card">
-        <Table>
-          <TableHeader>
-            <TableRow>
-              <TableHead>Customer</TableHead>
-              <TableHead>Phone</TableHead>
-              <TableHead>Balance</TableHead>
-              <TableHead>Last Activity</TableHead>
-              <TableHead>Transactions</TableHead>
-              <TableHead className="text-right">Actions</TableHead>
-            </TableRow>
-          </TableHeader>
-          <TableBody>
-            {filteredAccounts.length === 0 ? (
-              <TableRow>
-                <TableCell colSpan={6} className="text-center py-8 text-muted-foreground">
-                  {searchQuery ? "No customers found" : "No outstanding credit"}
-                </TableCell>
-              </TableRow>
-            ) : (
-              filteredAccounts.map((account) => (
-                <TableRow key={account.id}>
-                  <TableCell className="font-medium">{account.name}</TableCell>
-                  <TableCell>
-                    <div className="flex items-center gap-2">
-                      <Phone className="h-3 w-3 text-muted-foreground" />
-                      {account.phone || "-"}
-                    </div>
-                  </TableCell>
-                  <TableCell>
-                    <Badge variant="outline" className="bg-warning/10 text-warning border-warning font-medium">
-                      ₹{account.creditBalance.toFixed(2)}
-                    </Badge>
-                  </TableCell>
-                  <TableCell className="text-sm">
-                    {account.updatedAt ? new Date(account.updatedAt).toLocaleDateString() : "-"}
-                  </TableCell>
-                  <TableCell>{account.totalPurchases} txns</TableCell>
-                  <TableCell className="text-right">
-                    <div className="flex justify-end gap-2">
-                      <Button variant="outline" size="sm">
-                        <CreditCard className="h-4 w-4 mr-2" />
-                        Record Payment
-                      </Button>
-                      <Button variant="ghost" size="sm">
-                        View History
-                      </Button>
-                    </div>
-                  </TableCell>
+      <Tabs defaultValue="accounts" className="space-y-4">
+        <div className="flex items-center gap-4">
+          <TabsList>
+            <TabsTrigger value="accounts">Accounts</TabsTrigger>
+            <TabsTrigger value="aging">Aging</TabsTrigger>
+          </TabsList>
+          <div className="relative flex-1 max-w-md">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+            <Input
+              placeholder="Search customers..."
+              className="pl-9"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+            />
+          </div>
+          <Button variant="outline">
+            <Calendar className="h-4 w-4 mr-2" />
+            Sort by Date
+          </Button>
+          {canRecordPayment && (
+            <Button onClick={() => setReminderQueue(dueForReminder)} disabled={dueForReminder.length === 0}>
+              <BellRing className="h-4 w-4 mr-2" />
+              Remind Due ({dueForReminder.length})
+            </Button>
+          )}
+        </div>
+
+        <TabsContent value="accounts">
+          <div className="rounded-lg border bg-card">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Phone</TableHead>
+                  <TableHead>Balance</TableHead>
+                  <TableHead>Last Activity</TableHead>
+                  <TableHead>Transactions</TableHead>
+                  <TableHead>Next Reminder</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
                 </TableRow>
-              ))
-            )}
-          </TableBody>
-        </Table>
-      </div>
+              </TableHeader>
+              <TableBody>
+                {filteredAccounts.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                      {searchQuery ? "No customers found" : "No outstanding credit"}
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  filteredAccounts.map((account) => (
+                    <TableRow key={account.id}>
+                      <TableCell className="font-medium">{account.name}</TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          <Phone className="h-3 w-3 text-muted-foreground" />
+                          {account.phone || "-"}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant="outline" className="bg-warning/10 text-warning border-warning font-medium">
+                          {formatCurrency(account.creditBalance)}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {account.updatedAt ? new Date(account.updatedAt).toLocaleDateString() : "-"}
+                      </TableCell>
+                      <TableCell>{account.totalPurchases} txns</TableCell>
+                      <TableCell className="text-sm">
+                        {upcomingReminder(account.id) ?? (
+                          <Badge variant="outline" className="border-destructive text-destructive">
+                            Due
+                          </Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <div className="flex justify-end gap-2">
+                          {canRecordPayment && (
+                            <>
+                              <Button variant="outline" size="sm" onClick={() => setPaymentCustomer(account)}>
+                                <CreditCard className="h-4 w-4 mr-2" />
+                                Record Payment
+                              </Button>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                title="Send payment reminder"
+                                onClick={() => setReminderQueue([account])}
+                              >
+                                <BellRing className="h-4 w-4" />
+                              </Button>
+                            </>
+                          )}
+                          <Button variant="ghost" size="sm" onClick={() => setHistoryCustomer(account)}>
+                            View History
+                          </Button>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        </TabsContent>
+
+        <TabsContent value="aging">
+          <CreditAgingReport rows={filteredAging} isLoading={agingLoading} />
+        </TabsContent>
+      </Tabs>
+
+      <RecordPaymentDialog
+        open={!!paymentCustomer}
+        onOpenChange={(open) => !open && setPaymentCustomer(null)}
+        customer={paymentCustomer}
+      />
+
+      <ReminderDialog
+        open={reminderQueue.length > 0}
+        onOpenChange={(open) => !open && setReminderQueue([])}
+        customers={reminderQueue}
+      />
+
+      <CreditLedgerSheet
+        open={!!historyCustomer}
+        onOpenChange={(open) => !open && setHistoryCustomer(null)}
+        customer={historyDetails ?? historyCustomer}
+        onRecordPayment={canRecordPayment ? setPaymentCustomer : undefined}
+      />
     </div>
   );
 };
@@ -0,0 +1,438 @@
+import { useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  ArrowLeft,
+  BellRing,
+  CreditCard,
+  Gift,
+  History,
+  IndianRupee,
+  Loader2,
+  Mail,
+  MapPin,
+  Pencil,
+  Phone,
+  ShoppingCart,
+  Wallet,
+} from "lucide-react";
+import { useCustomer } from "@/hooks/useCustomers";
+import { useCustomerCreditTransactions } from "@/hooks/useCredit";
+import { useCustomerLoyalty } from "@/hooks/useLoyalty";
+import { usePermissions } from "@/hooks/usePermission";
+import { useSales } from "@/hooks/useSales";
+import { useCurrency, useSettings } from "@/hooks/useSettings";
+import { StatCard } from "@/components/StatCard";
+import { EditCustomerDialog } from "@/components/EditCustomerDialog";
+import { RecordPaymentDialog } from "@/components/RecordPaymentDialog";
+import { CreditLedgerSheet } from "@/components/CreditLedgerSheet";
+import { ReminderDialog } from "@/components/ReminderDialog";
+import { ledgerEntries } from "@/lib/creditLedger";
+import { describeEntry } from "@/lib/creditStatement";
+import { creditUsage, hasCreditLimit } from "@/lib/creditPolicy";
+import { frequentProducts } from "@/lib/customerInsights";
+import { expiringPoints, redeemableValue } from "@/lib/loyalty";
+import { internationalPhone } from "@/lib/reminders";
+import { formatQuantity } from "@/lib/units";
+import type { LoyaltyTransactionType } from "@/services/loyaltyService";
+
+const HISTORY_PAGE_SIZE = 10;
+const INSIGHT_BILLS = 100; // Recent bills used for frequently bought products
+
+const LOYALTY_LABELS: Record<LoyaltyTransactionType, string> = {
+  EARNED: "Earned",
+  REDEEMED: "Redeemed",
+  REVERSED: "Reversed on return",
+  EXPIRED: "Expired",
+  ADJUSTED: "Adjusted",
+};
+
+const formatDate = (dateString: string) =>
+  new Date(dateString).toLocaleDateString("en-IN", { year: "numeric", month: "short", day: "numeric" });
+
+const CustomerDetail = () => {
+  const { id = "" } = useParams();
+  const navigate = useNavigate();
+  const formatCurrency = useCurrency();
+  const { data: settings } = useSettings();
+  const can = usePermissions();
+  const [historyPage, setHistoryPage] = useState(0);
+  const [editOpen, setEditOpen] = useState(false);
+  const [paymentOpen, setPaymentOpen] = useState(false);
+  const [ledgerOpen, setLedgerOpen] = useState(false);
+  const [reminderOpen, setReminderOpen] = useState(false);
+
+  const { data: customer, isLoading, isError, error } = useCustomer(id);
+  const { data: historyData, isLoading: historyLoading } = useSales({
+    customerId: id,
+    page: historyPage,
+    size: HISTORY_PAGE_SIZE,
+  });
+  const { data: recentData } = useSales({ customerId: id, size: INSIGHT_BILLS });
+  const { data: transactions = [], isLoading: ledgerLoading } = useCustomerCreditTransactions(id);
+  const { data: pointsHistory = [], isLoading: pointsLoading } = useCustomerLoyalty(id);
+
+  const favourites = useMemo(() => frequentProducts(recentData?.content ?? []), [recentData]);
+  // Newest first on the page; the statement sheet keeps the oldest-first order
+  const entries = useMemo(() => ledgerEntries(transactions).reverse(), [transactions]);
+  const pointsEntries = useMemo(
+    () => [...pointsHistory].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    [pointsHistory]
+  );
+  const pointsExpiring = useMemo(() => expiringPoints(pointsHistory), [pointsHistory]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (isError || !customer) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center">
+          <p className="text-destructive font-medium">Failed to load customer</p>
+          <p className="text-sm text-muted-foreground mt-1">
+            {error instanceof Error ? error.message : "Customer not found"}
+          </p>
+          <Button variant="link" onClick={() => navigate("/customers")}>
+            Back to customers
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  const sales = historyData?.content ?? [];
+  const totalPages = historyData?.totalPages ?? 1;
+  const usage = creditUsage(customer);
+  const averageBill = customer.totalPurchases ? customer.totalSpent / customer.totalPurchases : 0;
+  const pointsWorth = redeemableValue(customer.loyaltyPoints, settings);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <Button variant="ghost" size="icon" title="Back to customers" onClick={() => navigate("/customers")}>
+            <ArrowLeft className="h-4 w-4" />
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">{customer.name}</h1>
+            <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-sm text-muted-foreground">
+              {customer.phone && (
+                <span className="flex items-center gap-1">
+                  <Phone className="h-3 w-3" />
+                  {customer.phone}
+                </span>
+              )}
+              {customer.email && (
+                <span className="flex items-center gap-1">
+                  <Mail className="h-3 w-3" />
+                  {customer.email}
+                </span>
+              )}
+              {customer.address && (
+                <span className="flex items-center gap-1">
+                  <MapPin className="h-3 w-3" />
+                  {customer.address}
+                </span>
+              )}
+              <span>Customer since {formatDate(customer.createdAt)}</span>
+            </div>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {can("customers.edit") && (
+            <Button variant="outline" onClick={() => setEditOpen(true)}>
+              <Pencil className="h-4 w-4 mr-2" />
+              Edit
+            </Button>
+          )}
+          {customer.creditBalance > 0 && can("credit.recordPayment") && (
+            <>
+              <Button
+                variant="outline"
+                disabled={!internationalPhone(customer.phone)}
+                onClick={() => setReminderOpen(true)}
+              >
+                <BellRing className="h-4 w-4 mr-2" />
+                Remind
+              </Button>
+              <Button variant="outline" onClick={() => setPaymentOpen(true)}>
+                <CreditCard className="h-4 w-4 mr-2" />
+                Record Payment
+              </Button>
+            </>
+          )}
+          {can("pos.use") && (
+            <Button onClick={() => navigate(`/pos?customer=${customer.id}`)}>
+              <ShoppingCart className="h-4 w-4 mr-2" />
+              New Bill
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-4">
+        <StatCard
+          title="Credit Due"
+          value={formatCurrency(customer.creditBalance)}
+          icon={Wallet}
+          trend={
+            hasCreditLimit(customer)
+              ? `${Math.round(usage * 100)}% of ${formatCurrency(customer.creditLimit)} limit`
+              : "No credit limit"
+          }
+          className={usage >= 1 ? "border-destructive" : usage >= 0.8 ? "border-warning" : undefined}
+        />
+        <StatCard
+          title="Loyalty Points"
+          value={customer.loyaltyPoints}
+          icon={Gift}
+          trend={[
+            pointsWorth > 0 && `Worth ${formatCurrency(pointsWorth)}`,
+            pointsExpiring > 0 && `${pointsExpiring} expiring within 30 days`,
+          ]
+            .filter(Boolean)
+            .join(" · ")}
+        />
+        <StatCard title="Total Spent" value={formatCurrency(customer.totalSpent)} icon={IndianRupee} />
+        <StatCard
+          title="Purchases"
+          value={customer.totalPurchases}
+          icon={History}
+          trend={averageBill ? `Average bill ${formatCurrency(averageBill)}` : undefined}
+        />
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <Tabs defaultValue="purchases" className="space-y-4 lg:col-span-2">
+          <TabsList>
+            <TabsTrigger value="purchases">Purchases</TabsTrigger>
+            <TabsTrigger value="ledger">Credit Ledger</TabsTrigger>
+            <TabsTrigger value="points">Points</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="purchases" className="space-y-3">
+            <div className="rounded-lg border bg-card">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Bill</TableHead>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Items</TableHead>
+                    <TableHead className="text-right">Total</TableHead>
+                    <TableHead className="text-right">On Credit</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {historyLoading ? (
+                    <TableRow>
+                      <TableCell colSpan={5} className="py-8">
+                        <Loader2 className="mx-auto h-6 w-6 animate-spin text-muted-foreground" />
+                      </TableCell>
+                    </TableRow>
+                  ) : sales.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} className="text-center py-8 text-muted-foreground">
+                        No purchases yet
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    sales.map((sale) => (
+                      <TableRow key={sale.id}>
+                        <TableCell className="font-mono">{sale.billNumber}</TableCell>
+                        <TableCell className="text-sm">{formatDate(sale.createdAt)}</TableCell>
+                        <TableCell className="max-w-xs truncate text-sm text-muted-foreground">
+                          {sale.items.map((item) => item.productName).join(", ")}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">{formatCurrency(sale.totalAmount)}</TableCell>
+                        <TableCell className="text-right">
+                          {sale.creditAmount > 0 ? (
+                            <span className="text-warning">{formatCurrency(sale.creditAmount)}</span>
+                          ) : (
+                            "-"
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+            {totalPages > 1 && (
+              <div className="flex items-center justify-end gap-2 text-sm text-muted-foreground">
+                <span>
+                  Page {historyPage + 1} of {totalPages}
+                </span>
+                <Button variant="outline" size="sm" disabled={historyPage === 0} onClick={() => setHistoryPage(historyPage - 1)}>
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={historyPage + 1 >= totalPages}
+                  onClick={() => setHistoryPage(historyPage + 1)}
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="ledger" className="space-y-3">
+            <div className="flex justify-end">
+              <Button variant="outline" size="sm" onClick={() => setLedgerOpen(true)} disabled={!entries.length}>
+                Statement
+              </Button>
+            </div>
+            <div className="rounded-lg border bg-card">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Particulars</TableHead>
+                    <TableHead className="text-right">Debit</TableHead>
+                    <TableHead className="text-right">Credit</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {ledgerLoading ? (
+                    <TableRow>
+                      <TableCell colSpan={5} className="py-8">
+                        <Loader2 className="mx-auto h-6 w-6 animate-spin text-muted-foreground" />
+                      </TableCell>
+                    </TableRow>
+                  ) : entries.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} className="text-center py-8 text-muted-foreground">
+                        No credit history
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    entries.map((entry) => (
+                      <TableRow key={entry.transaction.id}>
+                        <TableCell className="text-sm whitespace-nowrap">{formatDate(entry.transaction.createdAt)}</TableCell>
+                        <TableCell className="text-sm">{describeEntry(entry)}</TableCell>
+                        <TableCell className="text-right text-sm text-warning">
+                          {entry.debit ? formatCurrency(entry.debit) : ""}
+                        </TableCell>
+                        <TableCell className="text-right text-sm text-success">
+                          {entry.credit ? formatCurrency(entry.credit) : ""}
+                        </TableCell>
+                        <TableCell className="text-right text-sm font-medium">{formatCurrency(entry.balance)}</TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="points">
+            <div className="rounded-lg border bg-card">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Particulars</TableHead>
+                    <TableHead className="text-right">Points</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {pointsLoading ? (
+                    <TableRow>
+                      <TableCell colSpan={4} className="py-8">
+                        <Loader2 className="mx-auto h-6 w-6 animate-spin text-muted-foreground" />
+                      </TableCell>
+                    </TableRow>
+                  ) : pointsEntries.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={4} className="text-center py-8 text-muted-foreground">
+                        No points yet
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    pointsEntries.map((entry) => (
+                      <TableRow key={entry.id}>
+                        <TableCell className="text-sm whitespace-nowrap">{formatDate(entry.createdAt)}</TableCell>
+                        <TableCell className="text-sm">
+                          {LOYALTY_LABELS[entry.type]}
+                          {(entry.billNumber || entry.creditNoteNumber) && (
+                            <span className="ml-1 font-mono text-xs">{entry.creditNoteNumber ?? entry.billNumber}</span>
+                          )}
+                          {entry.expiresAt && entry.points > 0 && (
+                            <p className="text-xs text-muted-foreground">Expires {formatDate(entry.expiresAt)}</p>
+                          )}
+                          {entry.notes && <p className="text-xs text-muted-foreground">{entry.notes}</p>}
+                        </TableCell>
+                        <TableCell className={`text-right text-sm ${entry.points > 0 ? "text-success" : "text-warning"}`}>
+                          {entry.points > 0 ? `+${entry.points}` : entry.points}
+                        </TableCell>
+                        <TableCell className="text-right text-sm font-medium">{entry.balanceAfter}</TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </TabsContent>
+        </Tabs>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Frequently Bought</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {favourites.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No purchases yet</p>
+            ) : (
+              <div className="space-y-3">
+                {favourites.map((product) => (
+                  <div key={product.productId} className="flex items-start justify-between gap-2 text-sm">
+                    <div>
+                      <p className="font-medium">{product.productName}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {formatQuantity(product.quantity, product.unit)} · last {formatDate(product.lastBought)}
+                      </p>
+                    </div>
+                    <Badge variant="secondary">
+                      {product.bills} {product.bills === 1 ? "bill" : "bills"}
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <EditCustomerDialog open={editOpen} onOpenChange={setEditOpen} customer={customer} />
+      <RecordPaymentDialog open={paymentOpen} onOpenChange={setPaymentOpen} customer={customer} />
+      <ReminderDialog open={reminderOpen} onOpenChange={setReminderOpen} customers={[customer]} />
+      <CreditLedgerSheet
+        open={ledgerOpen}
+        onOpenChange={setLedgerOpen}
+        customer={customer}
+        onRecordPayment={can("credit.recordPayment") ? () => setPaymentOpen(true) : undefined}
+      />
+    </div>
+  );
+};
+
+export default CustomerDetail;
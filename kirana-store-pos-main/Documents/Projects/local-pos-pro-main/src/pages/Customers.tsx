@@ -12,12 +12,21 @@ import {
 } from "@/components/ui/table";
 import { Plus, Search, Pencil, CreditCard, Phone, Loader2 } from "lucide-react";
 import { useCustomers } from "@/hooks/useCustomers";
+import { useCurrency } from "@/hooks/useSettings";
+import { usePermissions } from "@/hooks/usePermission";
 import { useNavigate } from "react-router-dom";
+import { EditCustomerDialog } from "@/components/EditCustomerDialog";
+import { RecordPaymentDialog } from "@/components/RecordPaymentDialog";
+import type { Customer } from "@/services/customerService";
 
 const Customers = () => {
+  const formatCurrency = useCurrency();
   const navigate=useNavigate();
+  const can = usePermissions();
   const [searchQuery, setSearchQuery] = useState("");
   const [currentPage, setCurrentPage] = useState(0);
+  const [editCustomer, setEditCustomer] = useState<Customer | null>(null);
+  const [paymentCustomer, setPaymentCustomer] = useState<Customer | null>(null);
 
   const { data: customersData, isLoading, isError, error } = useCustomers({
     search: searchQuery || undefined,
@@ -57,10 +66,12 @@ const Customers = () => {
             Manage customer information and credit
           </p>
         </div>
-        <Button onClick={()=>navigate("/addcustomer")}>
-          <Plus className="h-4 w-4 mr-2" />
-          Add Customer
-        </Button>
+        {can("customers.edit") && (
+          <Button onClick={()=>navigate("/addcustomer")}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Customer
+          </Button>
+        )}
       </div>
 
       <div className="flex items-center gap-4">
@@ -100,7 +111,11 @@ const Customers = () => {
               </TableRow>
             ) : (
               customers.map((customer) => (
-                <TableRow key={customer.id}>
+                <TableRow
+                  key={customer.id}
+                  className="cursor-pointer"
+                  onClick={() => navigate(`/customers/${customer.id}`)}
+                >
                   <TableCell className="font-medium">{customer.name}</TableCell>
                   <TableCell>
                     <div className="flex items-center gap-2">
@@ -111,25 +126,33 @@ const Customers = () => {
                   <TableCell>
                     {customer.creditBalance > 0 ? (
                       <Badge variant="outline" className="bg-warning/10 text-warning border-warning">
-                        ₹{customer.creditBalance.toFixed(2)}
+                        {formatCurrency(customer.creditBalance)}
                       </Badge>
                     ) : (
-                      <span className="text-muted-foreground">₹0</span>
+                      <span className="text-muted-foreground">{formatCurrency(0)}</span>
                     )}
                   </TableCell>
-                  <TableCell>₹{customer.totalSpent.toLocaleString()}</TableCell>
+                  <TableCell>{formatCurrency(customer.totalSpent)}</TableCell>
                   <TableCell>{customer.totalPurchases}</TableCell>
                   <TableCell className="text-right">
-                    <div className="flex justify-end gap-2">
-                      {customer.creditBalance > 0 && (
-                        <Button variant="outline" size="sm">
+                    <div className="flex justify-end gap-2" onClick={(e) => e.stopPropagation()}>
+                      {customer.creditBalance > 0 && can("credit.recordPayment") && (
+                        <Button variant="outline" size="sm" onClick={() => setPaymentCustomer(customer)}>
                           <CreditCard className="h-4 w-4 mr-2" />
                           Pay Credit
                         </Button>
                       )}
-                      <Button variant="ghost" size="icon" className="h-8 w-8">
-                        <Pencil className="h-4 w-4" />
-                      </Button>
+                      {can("customers.edit") && (
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8"
+                          title="Edit customer"
+                          onClick={() => setEditCustomer(customer)}
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </TableCell>
                 </TableRow>
@@ -138,6 +161,17 @@ const Customers = () => {
           </TableBody>
         </Table>
       </div>
+
+      <EditCustomerDialog
+        open={!!editCustomer}
+        onOpenChange={(open) => !open && setEditCustomer(null)}
+        customer={editCustomer}
+      />
+      <RecordPaymentDialog
+        open={!!paymentCustomer}
+        onOpenChange={(open) => !open && setPaymentCustomer(null)}
+        customer={paymentCustomer}
+      />
     </div>
   );
 };
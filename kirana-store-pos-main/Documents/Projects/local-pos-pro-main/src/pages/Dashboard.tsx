@@ -13,9 +13,16 @@ import {
   Loader2,
 } from "lucide-react";
 import { useDashboard } from "@/hooks/useDashboard";
+import { useTodaySales } from "@/hooks/useSales";
+import { totalsByTender, TENDER_LABELS, type TenderMethod } from "@/lib/tenders";
+import { useCurrency } from "@/hooks/useSettings";
 
 const Dashboard = () => {
   const { data: dashboardData, isLoading, isError, error } = useDashboard();
+  const formatCurrency = useCurrency();
+  // Split-tender bills are broken down per method, which the summary totals can't do
+  const { data: todaySales = [] } = useTodaySales();
+  const tenderTotals = totalsByTender(todaySales);
 
   if (isLoading) {
     return (
@@ -65,7 +72,7 @@ const Dashboard = () => {
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-5">
         <StatCard
           title="Today's Sales"
-          value={`₹${dashboardData?.todaySales?.totalAmount.toLocaleString() || 0}`}
+          value={formatCurrency(dashboardData?.todaySales?.totalAmount)}
           icon={IndianRupee}
           trend={`${dashboardData?.todaySales?.billsCount || 0} transactions`}
           className="lg:col-span-1"
@@ -74,12 +81,12 @@ const Dashboard = () => {
           title="Bills Count"
           value={`${dashboardData?.todaySales?.billsCount || 0}`}
           icon={Receipt}
-          trend={`Cash: ${dashboardData?.todaySales?.cashSales.toLocaleString() || 0}`}
+          trend={`Cash: ${formatCurrency(tenderTotals.CASH)}`}
           className="lg:col-span-1"
         />
         <StatCard
           title="Credit Outstanding"
-          value={`₹${dashboardData?.creditOutstanding?.totalAmount?.toLocaleString() || 0}`}
+          value={formatCurrency(dashboardData?.creditOutstanding?.totalAmount)}
           icon={CreditCard}
           trend={`${dashboardData?.creditOutstanding?.customersCount || 0} customers`}
           className="lg:col-span-1"
@@ -100,6 +107,26 @@ const Dashboard = () => {
         />
       </div>
 
+      <Card>
+        <CardHeader>
+          <CardTitle>Today's Collections</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 sm:grid-cols-4">
+            {(["CASH", "UPI", "CARD", "CREDIT"] as TenderMethod[]).map((method) => (
+              <div key={method} className="rounded-lg border p-3">
+                <p className="text-sm text-muted-foreground">
+                  {method === "CREDIT" ? "Given on credit" : TENDER_LABELS[method]}
+                </p>
+                <p className={`text-xl font-bold ${method === "CREDIT" ? "text-warning" : ""}`}>
+                  {formatCurrency(tenderTotals[method])}
+                </p>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
       <div className="grid gap-4 md:grid-cols-2">
         <Card>
           <CardHeader>
@@ -0,0 +1,200 @@
+import { useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Loader2 } from "lucide-react";
+import { useSalesInRange } from "@/hooks/useSales";
+import { useCurrency } from "@/hooks/useSettings";
+import { discountEntries, type DiscountKind } from "@/lib/discounts";
+import { round2 } from "@/lib/tax";
+
+const today = () => new Date().toISOString().slice(0, 10);
+const monthStart = () => `${today().slice(0, 8)}01`;
+
+const KIND_LABELS: Record<DiscountKind, string> = {
+  LINE: "Item discount",
+  PRICE_OVERRIDE: "Price override",
+  BILL: "Bill discount",
+};
+
+const DiscountReport = () => {
+  const formatCurrency = useCurrency();
+  const [startDate, setStartDate] = useState(monthStart);
+  const [endDate, setEndDate] = useState(today);
+  const invalidRange = !startDate || !endDate || startDate > endDate;
+
+  const { data: sales = [], isLoading, isError, error } = useSalesInRange(
+    invalidRange ? "" : startDate,
+    invalidRange ? "" : endDate
+  );
+  const entries = useMemo(() => discountEntries(sales), [sales]);
+
+  const totalsByKind = entries.reduce<Record<DiscountKind, number>>(
+    (totals, entry) => ({ ...totals, [entry.kind]: round2(totals[entry.kind] + entry.amount) }),
+    { LINE: 0, PRICE_OVERRIDE: 0, BILL: 0 }
+  );
+  const total = round2(totalsByKind.LINE + totalsByKind.PRICE_OVERRIDE + totalsByKind.BILL);
+
+  // Who gave how much, so the owner can spot a cashier who discounts too freely
+  const byPerson = Object.entries(
+    entries.reduce<Record<string, { name: string; amount: number; count: number; approved: number }>>((people, entry) => {
+      const key = entry.appliedBy?.userId ?? "unknown";
+      const person = people[key] ?? { name: entry.appliedBy?.name ?? "Not recorded", amount: 0, count: 0, approved: 0 };
+      people[key] = {
+        ...person,
+        amount: round2(person.amount + entry.amount),
+        count: person.count + 1,
+        approved: person.approved + (entry.approvedBy ? 1 : 0),
+      };
+      return people;
+    }, {})
+  )
+    .map(([id, person]) => ({ id, ...person }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const formatDate = (value: string) =>
+    new Date(value).toLocaleString("en-IN", { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold tracking-tight">Discount Report</h1>
+          <p className="text-muted-foreground">Discounts and price overrides given at the counter</p>
+        </div>
+        <div className="flex items-end gap-2">
+          <div className="space-y-1">
+            <Label htmlFor="discount-start">From</Label>
+            <Input
+              id="discount-start"
+              type="date"
+              value={startDate}
+              max={endDate}
+              onChange={(e) => setStartDate(e.target.value)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="discount-end">To</Label>
+            <Input
+              id="discount-end"
+              type="date"
+              value={endDate}
+              min={startDate}
+              onChange={(e) => setEndDate(e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-4">
+        {[
+          { title: "Total Given", value: total },
+          { title: KIND_LABELS.LINE, value: totalsByKind.LINE },
+          { title: KIND_LABELS.PRICE_OVERRIDE, value: totalsByKind.PRICE_OVERRIDE },
+          { title: KIND_LABELS.BILL, value: totalsByKind.BILL },
+        ].map((card) => (
+          <Card key={card.title}>
+            <CardHeader className="pb-2">
+              <CardTitle className="text-sm font-medium text-muted-foreground">{card.title}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-bold">{formatCurrency(card.value)}</p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-48">
+          <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+        </div>
+      ) : isError ? (
+        <p className="text-center text-destructive">
+          {error instanceof Error ? error.message : "Failed to load sales"}
+        </p>
+      ) : (
+        <>
+          {byPerson.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">By Staff</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Given by</TableHead>
+                      <TableHead>Discounts</TableHead>
+                      <TableHead>Owner approved</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {byPerson.map((person) => (
+                      <TableRow key={person.id}>
+                        <TableCell className="font-medium">{person.name}</TableCell>
+                        <TableCell>{person.count}</TableCell>
+                        <TableCell>{person.approved}</TableCell>
+                        <TableCell className="text-right">{formatCurrency(person.amount)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          )}
+
+          <div className="rounded-lg border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Bill</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead>Details</TableHead>
+                  <TableHead>Given by</TableHead>
+                  <TableHead>Approved by</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                      {invalidRange ? "Choose a valid date range" : "No discounts in this period"}
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  entries.map((entry, index) => (
+                    <TableRow key={`${entry.saleId}-${index}`}>
+                      <TableCell className="font-mono">{entry.billNumber}</TableCell>
+                      <TableCell>{formatDate(entry.createdAt)}</TableCell>
+                      <TableCell>
+                        <Badge variant="outline">{KIND_LABELS[entry.kind]}</Badge>
+                      </TableCell>
+                      <TableCell>{entry.description}</TableCell>
+                      <TableCell>{entry.appliedBy?.name ?? "-"}</TableCell>
+                      <TableCell>{entry.approvedBy?.name ?? "-"}</TableCell>
+                      <TableCell className="text-right">{formatCurrency(entry.amount)}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DiscountReport;
@@ -0,0 +1,29 @@
+import { useNavigate } from "react-router-dom";
+import { ShieldX } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { homePath, ROLE_LABELS, type Role } from "@/lib/permissions";
+
+const Forbidden = () => {
+  const navigate = useNavigate();
+  const { data: user } = useCurrentUser();
+
+  return (
+    <div className="flex items-center justify-center h-96">
+      <div className="text-center space-y-2">
+        <ShieldX className="mx-auto h-10 w-10 text-muted-foreground" />
+        <h1 className="text-4xl font-bold">403</h1>
+        <p className="text-muted-foreground">
+          {user
+            ? `${ROLE_LABELS[user.role as Role] ?? user.role} accounts cannot open this page. Ask the owner for access.`
+            : "Log in to open this page."}
+        </p>
+        <Button variant="link" onClick={() => navigate(user ? homePath(user.role) : "/login")}>
+          {user ? "Go to my home page" : "Log in"}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default Forbidden;
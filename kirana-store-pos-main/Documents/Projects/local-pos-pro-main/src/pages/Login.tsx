@@ -1,11 +1,15 @@
 import { useState } from "react";
-import { useLogin } from "../hooks/useAuth";
+import { Link } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import { useLogin, useSetupStatus } from "../hooks/useAuth";
 import { Button } from "../components/ui/button";
-
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
 
 const Login = () => {
   const login = useLogin();
-  
+  const { data: setup } = useSetupStatus();
 
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
@@ -16,30 +20,51 @@ const Login = () => {
   };
 
   return (
-    <div className="p-6 max-w-sm mx-auto">
-      <h1 className="text-xl font-bold mb-4">Login</h1>
-      <form onSubmit={handleSubmit}>
-        <input
-          type="email"
-          placeholder="Email"
-          className="input"
-          value={email}
-          onChange={(e) => setEmail(e.target.value)}
-        />
-
-        <input
-          type="password"
-          placeholder="Password"
-          className="input mt-3"
-          value={password}
-          onChange={(e) => setPassword(e.target.value)}
-        />
-
-        <Button type="submit" className="mt-4 w-full">
-          Login
-        </Button>
-      </form>
-    </div>
+    <Card>
+      <CardHeader>
+        <CardTitle>Login</CardTitle>
+        <CardDescription>Sign in to open the counter</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="login-email">Email</Label>
+            <Input
+              id="login-email"
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoFocus
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="login-password">Password</Label>
+            <Input
+              id="login-password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <Button type="submit" className="w-full" disabled={login.isPending}>
+            {login.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Login
+          </Button>
+        </form>
+        {setup?.needsOwner && (
+          <p className="mt-4 text-center text-sm text-muted-foreground">
+            Setting up a new store?{" "}
+            <Link to="/register" className="text-primary hover:underline">
+              Create an owner account
+            </Link>
+          </p>
+        )}
+      </CardContent>
+    </Card>
   );
 };
 
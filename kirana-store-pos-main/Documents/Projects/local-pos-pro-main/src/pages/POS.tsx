@@ -1,127 +1,553 @@
-import { useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import {
-  Select,
-  SelectContent,
-  SelectItem,
-  SelectTrigger,
-  SelectValue,
-} from "@/components/ui/select";
-import { Search, Plus, Minus, Trash2, User } from "lucide-react";
+import { Search, Plus, Minus, Trash2, User, WifiOff, ScanBarcode, Camera, Tag, Scale, Keyboard } from "lucide-react";
+import { ToastAction } from "@/components/ui/toast";
 import { Separator } from "@/components/ui/separator";
-import { useProducts } from "@/hooks/useProducts";
-import { useCustomers } from "@/hooks/useCustomers";
+import { Switch } from "@/components/ui/switch";
+import { useProductCatalog } from "@/hooks/useProductCatalog";
+import { useBarcodeLookup } from "@/hooks/useProducts";
+import { useBarcodeScanner } from "@/hooks/useBarcodeScanner";
+import { useToast } from "@/hooks/use-toast";
+import { playBeep } from "@/lib/feedback";
+import { printReceipt } from "@/lib/thermalPrinter";
+import { useReceiptOptions } from "@/hooks/useReceiptSettings";
+import { useScaleSettings } from "@/hooks/useScaleSettings";
+import { useSettings, useCurrency } from "@/hooks/useSettings";
+import { useCustomer } from "@/hooks/useCustomers";
+import { useCurrentUser } from "@/hooks/useAuth";
+import { usePermission } from "@/hooks/usePermission";
 import { useCreateSale } from "@/hooks/useSales";
+import { useSaleOutbox } from "@/hooks/useSaleOutbox";
+import { useOnlineStatus } from "@/hooks/useOnlineStatus";
+import { useHotkeys, type HotkeyHandler } from "@/hooks/useHotkeys";
+import { useParkedCarts, useHoldCart, useRecallCart } from "@/hooks/useParkedCarts";
+import { PendingSalesCard } from "@/components/PendingSalesCard";
+import { SplitTenderPanel } from "@/components/SplitTenderPanel";
+import { ParkedCartsMenu } from "@/components/ParkedCartsMenu";
+import { DiscountPopover, type DiscountChange } from "@/components/DiscountPopover";
+import { OwnerApprovalDialog } from "@/components/OwnerApprovalDialog";
+import { QuantityInput } from "@/components/QuantityInput";
+import { ProductCommandPalette } from "@/components/ProductCommandPalette";
+import { ShortcutsDialog } from "@/components/ShortcutsDialog";
+import { CustomerPicker } from "@/components/CustomerPicker";
+import { CameraScannerDialog } from "@/components/CameraScannerDialog";
+import { isCameraAvailable } from "@/lib/cameraScanner";
+import { parseScaleBarcode } from "@/lib/scaleBarcode";
+import { weighingScale } from "@/lib/weighingScale";
+import {
+  defaultQuantity,
+  isLooseUnit,
+  normalizeUnit,
+  perUnitSuffix,
+  quantityFromKilograms,
+  quantityStep,
+  roundQuantity,
+} from "@/lib/units";
+import { computeBillTax, round2, type SupplyType } from "@/lib/tax";
+import {
+  allocateBillDiscount,
+  billDiscountAmount,
+  discountPercent,
+  discountPerUnit,
+  needsApproval,
+  roundOff,
+  type AppliedDiscount,
+  type DiscountActor,
+} from "@/lib/discounts";
+import { cartStorage, EMPTY_DRAFT, type BillDraft, type CartItem } from "@/lib/cart";
+import { summarizeTenders, paymentMethodFor, toTenderInputs, type TenderInput, type TenderRow } from "@/lib/tenders";
+import { checkCredit, creditUsage, hasCreditLimit } from "@/lib/creditPolicy";
+import { pointsEarned, pointsForValue, redeemableValue } from "@/lib/loyalty";
+import { POS_SHORTCUTS, type PosAction } from "@/lib/posShortcuts";
 import type { Product } from "@/services/productService";
 
-interface CartItem {
-  productId: string;
-  name: string;
-  price: number;
-  quantity: number;
-  discount: number;
+interface PendingApproval {
+  reason: string;
+  apply: (owner: DiscountActor) => void;
 }
-const WALK_IN = "WALK_IN";
-
 
 const POS = () => {
-  const [cart, setCart] = useState<CartItem[]>([]);
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { toast } = useToast();
+  // Restore the bill in progress so a reload or navigation loses nothing
+  const [initialDraft] = useState(cartStorage.loadActive);
+  const [cart, setCart] = useState<CartItem[]>(initialDraft.items);
   const [searchQuery, setSearchQuery] = useState("");
-  const [selectedCustomerId, setSelectedCustomerId] = useState<string | undefined>();
-  const [paymentMethod, setPaymentMethod] = useState<"CASH" | "UPI" | "CARD" | "CREDIT" | "PARTIAL">("CASH");
-  const [amountPaid, setAmountPaid] = useState("");
+  const [selectedCustomerId, setSelectedCustomerId] = useState<string | undefined>(initialDraft.customerId);
+  const [tenderRows, setTenderRows] = useState<TenderRow[]>(initialDraft.tenderRows);
+  const [balanceOnCredit, setBalanceOnCredit] = useState(initialDraft.balanceOnCredit);
+  const [supplyType, setSupplyType] = useState<SupplyType>(initialDraft.supplyType);
+  const [billDiscount, setBillDiscount] = useState<AppliedDiscount | undefined>(initialDraft.billDiscount);
+  const [roundOffEnabled, setRoundOffEnabled] = useState(initialDraft.roundOff);
+  const [approval, setApproval] = useState<PendingApproval | null>(null);
+  const [scanError, setScanError] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  // Keyboard billing: highlighted search result, selected bill line and a quantity being typed for it
+  const [highlightedResult, setHighlightedResult] = useState(0);
+  const [selectedLineId, setSelectedLineId] = useState<string | null>(null);
+  const [typedQuantity, setTypedQuantity] = useState("");
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  const [customerPickerOpen, setCustomerPickerOpen] = useState(false);
+  const searchInputRef = useRef<HTMLInputElement>(null);
 
-  // Fetch products and customers
-  const { data: productsData } = useProducts({ search: searchQuery || undefined, size: 50 });
-  const { data: customersData } = useCustomers({ size: 100 });
+  // Products come from the local catalog mirror; customers from the API
+  const catalog = useProductCatalog();
+  const { search: searchCatalog } = catalog;
+  const lookupBarcode = useBarcodeLookup();
+  const receiptOptions = useReceiptOptions();
+  const { data: scaleSettings } = useScaleSettings();
+  const { data: settings } = useSettings();
+  const formatCurrency = useCurrency();
+  const { data: selectedCustomer } = useCustomer(selectedCustomerId ?? "");
   const createSale = useCreateSale();
+  const isOnline = useOnlineStatus();
+  const { data: outboxEntries = [] } = useSaleOutbox();
+  const { data: currentUser } = useCurrentUser();
+  const canApprove = usePermission("pos.approve");
+  const canAddProducts = usePermission("products.edit");
+  const { data: parkedCarts } = useParkedCarts();
+  const holdCart = useHoldCart();
+  const recallCart = useRecallCart();
 
-  const products = productsData?.content || [];
-  const customers = customersData?.content || [];
+  const searchResults = useMemo(() => searchCatalog(searchQuery, 10), [searchCatalog, searchQuery]);
 
   // Cart calculations
   const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const totalDiscount = cart.reduce(
+  const lineDiscountTotal = cart.reduce(
     (sum, item) => sum + (item.discount || 0) * item.quantity,
     0
   );
-  const tax = 0; // No tax calculation in API
-  const total = subtotal - totalDiscount;
+  const taxableLines = cart.map((item) => ({
+    productId: item.productId,
+    hsnCode: item.hsnCode,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    discount: item.discount,
+    gstRate: item.gstRate ?? settings.taxRate,
+    priceIncludesTax: item.priceIncludesTax,
+  }));
+  // The bill discount is spread over the lines so GST is charged on what the customer actually pays
+  const beforeBillDiscount = computeBillTax(taxableLines, supplyType);
+  const billDiscountValue = billDiscountAmount(beforeBillDiscount.total, billDiscount?.input);
+  const billShares = allocateBillDiscount(
+    beforeBillDiscount.lines.map((line, index) => ({
+      lineValue: line.lineTotal,
+      quantity: cart[index].quantity,
+      taxFactor: cart[index].priceIncludesTax === false ? 1 + line.gstRate / 100 : 1,
+    })),
+    billDiscountValue
+  );
+  const billTax =
+    billDiscountValue > 0
+      ? computeBillTax(
+          taxableLines.map((line, index) => ({ ...line, discount: line.discount + billShares[index] })),
+          supplyType
+        )
+      : beforeBillDiscount;
+  const tax = billTax.breakdown;
+  const rounding = roundOffEnabled ? roundOff(billTax.total) : 0;
+  const total = round2(billTax.total + rounding);
+  const creditAllowed = !!selectedCustomerId;
+  const loyaltyAvailable = selectedCustomer ? redeemableValue(selectedCustomer.loyaltyPoints, settings) : 0;
+  const payment = summarizeTenders(toTenderInputs(tenderRows), total, balanceOnCredit && creditAllowed, loyaltyAvailable);
+  // Walk-in bills have nobody to give points to
+  const pointsToEarn = selectedCustomerId
+    ? pointsEarned(
+        billTax.lines.map((line, index) => ({ amount: line.lineTotal, category: cart[index].category })),
+        payment.redeemed,
+        settings
+      )
+    : 0;
+  const creditCheck = checkCredit({ customerId: selectedCustomerId, customer: selectedCustomer, credit: payment.credit });
+  const customerCreditUsage = selectedCustomer ? creditUsage(selectedCustomer) : 0;
 
   // Quick products (first 6 products)
-  const quickProducts = products.slice(0, 6);
+  const quickProducts = catalog.products.slice(0, 6);
 
   // Cart operations
-  const addToCart = (product: Product) => {
-    const existingItem = cart.find((item) => item.productId === product.id);
-    if (existingItem) {
-      setCart(
-        cart.map((item) =>
+  // Functional updates so scanner callbacks never work on a stale cart
+  const addToCart = (product: Product, quantity = defaultQuantity(product.unit)) => {
+    setSelectedLineId(product.id);
+    setTypedQuantity("");
+    setCart((current) => {
+      if (current.some((item) => item.productId === product.id)) {
+        return current.map((item) =>
           item.productId === product.id
-            ? { ...item, quantity: item.quantity + 1 }
+            ? { ...item, quantity: roundQuantity(item.quantity + quantity, item.unit) }
             : item
-        )
-      );
-    } else {
-      setCart([
-        ...cart,
+        );
+      }
+      return [
+        ...current,
         {
           productId: product.id,
           name: product.name,
           price: product.price,
-          quantity: 1,
+          quantity,
+          unit: normalizeUnit(product.unit),
           discount: 0,
+          hsnCode: product.hsnCode,
+          gstRate: product.gstRate,
+          priceIncludesTax: product.priceIncludesTax,
+          category: product.category,
         },
-      ]);
-    }
+      ];
+    });
   };
 
-  const updateQuantity = (productId: string, delta: number) => {
-    setCart(
-      cart
+  // direction is +1 / -1; loose items move by a quarter kilo or 50 g rather than one unit
+  const updateQuantity = (productId: string, direction: number) => {
+    setCart((current) =>
+      current
         .map((item) =>
           item.productId === productId
-            ? { ...item, quantity: Math.max(0, item.quantity + delta) }
+            ? { ...item, quantity: Math.max(0, roundQuantity(item.quantity + direction * quantityStep(item.unit), item.unit)) }
             : item
         )
         .filter((item) => item.quantity > 0)
     );
   };
 
+  const setQuantity = (productId: string, quantity: number) => {
+    setCart((current) =>
+      current
+        .map((item) => (item.productId === productId ? { ...item, quantity } : item))
+        .filter((item) => item.quantity > 0)
+    );
+  };
+
+  const weighItem = async (item: CartItem) => {
+    try {
+      const kilograms = await weighingScale.readWeight(scaleSettings.baudRate);
+      setQuantity(item.productId, quantityFromKilograms(kilograms, item.unit));
+    } catch (error) {
+      toast({
+        title: "Could not read the scale",
+        description: error instanceof Error ? error.message : "Check that the scale is connected",
+        variant: "destructive",
+      });
+    }
+  };
+
   const removeFromCart = (productId: string) => {
-    setCart(cart.filter((item) => item.productId !== productId));
+    setCart((current) => current.filter((item) => item.productId !== productId));
+  };
+
+  // Discounts and price changes record who gave them; cashiers need an owner
+  // to approve any price change and discounts above their limit
+  const actor: DiscountActor | undefined = currentUser
+    ? { userId: currentUser.id, name: currentUser.fullName }
+    : undefined;
+
+  const withApproval = (required: boolean, reason: string, apply: (approvedBy?: DiscountActor) => void) => {
+    if (required && !canApprove) setApproval({ reason, apply });
+    else apply();
+  };
+
+  const adjustLine = (item: CartItem, { discount, price = item.price }: DiscountChange) => {
+    const listPrice = item.originalPrice ?? item.price;
+    const perUnit = discountPerUnit(price, discount);
+    const priceChanged = price !== listPrice;
+    const adjusted = priceChanged || perUnit > 0;
+    const reason =
+      price !== item.price
+        ? `Sell ${item.name} at ${formatCurrency(price)} instead of ${formatCurrency(listPrice)}`
+        : `${Math.round(discountPercent(price, perUnit))}% off ${item.name}`;
+
+    withApproval(price !== item.price || needsApproval(price, perUnit), reason, (approvedBy) =>
+      setCart((current) =>
+        current.map((line) =>
+          line.productId === item.productId
+            ? {
+                ...line,
+                price,
+                originalPrice: priceChanged ? listPrice : undefined,
+                discount: perUnit,
+                lineDiscount: perUnit > 0 ? discount : undefined,
+                adjustedBy: adjusted ? actor : undefined,
+                // An earlier approval still covers an unchanged price override
+                approvedBy: adjusted ? approvedBy ?? (priceChanged && price === line.price ? line.approvedBy : undefined) : undefined,
+              }
+            : line
+        )
+      )
+    );
+  };
+
+  const applyBillDiscount = ({ discount }: DiscountChange) => {
+    const amount = billDiscountAmount(beforeBillDiscount.total, discount);
+    if (amount <= 0) {
+      setBillDiscount(undefined);
+      return;
+    }
+    // Judge the limit on line and bill discounts together so they cannot be stacked past it
+    withApproval(
+      needsApproval(subtotal, lineDiscountTotal + amount),
+      `${formatCurrency(amount)} off the whole bill`,
+      (approvedBy) => setBillDiscount({ input: discount, appliedBy: actor, approvedBy })
+    );
   };
 
-  const clearCart = () => {
-    setCart([]);
-    setSelectedCustomerId(undefined);
-    setPaymentMethod("CASH");
-    setAmountPaid("");
+  // Scale labels carry the item's scale code plus its weight or price
+  const addScaleLabel = async (barcode: string) => {
+    const label = parseScaleBarcode(barcode, scaleSettings);
+    if (!label) return false;
+    const product = catalog.findByBarcode(label.itemCode) ?? (await lookupBarcode(label.itemCode));
+    if (!product || product.price <= 0) return false;
+
+    const quantity =
+      label.weight !== undefined
+        ? quantityFromKilograms(label.weight, product.unit)
+        : roundQuantity(label.price / product.price, product.unit);
+    addToCart(product, quantity);
+    return true;
+  };
+
+  // Barcode scans: scale labels, then the local catalog, then the API
+  const handleScan = async (barcode: string) => {
+    setTypedQuantity(""); // Digits from the scanner also reached the quantity shortcut
+    try {
+      if (await addScaleLabel(barcode)) {
+        playBeep("success");
+        return;
+      }
+
+      const product = catalog.findByBarcode(barcode) ?? (await lookupBarcode(barcode));
+      if (product) {
+        playBeep("success");
+        addToCart(product);
+        return;
+      }
+    } catch {
+      // The lookup only rejects when the server is unreachable, so the barcode may well exist
+      playBeep("error");
+      setScanError(true);
+      toast({
+        title: "Cannot look up barcode",
+        description: `${barcode} is not in this device's catalog and the server cannot be reached. Search by name or try again once online.`,
+        variant: "destructive",
+      });
+      return;
+    }
+
+    playBeep("error");
+    setScanError(true);
+    toast({
+      title: "Unknown barcode",
+      description: `No product found for ${barcode}`,
+      variant: "destructive",
+      action: canAddProducts ? (
+        <ToastAction
+          altText="Create product"
+          onClick={() => navigate(`/addproduct?barcode=${encodeURIComponent(barcode)}`)}
+        >
+          Create product
+        </ToastAction>
+      ) : undefined,
+    });
+  };
+
+  useBarcodeScanner({ onScan: handleScan });
+
+  // "New bill" from a customer's profile opens the POS with them on the bill
+  useEffect(() => {
+    const customerId = searchParams.get("customer");
+    if (!customerId) return;
+    setSelectedCustomerId(customerId);
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    if (!scanError) return;
+    const timer = setTimeout(() => setScanError(false), 1500);
+    return () => clearTimeout(timer);
+  }, [scanError]);
+
+  // The bill in progress, as kept across reloads and parked on hold
+  const draft = useMemo<BillDraft>(
+    () => ({
+      items: cart,
+      customerId: selectedCustomerId,
+      supplyType,
+      tenderRows,
+      balanceOnCredit,
+      billDiscount,
+      roundOff: roundOffEnabled,
+    }),
+    [cart, selectedCustomerId, supplyType, tenderRows, balanceOnCredit, billDiscount, roundOffEnabled]
+  );
+
+  useEffect(() => {
+    cartStorage.saveActive(draft);
+  }, [draft]);
+
+  const loadDraft = (next: BillDraft) => {
+    setCart(next.items);
+    setSelectedCustomerId(next.customerId);
+    setTenderRows(next.tenderRows);
+    setBalanceOnCredit(next.balanceOnCredit);
+    setSupplyType(next.supplyType);
+    setBillDiscount(next.billDiscount);
+    setRoundOffEnabled(next.roundOff ?? false);
   };
 
-  const handleCheckout = async () => {
-    if (cart.length === 0) {
+  const clearCart = () => loadDraft(EMPTY_DRAFT);
+
+  const heldBillName = () =>
+    selectedCustomer?.name ??
+    `Walk-in ${new Date().toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" })}`;
+
+  const handleCheckout = () => {
+    if (cart.length === 0 || payment.error || creditCheck.error || createSale.isPending) {
       return;
     }
+    const reason =
+      creditCheck.overBy > 0
+        ? `${formatCurrency(payment.credit)} on credit for ${selectedCustomer?.name}, ${formatCurrency(creditCheck.overBy)} over their limit`
+        : `${formatCurrency(payment.credit)} on credit without checking the customer's limit`;
+    // An owner at the counter overrides the limit themselves
+    withApproval(creditCheck.needsOverride, reason, (approvedBy) =>
+      submitSale(creditCheck.needsOverride ? approvedBy ?? actor : undefined)
+    );
+  };
 
+  const submitSale = (creditApprovedBy?: DiscountActor) => {
     const saleData = {
       customerId: selectedCustomerId,
       items: cart.map((item) => ({
         productId: item.productId,
         quantity: item.quantity,
         discount: item.discount,
+        unitPrice: item.originalPrice !== undefined ? item.price : undefined,
+        discountAppliedBy: item.adjustedBy,
+        discountApprovedBy: item.approvedBy,
       })),
-      paymentMethod,
-      amountPaid: parseFloat(amountPaid) || total,
+      supplyType,
+      taxBreakdown: billTax.breakdown,
+      billDiscount: billDiscountValue || undefined,
+      billDiscountAppliedBy: billDiscount?.appliedBy,
+      billDiscountApprovedBy: billDiscount?.approvedBy,
+      roundOff: rounding || undefined,
+      paymentMethod: paymentMethodFor(payment.tenders),
+      amountPaid: payment.paid,
+      payments: payment.tenders,
+      changeDue: payment.changeDue,
+      creditApprovedBy,
+      cashierId: currentUser?.id,
+      loyaltyPointsEarned: pointsToEarn || undefined,
+      loyaltyPointsRedeemed: pointsForValue(payment.redeemed, settings) || undefined,
     };
 
-    await createSale.mutateAsync(saleData);
-    clearCart();
+    // A rejected sale is reported by the mutation's own toast and keeps the cart for another try
+    createSale.mutate(
+      {
+        request: saleData,
+        summary: { itemCount: cart.length, total, customerName: selectedCustomer?.name },
+      },
+      {
+        onSuccess: ({ sale }) => {
+          clearCart();
+          if (sale && receiptOptions.autoPrint) {
+            printReceipt(sale, receiptOptions).catch(() =>
+              toast({
+                title: "Receipt not printed",
+                description: "Check the printer and reprint from the Sales page",
+                variant: "destructive",
+              })
+            );
+          }
+        },
+      }
+    );
+  };
+
+  const handleSearchKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const offset = e.key === "ArrowDown" ? 1 : -1;
+      setHighlightedResult((index) => Math.min(Math.max(index + offset, 0), Math.max(searchResults.length - 1, 0)));
+    } else if (e.key === "Enter" && searchResults[highlightedResult]) {
+      e.preventDefault();
+      addToCart(searchResults[highlightedResult]);
+      setSearchQuery("");
+    } else if (e.key === "Escape") {
+      // Leave the box so the bill shortcuts work
+      setSearchQuery("");
+      e.currentTarget.blur();
+    }
   };
 
+  const selectedIndex = cart.findIndex((item) => item.productId === selectedLineId);
+  const selectedItem = cart[selectedIndex];
+
+  const moveSelection = (offset: number) => {
+    if (cart.length === 0) return false;
+    const next =
+      selectedIndex < 0 ? (offset > 0 ? 0 : cart.length - 1) : Math.min(Math.max(selectedIndex + offset, 0), cart.length - 1);
+    setSelectedLineId(cart[next].productId);
+    setTypedQuantity("");
+  };
+
+  const payWith = (method: TenderInput["method"]) => setTenderRows([{ method, amount: "" }]);
+
+  const shortcutHandlers: Record<PosAction, HotkeyHandler> = {
+    help: () => setShortcutsOpen(true),
+    palette: () => setPaletteOpen(true),
+    focusSearch: () => searchInputRef.current?.focus(),
+    customer: () => setCustomerPickerOpen(true),
+    previousLine: () => moveSelection(-1),
+    nextLine: () => moveSelection(1),
+    increase: () => (selectedItem ? updateQuantity(selectedItem.productId, 1) : false),
+    decrease: () => (selectedItem ? updateQuantity(selectedItem.productId, -1) : false),
+    typeQuantity: (event) => {
+      if (!selectedItem) return false;
+      setTypedQuantity((current) => (event.key === "Backspace" ? current.slice(0, -1) : current + event.key));
+    },
+    confirmQuantity: () => {
+      if (!selectedItem || !typedQuantity) return false;
+      const quantity = roundQuantity(Number(typedQuantity), selectedItem.unit);
+      if (!Number.isNaN(quantity)) setQuantity(selectedItem.productId, quantity);
+      setTypedQuantity("");
+    },
+    removeLine: () => (selectedItem ? removeFromCart(selectedItem.productId) : false),
+    cancel: () => {
+      if (!typedQuantity) return false;
+      setTypedQuantity("");
+    },
+    payCash: () => payWith("CASH"),
+    payUpi: () => payWith("UPI"),
+    payCard: () => payWith("CARD"),
+    toggleCredit: () => (creditAllowed ? setBalanceOnCredit((value) => !value) : false),
+    hold: () => {
+      if (cart.length === 0) return false;
+      holdCart.mutate({ name: heldBillName(), draft }, { onSuccess: clearCart });
+    },
+    recall: () => {
+      const latest = parkedCarts[parkedCarts.length - 1];
+      if (!latest) return false;
+      recallCart.mutate(
+        { id: latest.id, current: cart.length > 0 ? { name: heldBillName(), draft } : undefined },
+        { onSuccess: ({ recalled }) => loadDraft(recalled.draft) }
+      );
+    },
+    complete: () => {
+      handleCheckout();
+    },
+  };
+
+  useHotkeys(
+    Object.fromEntries(
+      POS_SHORTCUTS.flatMap((shortcut) => shortcut.keys.map((key) => [key, shortcutHandlers[shortcut.action]]))
+    ),
+    !paletteOpen && !shortcutsOpen && !approval && !cameraOpen
+  );
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -129,64 +555,86 @@ const POS = () => {
           <h1 className="text-3xl font-bold tracking-tight">Point of Sale</h1>
           <p className="text-muted-foreground">Quick checkout and billing</p>
         </div>
-        <Select
-  value={selectedCustomerId ?? WALK_IN}
-  onValueChange={(value) => {
-    if (value === WALK_IN) {
-      setSelectedCustomerId(undefined);
-    } else {
-      setSelectedCustomerId(value);
-    }
-  }}
->
-  <SelectTrigger className="w-[250px]">
-    <SelectValue placeholder="Select Customer (Optional)" />
-  </SelectTrigger>
-
-  <SelectContent>
-    <SelectItem value={WALK_IN}>Walk-in Customer</SelectItem>
-
-    {customers.map((customer) => (
-      <SelectItem key={customer.id} value={customer.id}>
-        {customer.name} - {customer.phone}
-      </SelectItem>
-    ))}
-  </SelectContent>
-</Select>
-
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" size="sm" onClick={() => setShortcutsOpen(true)} title="Keyboard shortcuts (F1)">
+            <Keyboard className="h-4 w-4 mr-1" />
+            Shortcuts
+          </Button>
+          {!isOnline && (
+            <Badge variant="outline" className="bg-destructive/10 text-destructive border-destructive">
+              <WifiOff className="h-3 w-3 mr-1" />
+              Offline
+            </Badge>
+          )}
+          {outboxEntries.length > 0 && (
+            <Badge variant="outline" className="bg-warning/10 text-warning border-warning">
+              {outboxEntries.length} pending sync
+            </Badge>
+          )}
+          <CustomerPicker
+            value={selectedCustomer ?? null}
+            onChange={(customer) => setSelectedCustomerId(customer?.id)}
+            open={customerPickerOpen}
+            onOpenChange={setCustomerPickerOpen}
+          />
+        </div>
       </div>
 
       <div className="grid gap-6 lg:grid-cols-[1fr_400px]">
         {/* Left: Product Search & Selection */}
         <div className="space-y-4">
-          <Card>
+          <PendingSalesCard />
+
+          <Card className={scanError ? "ring-2 ring-destructive animate-pulse" : undefined}>
             <CardHeader>
-              <CardTitle className="text-lg">Search Product</CardTitle>
+              <CardTitle className="text-lg flex items-center gap-2">
+                Search Product
+                <ScanBarcode className="h-4 w-4 text-muted-foreground" />
+              </CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
-                <Input
-                  placeholder="Scan barcode or search by name..."
-                  className="pl-9"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  autoFocus
-                />
+              <div className="flex gap-2">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+                  <Input
+                    ref={searchInputRef}
+                    placeholder="Scan barcode or search by name... (F2 for quick find)"
+                    className="pl-9"
+                    value={searchQuery}
+                    onChange={(e) => {
+                      setSearchQuery(e.target.value);
+                      setHighlightedResult(0);
+                    }}
+                    onKeyDown={handleSearchKeyDown}
+                    autoFocus
+                  />
+                </div>
+                {isCameraAvailable() && (
+                  <Button variant="outline" size="icon" title="Scan with camera" onClick={() => setCameraOpen(true)}>
+                    <Camera className="h-4 w-4" />
+                  </Button>
+                )}
               </div>
-              {searchQuery && products.length > 0 && (
+              {searchQuery && searchResults.length > 0 && (
                 <div className="mt-3 max-h-60 overflow-y-auto space-y-2">
-                  {products.slice(0, 10).map((product) => (
+                  {searchResults.map((product, index) => (
                     <div
                       key={product.id}
-                      className="flex items-center justify-between p-2 hover:bg-accent rounded cursor-pointer"
+                      className={`flex items-center justify-between p-2 hover:bg-accent rounded cursor-pointer ${
+                        index === highlightedResult ? "bg-accent" : ""
+                      }`}
                       onClick={() => addToCart(product)}
                     >
                       <div>
                         <p className="font-medium">{product.name}</p>
-                        <p className="text-sm text-muted-foreground">Stock: {product.stockQuantity}</p>
+                        <p className="text-sm text-muted-foreground">
+                          Stock: {product.stockQuantity} {normalizeUnit(product.unit)}
+                        </p>
                       </div>
-                      <span className="font-medium">₹{product.price}</span>
+                      <span className="font-medium">
+                        {formatCurrency(product.price)}
+                        {perUnitSuffix(product.unit)}
+                      </span>
                     </div>
                   ))}
                 </div>
@@ -199,6 +647,9 @@ const POS = () => {
               <CardTitle className="text-lg">Quick Add</CardTitle>
             </CardHeader>
             <CardContent>
+              {catalog.isLoading && (
+                <p className="text-center text-muted-foreground py-4">Loading product catalog...</p>
+              )}
               <div className="grid grid-cols-3 gap-3">
                 {quickProducts.map((product) => (
                   <Button
@@ -209,7 +660,8 @@ const POS = () => {
                   >
                     <span className="font-medium text-sm">{product.name}</span>
                     <span className="text-sm text-muted-foreground">
-                      ₹{product.price}
+                      {formatCurrency(product.price)}
+                      {perUnitSuffix(product.unit)}
                     </span>
                   </Button>
                 ))}
@@ -220,10 +672,54 @@ const POS = () => {
 
         {/* Right: Cart & Checkout */}
         <Card className="h-fit">
-          <CardHeader>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
             <CardTitle>Current Bill</CardTitle>
+            <ParkedCartsMenu
+              draft={draft}
+              suggestedName={heldBillName()}
+              onHold={clearCart}
+              onRecall={loadDraft}
+            />
           </CardHeader>
           <CardContent className="space-y-4">
+            {selectedCustomer && (
+              <div
+                className={`rounded-lg border p-3 text-sm ${
+                  customerCreditUsage >= 1
+                    ? "border-destructive bg-destructive/10"
+                    : customerCreditUsage >= 0.8
+                      ? "border-warning bg-warning/10"
+                      : "bg-muted/40"
+                }`}
+              >
+                <div className="flex items-center gap-2 font-medium">
+                  <User className="h-4 w-4" />
+                  {selectedCustomer.name}
+                  {selectedCustomer.phone && (
+                    <span className="font-normal text-muted-foreground">{selectedCustomer.phone}</span>
+                  )}
+                </div>
+                <div className="mt-2 grid grid-cols-3 gap-2 text-xs">
+                  <div>
+                    <p className="text-muted-foreground">Credit due</p>
+                    <p className={customerCreditUsage >= 0.8 ? "font-semibold text-destructive" : "font-semibold"}>
+                      {formatCurrency(selectedCustomer.creditBalance)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Credit limit</p>
+                    <p className="font-semibold">
+                      {hasCreditLimit(selectedCustomer) ? formatCurrency(selectedCustomer.creditLimit) : "No limit"}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Points</p>
+                    <p className="font-semibold">{selectedCustomer.loyaltyPoints}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Cart Items */}
             <div className="space-y-3 max-h-80 overflow-y-auto">
               {cart.length === 0 ? (
@@ -234,15 +730,41 @@ const POS = () => {
                 cart.map((item) => (
                   <div
                     key={item.productId}
-                    className="flex items-center gap-3 rounded-lg border p-3"
+                    className={`flex items-center gap-3 rounded-lg border p-3 ${
+                      item.productId === selectedLineId ? "ring-2 ring-primary" : ""
+                    }`}
+                    onClick={() => setSelectedLineId(item.productId)}
                   >
                     <div className="flex-1">
                       <p className="font-medium">{item.name}</p>
                       <p className="text-sm text-muted-foreground">
-                        ₹{item.price.toFixed(2)} each
+                        {item.originalPrice !== undefined && (
+                          <span className="line-through mr-1">{formatCurrency(item.originalPrice)}</span>
+                        )}
+                        {formatCurrency(item.price)}
+                        {perUnitSuffix(item.unit) || " each"}
+                        {item.discount > 0 && (
+                          <span className="text-destructive"> − {formatCurrency(item.discount)}</span>
+                        )}
                       </p>
+                      {isLooseUnit(item.unit) && (
+                        <p className="text-xs text-muted-foreground">
+                          {formatCurrency(item.price * item.quantity)} for {item.quantity} {item.unit}
+                        </p>
+                      )}
                     </div>
                     <div className="flex items-center gap-2">
+                      {scaleSettings.enabled && isLooseUnit(item.unit) && (
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          className="h-7 w-7"
+                          title="Read weight from scale"
+                          onClick={() => weighItem(item)}
+                        >
+                          <Scale className="h-3 w-3" />
+                        </Button>
+                      )}
                       <Button
                         variant="outline"
                         size="icon"
@@ -251,9 +773,16 @@ const POS = () => {
                       >
                         <Minus className="h-3 w-3" />
                       </Button>
-                      <span className="w-8 text-center font-medium">
-                        {item.quantity}
-                      </span>
+                      {item.productId === selectedLineId && typedQuantity && (
+                        <Badge variant="secondary" className="font-mono">
+                          {typedQuantity}
+                        </Badge>
+                      )}
+                      <QuantityInput
+                        value={item.quantity}
+                        unit={item.unit}
+                        onChange={(quantity) => setQuantity(item.productId, quantity)}
+                      />
                       <Button
                         variant="outline"
                         size="icon"
@@ -263,6 +792,19 @@ const POS = () => {
                         <Plus className="h-3 w-3" />
                       </Button>
                     </div>
+                    <DiscountPopover
+                      title={`Price & discount · ${item.name}`}
+                      base={item.price}
+                      originalPrice={item.originalPrice ?? item.price}
+                      discount={item.lineDiscount}
+                      allowPriceOverride
+                      onApply={(change) => adjustLine(item, change)}
+                      trigger={
+                        <Button variant="ghost" size="icon" className="h-7 w-7" title="Price & discount">
+                          <Tag className={`h-3 w-3 ${item.discount > 0 || item.originalPrice !== undefined ? "text-primary" : ""}`} />
+                        </Button>
+                      }
+                    />
                     <Button
                       variant="ghost"
                       size="icon"
@@ -282,51 +824,97 @@ const POS = () => {
             <div className="space-y-2">
               <div className="flex justify-between text-sm">
                 <span className="text-muted-foreground">Subtotal</span>
-                <span>₹{subtotal.toFixed(2)}</span>
+                <span>{formatCurrency(subtotal)}</span>
               </div>
               <div className="flex justify-between text-sm">
-                <span className="text-muted-foreground">Discount</span>
-                <span className="text-destructive">-₹{totalDiscount.toFixed(2)}</span>
+                <span className="text-muted-foreground">Item discounts</span>
+                <span className="text-destructive">{formatCurrency(-lineDiscountTotal)}</span>
+              </div>
+              <div className="flex items-center justify-between text-sm">
+                <DiscountPopover
+                  title="Discount on the whole bill"
+                  base={beforeBillDiscount.total}
+                  discount={billDiscount?.input}
+                  onApply={applyBillDiscount}
+                  trigger={
+                    <Button variant="link" size="sm" className="h-auto p-0 text-muted-foreground" disabled={cart.length === 0}>
+                      {billDiscount ? "Bill discount" : "+ Add bill discount"}
+                    </Button>
+                  }
+                />
+                {billDiscountValue > 0 && (
+                  <span className="text-destructive">{formatCurrency(-billDiscountValue)}</span>
+                )}
               </div>
+              {billDiscount?.approvedBy && (
+                <p className="text-xs text-muted-foreground">Approved by {billDiscount.approvedBy.name}</p>
+              )}
               <div className="flex justify-between text-sm">
-                <span className="text-muted-foreground">Tax (5%)</span>
-                <span>₹{tax.toFixed(2)}</span>
+                <span className="text-muted-foreground">Taxable Value</span>
+                <span>{formatCurrency(tax.taxableValue)}</span>
+              </div>
+              {supplyType === "INTRA_STATE" ? (
+                <>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">CGST</span>
+                    <span>{formatCurrency(tax.cgst)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm">
+                    <span className="text-muted-foreground">SGST</span>
+                    <span>{formatCurrency(tax.sgst)}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="flex justify-between text-sm">
+                  <span className="text-muted-foreground">IGST</span>
+                  <span>{formatCurrency(tax.igst)}</span>
+                </div>
+              )}
+              {tax.slabs.filter((slab) => slab.gstRate > 0).map((slab) => (
+                <div key={slab.gstRate} className="flex justify-between text-xs text-muted-foreground">
+                  <span>GST {slab.gstRate}% on {formatCurrency(slab.taxableValue)}</span>
+                  <span>{formatCurrency(slab.cgst + slab.sgst + slab.igst)}</span>
+                </div>
+              ))}
+              <div className="flex items-center justify-between text-sm">
+                <label htmlFor="inter-state" className="text-muted-foreground">
+                  Inter-state supply (IGST)
+                </label>
+                <Switch
+                  id="inter-state"
+                  checked={supplyType === "INTER_STATE"}
+                  onCheckedChange={(checked) => setSupplyType(checked ? "INTER_STATE" : "INTRA_STATE")}
+                />
+              </div>
+              <div className="flex items-center justify-between text-sm">
+                <label htmlFor="round-off" className="text-muted-foreground">
+                  Round off{rounding !== 0 && ` (${rounding > 0 ? "+" : ""}${rounding.toFixed(2)})`}
+                </label>
+                <Switch id="round-off" checked={roundOffEnabled} onCheckedChange={setRoundOffEnabled} />
               </div>
               <Separator />
               <div className="flex justify-between text-lg font-bold">
                 <span>Total</span>
-                <span>₹{total.toFixed(2)}</span>
+                <span>{formatCurrency(total)}</span>
               </div>
             </div>
 
             <Separator />
 
-            {/* Payment Method */}
-            <div className="space-y-2">
-              <label className="text-sm font-medium">Payment Method</label>
-              <Select value={paymentMethod} onValueChange={(value: any) => setPaymentMethod(value)}>
-                <SelectTrigger>
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="CASH">Cash</SelectItem>
-                  <SelectItem value="UPI">UPI</SelectItem>
-                  <SelectItem value="CARD">Card</SelectItem>
-                  <SelectItem value="CREDIT">Credit (Udhaar)</SelectItem>
-                  <SelectItem value="PARTIAL">Partial Payment</SelectItem>
-                </SelectContent>
-              </Select>
-            </div>
-
-            <div className="space-y-2">
-              <label className="text-sm font-medium">Amount Paid</label>
-              <Input
-                type="number"
-                placeholder={total.toFixed(2)}
-                value={amountPaid}
-                onChange={(e) => setAmountPaid(e.target.value)}
-              />
-            </div>
+            <SplitTenderPanel
+              rows={tenderRows}
+              onRowsChange={setTenderRows}
+              balanceOnCredit={balanceOnCredit}
+              onBalanceOnCreditChange={setBalanceOnCredit}
+              creditAllowed={creditAllowed}
+              summary={payment}
+              credit={creditCheck}
+              loyalty={
+                selectedCustomer && settings.loyaltyEnabled
+                  ? { points: selectedCustomer.loyaltyPoints, available: loyaltyAvailable, earning: pointsToEarn }
+                  : undefined
+              }
+            />
 
             {/* Action Buttons */}
             <div className="flex gap-2 pt-2">
@@ -336,7 +924,7 @@ const POS = () => {
               <Button
                 className="flex-1"
                 onClick={handleCheckout}
-                disabled={cart.length === 0 || createSale.isPending}
+                disabled={cart.length === 0 || !!payment.error || !!creditCheck.error || createSale.isPending}
               >
                 {createSale.isPending ? "Processing..." : "Complete Sale"}
               </Button>
@@ -344,6 +932,24 @@ const POS = () => {
           </CardContent>
         </Card>
       </div>
+
+      <ProductCommandPalette open={paletteOpen} onOpenChange={setPaletteOpen} onSelect={(product) => addToCart(product)} />
+
+      <ShortcutsDialog open={shortcutsOpen} onOpenChange={setShortcutsOpen} />
+
+      <OwnerApprovalDialog
+        open={!!approval}
+        onOpenChange={(open) => !open && setApproval(null)}
+        reason={approval?.reason ?? ""}
+        onApproved={(owner) => approval?.apply(owner)}
+      />
+
+      <CameraScannerDialog
+        open={cameraOpen}
+        onOpenChange={setCameraOpen}
+        onDetect={handleScan}
+        continuous
+      />
     </div>
   );
 };
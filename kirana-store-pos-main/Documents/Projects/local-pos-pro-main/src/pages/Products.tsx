@@ -12,9 +12,13 @@ import {
 } from "@/components/ui/table";
 import { Plus, Search, Pencil, Trash2, Package, Loader2 } from "lucide-react";
 import { useProducts, useDeleteProduct } from "@/hooks/useProducts";
+import { useCurrency } from "@/hooks/useSettings";
+import { usePermissions } from "@/hooks/usePermission";
 import { useNavigate } from "react-router-dom";
+import { normalizeUnit } from "@/lib/units";
 
 const Products = () => {
+  const formatCurrency = useCurrency();
   const navigate=useNavigate();
   const [searchQuery, setSearchQuery] = useState("");
   const [currentPage, setCurrentPage] = useState(0);
@@ -26,6 +30,7 @@ const Products = () => {
   });
 
   const deleteProduct = useDeleteProduct();
+  const can = usePermissions();
 
   const handleDelete = async (id: string) => {
     if (confirm("Are you sure you want to delete this product?")) {
@@ -66,10 +71,12 @@ const Products = () => {
             Manage your inventory and stock levels
           </p>
         </div>
-        <Button onClick={()=>navigate("/addproduct")}>
-          <Plus className="h-4 w-4 mr-2" />
-          Add Product
-        </Button>
+        {can("products.edit") && (
+          <Button onClick={()=>navigate("/addproduct")}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Product
+          </Button>
+        )}
       </div>
 
       <div className="flex items-center gap-4">
@@ -95,6 +102,7 @@ const Products = () => {
               <TableHead>Name</TableHead>
               <TableHead>Category</TableHead>
               <TableHead>Price</TableHead>
+              <TableHead>GST</TableHead>
               <TableHead>Stock</TableHead>
               <TableHead>Min Stock</TableHead>
               <TableHead>Unit</TableHead>
@@ -106,7 +114,7 @@ const Products = () => {
           <TableBody>
             {products.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={9} className="text-center py-8 text-muted-foreground">
+                <TableCell colSpan={10} className="text-center py-8 text-muted-foreground">
                   No products found
                 </TableCell>
               </TableRow>
@@ -115,7 +123,13 @@ const Products = () => {
                 <TableRow key={product.id}>
                   <TableCell className="font-medium">{product.name}</TableCell>
                   <TableCell>{product.category || "-"}</TableCell>
-                  <TableCell>₹{product.price.toFixed(2)}</TableCell>
+                  <TableCell>{formatCurrency(product.price)}</TableCell>
+                  <TableCell>
+                    {product.gstRate ?? 0}%
+                    {product.hsnCode && (
+                      <span className="block text-xs text-muted-foreground">HSN {product.hsnCode}</span>
+                    )}
+                  </TableCell>
                   <TableCell>
                     <span
                       className={
@@ -128,7 +142,7 @@ const Products = () => {
                     </span>
                   </TableCell>
                   <TableCell>{product.minStockLevel}</TableCell>
-                  <TableCell>{product.unit}</TableCell>
+                  <TableCell>{normalizeUnit(product.unit)}</TableCell>
                   <TableCell className="font-mono text-xs">
                     {product.barcode || "-"}
                   </TableCell>
@@ -145,18 +159,22 @@ const Products = () => {
                   </TableCell>
                   <TableCell className="text-right">
                     <div className="flex justify-end gap-2">
-                      <Button variant="ghost" size="icon" className="h-8 w-8">
-                        <Pencil className="h-4 w-4" />
-                      </Button>
-                      <Button
-                        variant="ghost"
-                        size="icon"
-                        className="h-8 w-8 text-destructive"
-                        onClick={() => handleDelete(product.id)}
-                        disabled={deleteProduct.isPending}
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </Button>
+                      {can("products.edit") && (
+                        <Button variant="ghost" size="icon" className="h-8 w-8">
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                      )}
+                      {can("products.delete") && (
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="h-8 w-8 text-destructive"
+                          onClick={() => handleDelete(product.id)}
+                          disabled={deleteProduct.isPending}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </TableCell>
                 </TableRow>
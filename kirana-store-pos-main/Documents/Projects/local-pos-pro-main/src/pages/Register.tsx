@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { Link, Navigate } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import { useSetupOwner, useSetupStatus } from "../hooks/useAuth";
+import { Button } from "../components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "../components/ui/card";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+
+const MIN_PASSWORD = 8;
+
+// Sign-up only exists to create the store's first owner; everyone else gets an account from the owner
+const Register = () => {
+  const setup = useSetupStatus();
+  const register = useSetupOwner();
+
+  const [fullName, setFullName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+
+  const mismatch = confirm !== "" && confirm !== password;
+  const tooShort = password !== "" && password.length < MIN_PASSWORD;
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (mismatch || tooShort) return;
+    register.mutate({ fullName: fullName.trim(), email, password });
+  };
+
+  if (setup.isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (!setup.data?.needsOwner) return <Navigate to="/login" replace />;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Create Owner Account</CardTitle>
+        <CardDescription>Set up the store's first login</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div className="space-y-2">
+            <Label htmlFor="register-name">Full name</Label>
+            <Input id="register-name" value={fullName} onChange={(e) => setFullName(e.target.value)} required autoFocus />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="register-email">Email</Label>
+            <Input
+              id="register-email"
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="register-password">Password</Label>
+            <Input
+              id="register-password"
+              type="password"
+              autoComplete="new-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            {tooShort && <p className="text-xs text-destructive">At least {MIN_PASSWORD} characters</p>}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="register-confirm">Confirm password</Label>
+            <Input
+              id="register-confirm"
+              type="password"
+              autoComplete="new-password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              required
+            />
+            {mismatch && <p className="text-xs text-destructive">Passwords do not match</p>}
+          </div>
+          <Button type="submit" className="w-full" disabled={mismatch || tooShort || register.isPending}>
+            {register.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Create Account
+          </Button>
+        </form>
+        <p className="mt-4 text-center text-sm text-muted-foreground">
+          Already have an account?{" "}
+          <Link to="/login" className="text-primary hover:underline">
+            Login
+          </Link>
+        </p>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default Register;
@@ -1,4 +1,4 @@
-import { useState, useRef } from "react";
+import { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Input } from "@/components/ui/input";
@@ -10,18 +10,31 @@ import {
   TableHeader,
   TableRow,
 } from "@/components/ui/table";
-import { Search, Eye, Printer, Calendar, Loader2 } from "lucide-react";
+import { Search, Eye, Printer, Calendar, Loader2, FileDown, RotateCcw } from "lucide-react";
 import { useSales } from "@/hooks/useSales";
-
-import { jsPDF } from "jspdf";
-import html2canvas from "html2canvas";
+import { useReceiptOptions } from "@/hooks/useReceiptSettings";
+import { useCurrency, useStoreDetails } from "@/hooks/useSettings";
+import { usePermission } from "@/hooks/usePermission";
+import type { Sale } from "@/services/saleService";
+import { useToast } from "@/hooks/use-toast";
+import { printReceipt } from "@/lib/thermalPrinter";
+import { createInvoicePdf } from "@/lib/invoicePdf";
+import { TENDER_LABELS } from "@/lib/tenders";
+import { InvoiceExportDialog } from "@/components/InvoiceExportDialog";
+import { ReturnDialog } from "@/components/ReturnDialog";
 
 const Sales = () => {
   /* ===================== STATE & REFS ===================== */
   const [currentPage, setCurrentPage] = useState(0);
   const [dateRange, setDateRange] = useState<{ startDate?: string; endDate?: string }>({});
-  const [selectedSale, setSelectedSale] = useState<any>(null);
-  const billRef = useRef<HTMLDivElement>(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [returnOpen, setReturnOpen] = useState(false);
+  const [returnSale, setReturnSale] = useState<Sale | null>(null);
+  const receiptOptions = useReceiptOptions();
+  const store = useStoreDetails();
+  const formatCurrency = useCurrency();
+  const canReturn = usePermission("sales.return");
+  const { toast } = useToast();
 
   /* ===================== DATA ===================== */
   const { data: salesData, isLoading, isError, error } = useSales({
@@ -60,25 +73,26 @@ const Sales = () => {
     }
   };
 
-  /* ===================== PRINT HANDLER ===================== */
-  const handlePrint = async (sale: any) => {
-    setSelectedSale(sale);
-
-    // wait for DOM render
-    setTimeout(async () => {
-      if (!billRef.current) return;
-
-      const canvas = await html2canvas(billRef.current, { scale: 2 });
-      const imgData = canvas.toDataURL("image/png");
+  /* ===================== PRINT HANDLERS ===================== */
+  const handlePrintReceipt = async (sale: Sale) => {
+    try {
+      await printReceipt(sale, receiptOptions);
+    } catch (err) {
+      toast({
+        title: "Print failed",
+        description: err instanceof Error ? err.message : "Could not print the receipt",
+        variant: "destructive",
+      });
+    }
+  };
 
-      const pdf = new jsPDF("p", "mm", "a4");
-      const imgProps = pdf.getImageProperties(imgData);
-      const pdfWidth = pdf.internal.pageSize.getWidth();
-      const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
+  const handleDownloadInvoice = (sale: Sale) => {
+    createInvoicePdf(sale, store).save(`Bill-${sale.billNumber}.pdf`);
+  };
 
-      pdf.addImage(imgData, "PNG", 0, 0, pdfWidth, pdfHeight);
-      pdf.save(`Bill-${sale.billNumber}.pdf`);
-    }, 1000);
+  const openReturn = (sale: Sale | null) => {
+    setReturnSale(sale);
+    setReturnOpen(true);
   };
 
   /* ===================== LOADING / ERROR ===================== */
@@ -103,10 +117,22 @@ const Sales = () => {
     <div className="space-y-6">
       <div className="flex justify-between">
         <h1 className="text-3xl font-bold">Sales</h1>
-        <Button variant="outline">
-          <Calendar className="h-4 w-4 mr-2" />
-          Date Range
-        </Button>
+        <div className="flex gap-2">
+          <Button variant="outline">
+            <Calendar className="h-4 w-4 mr-2" />
+            Date Range
+          </Button>
+          {canReturn && (
+            <Button variant="outline" onClick={() => openReturn(null)}>
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Return by Bill No
+            </Button>
+          )}
+          <Button variant="outline" onClick={() => setExportOpen(true)}>
+            <FileDown className="h-4 w-4 mr-2" />
+            Export Invoices
+          </Button>
+        </div>
       </div>
 
       <div className="flex gap-4">
@@ -124,6 +150,7 @@ const Sales = () => {
               <TableHead>Date</TableHead>
               <TableHead>Customer</TableHead>
               <TableHead>Total</TableHead>
+              <TableHead>Tax</TableHead>
               <TableHead>Paid</TableHead>
               <TableHead>Credit</TableHead>
               <TableHead>Method</TableHead>
@@ -136,12 +163,43 @@ const Sales = () => {
             {sales.map((sale: any) => (
               <TableRow key={sale.id}>
                 <TableCell className="font-mono">{sale.billNumber}</TableCell>
-                <TableCell>{formatDate(sale.createdAt)}</TableCell>
+                <TableCell>
+                  {formatDate(sale.createdAt)}
+                  {sale.cashier && (
+                    <span className="block text-xs text-muted-foreground">by {sale.cashier.name}</span>
+                  )}
+                </TableCell>
                 <TableCell>{sale.customer?.name || "Walk-in"}</TableCell>
-                <TableCell>₹{sale.totalAmount.toFixed(2)}</TableCell>
-                <TableCell className="text-green-600">₹{sale.amountPaid.toFixed(2)}</TableCell>
-                <TableCell className="text-yellow-600">₹{sale.creditAmount.toFixed(2)}</TableCell>
-                <TableCell>{sale.paymentMethod}</TableCell>
+                <TableCell>
+                  {formatCurrency(sale.totalAmount)}
+                  {sale.discountAmount > 0 && (
+                    <span className="block text-xs text-muted-foreground">
+                      Discount {formatCurrency(sale.discountAmount)}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  {formatCurrency(sale.taxAmount)}
+                  {sale.taxBreakdown && (
+                    <span className="block text-xs">
+                      {sale.taxBreakdown.supplyType === "INTER_STATE"
+                        ? `IGST ${formatCurrency(sale.taxBreakdown.igst)}`
+                        : `CGST ${formatCurrency(sale.taxBreakdown.cgst)} + SGST ${formatCurrency(sale.taxBreakdown.sgst)}`}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell className="text-green-600">{formatCurrency(sale.amountPaid)}</TableCell>
+                <TableCell className="text-yellow-600">{formatCurrency(sale.creditAmount)}</TableCell>
+                <TableCell>
+                  {sale.paymentMethod}
+                  {sale.payments?.length > 1 && (
+                    <span className="block text-xs text-muted-foreground">
+                      {sale.payments
+                        .map((tender) => `${TENDER_LABELS[tender.method]} ${formatCurrency(tender.amount)}`)
+                        .join(" + ")}
+                    </span>
+                  )}
+                </TableCell>
                 <TableCell>{getStatusBadge(sale.paymentStatus)}</TableCell>
 
                 <TableCell className="text-right">
@@ -151,10 +209,29 @@ const Sales = () => {
                   <Button
                     variant="ghost"
                     size="icon"
-                    onClick={() => handlePrint(sale)}
+                    title="Print receipt"
+                    onClick={() => handlePrintReceipt(sale)}
                   >
                     <Printer className="h-4 w-4" />
                   </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    title="Download PDF"
+                    onClick={() => handleDownloadInvoice(sale)}
+                  >
+                    <FileDown className="h-4 w-4" />
+                  </Button>
+                  {canReturn && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Return / exchange"
+                      onClick={() => openReturn(sale)}
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                    </Button>
+                  )}
                 </TableCell>
               </TableRow>
             ))}
@@ -162,132 +239,8 @@ const Sales = () => {
         </Table>
       </div>
 
-    <div style={{ position: "absolute", left: "-9999px" }}>
-  {selectedSale && (
-    <div
-      ref={billRef}
-      style={{
-        width: "420px",
-        background: "#ffffff",
-        padding: "20px",
-        fontFamily: "Arial, sans-serif",
-        color: "#333",
-        border: "2px solid #0f766e",
-      }}
-    >
-      {/* ===== HEADER ===== */}
-      <div style={{ textAlign: "center", borderBottom: "2px dashed #0f766e", paddingBottom: 10 }}>
-        <img
-          src="/logo.png"   // <-- put your logo here
-          alt="Store Logo"
-          style={{ height: 50, marginBottom: 8 }}
-        />
-        <h1 style={{ margin: 0, color: "#0f766e" }}>MY LOCAL STORE</h1>
-        <p style={{ margin: "4px 0", fontSize: 12 }}>
-          Main Road, City • 📞 9876543210
-        </p>
-        <p style={{ fontSize: 11 }}>GSTIN: 29ABCDE1234F1Z5</p>
-      </div>
-
-      {/* ===== BILL INFO ===== */}
-      <div style={{ marginTop: 10, fontSize: 12 }}>
-        <p><strong>Bill No:</strong> {selectedSale.billNumber}</p>
-        <p><strong>Date:</strong> {formatDate(selectedSale.createdAt)}</p>
-        <p><strong>Customer:</strong> {selectedSale.customer?.name || "Walk-in Customer"}</p>
-      </div>
-
-      {/* ===== ITEMS TABLE ===== */}
-      <table
-        style={{
-          width: "100%",
-          borderCollapse: "collapse",
-          marginTop: 12,
-          fontSize: 12,
-        }}
-      >
-        <thead>
-          <tr style={{ background: "#0f766e", color: "#fff" }}>
-            <th style={{ padding: 6, textAlign: "left" }}>Item</th>
-            <th style={{ padding: 6 }}>Qty</th>
-            <th style={{ padding: 6 }}>Rate</th>
-            <th style={{ padding: 6 }}>Disc</th>
-            <th style={{ padding: 6 }}>Total</th>
-          </tr>
-        </thead>
-        <tbody>
-          {selectedSale.items.map((item: any) => (
-            <tr key={item.productId} style={{ borderBottom: "1px solid #ddd" }}>
-              <td style={{ padding: 6 }}>{item.productName}</td>
-              <td style={{ padding: 6, textAlign: "center" }}>{item.quantity}</td>
-              <td style={{ padding: 6, textAlign: "right" }}>₹{item.unitPrice}</td>
-              <td style={{ padding: 6, textAlign: "right" }}>₹{item.discount}</td>
-              <td style={{ padding: 6, textAlign: "right", fontWeight: 600 }}>
-                ₹{item.lineTotal}
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-
-      {/* ===== TOTALS ===== */}
-      <div style={{ marginTop: 12, fontSize: 13 }}>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>Subtotal</span>
-          <span>₹{selectedSale.subtotal}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>Discount</span>
-          <span>- ₹{selectedSale.discountAmount}</span>
-        </div>
-        <div style={{ display: "flex", justifyContent: "space-between" }}>
-          <span>Tax</span>
-          <span>₹{selectedSale.taxAmount}</span>
-        </div>
-
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            marginTop: 8,
-            padding: 8,
-            background: "#ecfeff",
-            fontWeight: "bold",
-            borderTop: "2px solid #0f766e",
-          }}
-        >
-          <span>GRAND TOTAL</span>
-          <span>₹{selectedSale.totalAmount}</span>
-        </div>
-
-        <div style={{ marginTop: 6 }}>
-          <p><strong>Paid:</strong> ₹{selectedSale.amountPaid}</p>
-          <p><strong>Credit:</strong> ₹{selectedSale.creditAmount}</p>
-          <p><strong>Payment Mode:</strong> {selectedSale.paymentMethod}</p>
-        </div>
-      </div>
-
-      {/* ===== FOOTER ===== */}
-      <div
-        style={{
-          marginTop: 16,
-          textAlign: "center",
-          borderTop: "2px dashed #0f766e",
-          paddingTop: 10,
-          fontSize: 12,
-        }}
-      >
-        <p style={{ margin: 0, fontWeight: "bold" }}>
-          🙏 Thank you for shopping with us!
-        </p>
-        <p style={{ margin: 0 }}>Visit Again</p>
-        <p style={{ fontSize: 10, marginTop: 4 }}>
-          * Goods once sold cannot be returned *
-        </p>
-      </div>
-    </div>
-  )}
-</div>
-
+      <InvoiceExportDialog open={exportOpen} onOpenChange={setExportOpen} />
+      <ReturnDialog open={returnOpen} onOpenChange={setReturnOpen} sale={returnSale} />
     </div>
   );
 };
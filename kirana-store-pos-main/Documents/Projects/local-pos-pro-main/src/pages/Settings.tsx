@@ -1,10 +1,63 @@
+import { useMemo } from "react";
+import { useFieldArray, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
-import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
 import { Button } from "@/components/ui/button";
-import { Separator } from "@/components/ui/separator";
+import { Switch } from "@/components/ui/switch";
+import { Plus, X } from "lucide-react";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { ReceiptSettingsCard } from "@/components/ReceiptSettingsCard";
+import { ScaleSettingsCard } from "@/components/ScaleSettingsCard";
+import { CounterDeviceCard } from "@/components/CounterDeviceCard";
+import { UsersCard } from "@/components/UsersCard";
+import { usePermission } from "@/hooks/usePermission";
+import { useSettings, useUpdateSettings } from "@/hooks/useSettings";
+import { useProductCatalog } from "@/hooks/useProductCatalog";
+import { storeSettingsSchema, type StoreSettings } from "@/services/settingsService";
+import { GST_SLABS } from "@/lib/tax";
+import { REMINDER_PLACEHOLDERS } from "@/lib/reminders";
 
 const Settings = () => {
+  const canManageUsers = usePermission("users.manage");
+  const { data: settings } = useSettings();
+  const updateSettings = useUpdateSettings();
+  const form = useForm<StoreSettings>({
+    resolver: zodResolver(storeSettingsSchema),
+    values: settings, // Picks up the server copy once it loads
+    resetOptions: { keepDirtyValues: true },
+  });
+  const multipliers = useFieldArray({ control: form.control, name: "loyaltyCategoryMultipliers" });
+  const { products } = useProductCatalog();
+  const categories = useMemo(
+    () => [...new Set(products.map((product) => product.category).filter(Boolean))].sort(),
+    [products]
+  );
+
+  const onSubmit = (values: StoreSettings) => updateSettings.mutate(values);
+
+  const saveButton = (
+    <Button type="submit" disabled={updateSettings.isPending}>
+      Save Changes
+    </Button>
+  );
+
   return (
     <div className="space-y-6 max-w-3xl">
       <div>
@@ -14,73 +67,365 @@ const Settings = () => {
         </p>
       </div>
 
-      <Card>
-        <CardHeader>
-          <CardTitle>Store Information</CardTitle>
-          <CardDescription>
-            Basic information about your store
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="space-y-2">
-            <Label htmlFor="store-name">Store Name</Label>
-            <Input id="store-name" placeholder="My Kirana Store" />
-          </div>
-          <div className="space-y-2">
-            <Label htmlFor="store-phone">Contact Number</Label>
-            <Input id="store-phone" placeholder="9876543210" />
-          </div>
-          <div className="space-y-2">
-            <Label htmlFor="store-address">Address</Label>
-            <Input id="store-address" placeholder="Street address" />
-          </div>
-          <Button>Save Changes</Button>
-        </CardContent>
-      </Card>
+      <Form {...form}>
+        <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle>Store Information</CardTitle>
+              <CardDescription>
+                Basic information about your store
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <FormField
+                control={form.control}
+                name="storeName"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Store Name</FormLabel>
+                    <FormControl>
+                      <Input placeholder="My Kirana Store" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="contactNumber"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Contact Number</FormLabel>
+                    <FormControl>
+                      <Input placeholder="9876543210" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="address"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Address</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Street address" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="gstin"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>GSTIN</FormLabel>
+                    <FormControl>
+                      <Input placeholder="29ABCDE1234F1Z5" className="uppercase" {...field} />
+                    </FormControl>
+                    <FormDescription>Printed on invoices and receipts. Leave blank if not registered.</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="receiptHeader"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Receipt Header Text</FormLabel>
+                    <FormControl>
+                      <Textarea placeholder="Fresh groceries every day" {...field} />
+                    </FormControl>
+                    <FormDescription>Printed below the store name, address and GSTIN</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="receiptFooter"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Receipt Footer Text</FormLabel>
+                    <FormControl>
+                      <Textarea placeholder="Visit again!" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {saveButton}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Billing Preferences</CardTitle>
+              <CardDescription>
+                Configure default billing settings
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <FormField
+                control={form.control}
+                name="currencySymbol"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Currency Symbol</FormLabel>
+                    <FormControl>
+                      <Input className="max-w-24" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="taxRate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Default GST Rate</FormLabel>
+                    <Select value={String(field.value)} onValueChange={(value) => field.onChange(Number(value))}>
+                      <FormControl>
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                      </FormControl>
+                      <SelectContent>
+                        {GST_SLABS.map((rate) => (
+                          <SelectItem key={rate} value={String(rate)}>
+                            {rate}%
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FormDescription>Used for new products and for products without a GST rate</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="minStockDefault"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Default Minimum Stock Level</FormLabel>
+                    <FormControl>
+                      <Input type="number" min={0} {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {saveButton}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Payment Reminders</CardTitle>
+              <CardDescription>
+                Message sent to customers with udhaar over WhatsApp or SMS
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <FormField
+                control={form.control}
+                name="upiId"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Store UPI ID</FormLabel>
+                    <FormControl>
+                      <Input placeholder="mystore@okaxis" {...field} />
+                    </FormControl>
+                    <FormDescription>Reminders include a UPI link for the amount due. Leave blank to leave it out.</FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="reminderTemplate"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Reminder Message</FormLabel>
+                    <FormControl>
+                      <Textarea rows={6} {...field} />
+                    </FormControl>
+                    <FormDescription>
+                      Use {REMINDER_PLACEHOLDERS.map((key) => `{${key}}`).join(", ")}. A line is left out when its value is
+                      missing.
+                    </FormDescription>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              <FormField
+                control={form.control}
+                name="reminderIntervalDays"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Remind Again After (days)</FormLabel>
+                    <FormControl>
+                      <Input type="number" min={1} max={90} className="max-w-24" {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+              {saveButton}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Loyalty Program</CardTitle>
+              <CardDescription>
+                Points customers earn on their bills and spend as payment
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <FormField
+                control={form.control}
+                name="loyaltyEnabled"
+                render={({ field }) => (
+                  <FormItem className="flex items-center justify-between">
+                    <div>
+                      <FormLabel>Run loyalty program</FormLabel>
+                      <FormDescription>Turning it off stops earning and redeeming; balances are kept</FormDescription>
+                    </div>
+                    <FormControl>
+                      <Switch checked={field.value} onCheckedChange={field.onChange} />
+                    </FormControl>
+                  </FormItem>
+                )}
+              />
+              <div className="grid gap-4 sm:grid-cols-2">
+                <FormField
+                  control={form.control}
+                  name="loyaltyPointsPerRupee"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Points per Rupee</FormLabel>
+                      <FormControl>
+                        <Input type="number" min={0} max={1} step={0.001} {...field} />
+                      </FormControl>
+                      <FormDescription>0.01 gives 1 point for every ₹100 spent</FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="loyaltyPointValue"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Value of 1 Point (₹)</FormLabel>
+                      <FormControl>
+                        <Input type="number" min={0} step={0.01} {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="loyaltyMinRedeemPoints"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Minimum Points to Redeem</FormLabel>
+                      <FormControl>
+                        <Input type="number" min={0} {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="loyaltyExpiryDays"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Points Expire After (days)</FormLabel>
+                      <FormControl>
+                        <Input type="number" min={0} {...field} />
+                      </FormControl>
+                      <FormDescription>0 keeps points forever</FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <FormLabel>Category Multipliers</FormLabel>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => multipliers.append({ category: "", multiplier: 2 })}
+                  >
+                    <Plus className="h-3 w-3 mr-1" />
+                    Add
+                  </Button>
+                </div>
+                {multipliers.fields.length === 0 && (
+                  <p className="text-sm text-muted-foreground">Every category earns at the same rate</p>
+                )}
+                {multipliers.fields.map((item, index) => (
+                  <div key={item.id} className="flex items-start gap-2">
+                    <FormField
+                      control={form.control}
+                      name={`loyaltyCategoryMultipliers.${index}.category`}
+                      render={({ field }) => (
+                        <FormItem className="flex-1">
+                          <FormControl>
+                            <Input placeholder="Category" list="loyalty-categories" {...field} />
+                          </FormControl>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <FormField
+                      control={form.control}
+                      name={`loyaltyCategoryMultipliers.${index}.multiplier`}
+                      render={({ field }) => (
+                        <FormItem className="w-28">
+                          <FormControl>
+                            <Input type="number" min={0} max={10} step={0.5} {...field} />
+                          </FormControl>
+                          <FormMessage />
+                        </FormItem>
+                      )}
+                    />
+                    <Button type="button" variant="ghost" size="icon" onClick={() => multipliers.remove(index)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <datalist id="loyalty-categories">
+                  {categories.map((category) => (
+                    <option key={category} value={category} />
+                  ))}
+                </datalist>
+              </div>
+              {saveButton}
+            </CardContent>
+          </Card>
+        </form>
+      </Form>
+
+      {canManageUsers && <UsersCard />}
+
+      <ReceiptSettingsCard />
 
-      <Card>
-        <CardHeader>
-          <CardTitle>Billing Preferences</CardTitle>
-          <CardDescription>
-            Configure default billing settings
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="space-y-2">
-            <Label htmlFor="currency">Currency Symbol</Label>
-            <Input id="currency" defaultValue="₹" />
-          </div>
-          <div className="space-y-2">
-            <Label htmlFor="tax">Default Tax Rate (%)</Label>
-            <Input id="tax" type="number" defaultValue="5" />
-          </div>
-          <div className="space-y-2">
-            <Label htmlFor="min-stock">Default Minimum Stock Level</Label>
-            <Input id="min-stock" type="number" defaultValue="10" />
-          </div>
-          <Button>Save Changes</Button>
-        </CardContent>
-      </Card>
+      <ScaleSettingsCard />
 
-      <Card>
-        <CardHeader>
-          <CardTitle>Receipt Settings</CardTitle>
-          <CardDescription>
-            Configure printed receipt preferences
-          </CardDescription>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="space-y-2">
-            <Label htmlFor="receipt-header">Receipt Header Text</Label>
-            <Input id="receipt-header" placeholder="Thank you for shopping with us!" />
-          </div>
-          <div className="space-y-2">
-            <Label htmlFor="receipt-footer">Receipt Footer Text</Label>
-            <Input id="receipt-footer" placeholder="Visit again!" />
-          </div>
-          <Button>Save Changes</Button>
-        </CardContent>
-      </Card>
+      <CounterDeviceCard />
     </div>
   );
 };
@@ -1,4 +1,5 @@
 import api from '../lib/api';
+import { isTokenExpired } from '../lib/jwt';
 
 export interface LoginRequest {
   email: string;
@@ -12,6 +13,9 @@ export interface RegisterRequest {
   role: 'OWNER' | 'CASHIER' | 'STAFF';
 }
 
+// First-run sign-up; the server makes this user the owner
+export type OwnerSetupRequest = Omit<RegisterRequest, 'role'>;
+
 export interface User {
   id: string;
   email: string;
@@ -50,6 +54,42 @@ export const authService = {
     return response.data;
   },
 
+  // Whether the store still needs its first owner, i.e. sign-up is open
+  setupStatus: async (): Promise<{ needsOwner: boolean }> => {
+    const response = await api.get<{ needsOwner: boolean }>('/auth/setup');
+    return response.data;
+  },
+
+  // Create the store's first owner; refused by the server once an owner exists
+  setupOwner: async (userData: OwnerSetupRequest): Promise<AuthResponse> => {
+    const response = await api.post<AuthResponse>('/auth/setup', userData);
+    const { token, user } = response.data;
+
+    localStorage.setItem('auth_token', token);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    return response.data;
+  },
+
+  // Swap the current token for a fresh one before it expires
+  refresh: async (): Promise<string> => {
+    const response = await api.post<{ token: string }>('/auth/refresh');
+    localStorage.setItem('auth_token', response.data.token);
+    return response.data.token;
+  },
+
+  // Check an owner's password at the counter without switching the logged-in user
+  verifyOwner: async (credentials: LoginRequest): Promise<User> => {
+    const response = await api.post<User>('/auth/verify-owner', credentials);
+    return response.data;
+  },
+
+  // Unlock a shared counter with a cashier's PIN; the owner's token stays in place
+  pinLogin: async (pin: string): Promise<User> => {
+    const response = await api.post<User>('/auth/pin-login', { pin });
+    return response.data;
+  },
+
   // Logout
   logout: () => {
     localStorage.removeItem('auth_token');
@@ -62,9 +102,10 @@ export const authService = {
     return userStr ? JSON.parse(userStr) : null;
   },
 
-  // Check if user is authenticated
+  // Check if user is authenticated with a token that has not expired
   isAuthenticated: (): boolean => {
-    return !!localStorage.getItem('auth_token');
+    const token = localStorage.getItem('auth_token');
+    return !!token && !isTokenExpired(token);
   },
 
   // Get token
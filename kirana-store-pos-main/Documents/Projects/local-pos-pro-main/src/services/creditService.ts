@@ -2,25 +2,36 @@ import api from '../lib/api';
 import type { PageResponse } from './productService';
 import type { Customer } from './customerService';
 
+// Part of a payment set against one bill
+export interface CreditAllocation {
+  saleId: string;
+  amount: number;
+}
+
 export interface CreditTransaction {
   id: string;
   customerId: string;
   customerName: string;
   saleId?: string;
+  billNumber?: string; // Of the linked sale
   transactionType: 'CREDIT_TAKEN' | 'PAYMENT_MADE';
   amount: number;
   balanceBefore: number;
   balanceAfter: number;
   paymentMethod?: string;
   notes?: string;
+  allocations?: CreditAllocation[]; // Payments only; bills the customer asked to settle
   createdAt: string;
 }
 
+export type CreditPaymentMethod = 'CASH' | 'UPI' | 'CARD' | 'BANK_TRANSFER';
+
 export interface CreditPaymentRequest {
   customerId: string;
   amount: number;
-  paymentMethod: 'CASH' | 'UPI' | 'CARD' | 'BANK_TRANSFER';
+  paymentMethod: CreditPaymentMethod;
   notes?: string;
+  allocations?: CreditAllocation[]; // Any amount left over settles the oldest bills first
 }
 
 export interface CreditPaymentResponse {
@@ -49,6 +60,20 @@ export const creditService = {
     return response.data;
   },
 
+  // Get every credit transaction, for the aging report
+  getAllTransactionsUnpaged: async (): Promise<CreditTransaction[]> => {
+    const transactions: CreditTransaction[] = [];
+    let page = 0;
+    let totalPages = 1;
+    while (page < totalPages) {
+      const result = await creditService.getAllTransactions(page, 200);
+      transactions.push(...result.content);
+      totalPages = result.totalPages;
+      page++;
+    }
+    return transactions;
+  },
+
   // Get outstanding credit accounts
   getOutstandingAccounts: async (): Promise<Customer[]> => {
     const response = await api.get<Customer[]>('/credit/outstanding');
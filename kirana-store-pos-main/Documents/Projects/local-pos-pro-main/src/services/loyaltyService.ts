@@ -0,0 +1,26 @@
+import api from '../lib/api';
+
+// EARNED on a bill, REDEEMED as a tender, REVERSED when the goods come back, EXPIRED after the store's expiry period
+export type LoyaltyTransactionType = 'EARNED' | 'REDEEMED' | 'REVERSED' | 'EXPIRED' | 'ADJUSTED';
+
+export interface LoyaltyTransaction {
+  id: string;
+  customerId: string;
+  type: LoyaltyTransactionType;
+  points: number; // Positive adds to the balance, negative takes away
+  balanceAfter: number;
+  saleId?: string;
+  billNumber?: string;
+  creditNoteNumber?: string; // For reversals
+  expiresAt?: string; // Earned points only
+  notes?: string;
+  createdAt: string;
+}
+
+export const loyaltyService = {
+  // Get a customer's points history, oldest first
+  getCustomerTransactions: async (customerId: string): Promise<LoyaltyTransaction[]> => {
+    const response = await api.get<LoyaltyTransaction[]>(`/loyalty/customer/${customerId}`);
+    return response.data;
+  },
+};
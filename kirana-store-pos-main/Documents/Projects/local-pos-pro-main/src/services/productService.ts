@@ -1,4 +1,6 @@
 import api from '../lib/api';
+import type { GstRate } from '../lib/tax';
+import type { ProductUnit } from '../lib/units';
 
 export interface Product {
   id: string;
@@ -9,8 +11,11 @@ export interface Product {
   costPrice?: number;
   stockQuantity: number;
   minStockLevel: number;
-  unit: string;
+  unit: string; // A ProductUnit; older products may hold free text, read it through normalizeUnit
   barcode?: string;
+  hsnCode?: string;
+  gstRate?: GstRate;
+  priceIncludesTax?: boolean;
   expiryDate?: string;
   status: string;
   isLowStock: boolean;
@@ -27,13 +32,17 @@ export interface ProductRequest {
   costPrice?: number;
   stockQuantity: number;
   minStockLevel?: number;
-  unit?: string;
+  unit?: ProductUnit;
   barcode?: string;
+  hsnCode?: string;
+  gstRate?: GstRate;
+  priceIncludesTax?: boolean;
   expiryDate?: string;
 }
 
 export interface ProductFilters {
   search?: string;
+  updatedAfter?: string; // ISO timestamp, inclusive; used for incremental catalog sync
   page?: number;
   size?: number;
   sortBy?: string;
@@ -57,6 +66,7 @@ export const productService = {
       sortBy: filters?.sortBy ?? 'name',
       sortOrder: filters?.sortOrder ?? 'asc',
       ...(filters?.search && { search: filters.search }),
+      ...(filters?.updatedAfter && { updatedAfter: filters.updatedAfter }),
     };
 
     const response = await api.get<PageResponse<Product>>('/products', { params });
@@ -0,0 +1,53 @@
+import api from '../lib/api';
+import type { ReminderChannel } from '../lib/reminders';
+
+export interface Reminder {
+  id: string;
+  customerId: string;
+  channel: ReminderChannel;
+  amount: number; // Balance quoted in the message
+  message: string;
+  sentBy?: string;
+  sentAt: string;
+}
+
+// When a customer is next due a reminder; one per customer
+export interface ReminderSchedule {
+  customerId: string;
+  lastSentAt?: string;
+  nextDueAt?: string;
+}
+
+export interface ReminderRequest {
+  customerId: string;
+  channel: ReminderChannel;
+  amount: number;
+  message: string;
+  nextDueAt: string;
+}
+
+export const reminderService = {
+  // Get reminders sent to a customer, newest first
+  getForCustomer: async (customerId: string): Promise<Reminder[]> => {
+    const response = await api.get<Reminder[]>(`/reminders/customer/${customerId}`);
+    return response.data;
+  },
+
+  // Get the reminder schedule of every customer
+  getSchedules: async (): Promise<ReminderSchedule[]> => {
+    const response = await api.get<ReminderSchedule[]>('/reminders/schedule');
+    return response.data;
+  },
+
+  // Log a reminder the cashier sent; also moves the customer's next due date
+  log: async (data: ReminderRequest): Promise<Reminder> => {
+    const response = await api.post<Reminder>('/reminders', data);
+    return response.data;
+  },
+
+  // Set when a customer should next be reminded
+  updateSchedule: async (customerId: string, nextDueAt: string): Promise<ReminderSchedule> => {
+    const response = await api.put<ReminderSchedule>(`/reminders/schedule/${customerId}`, { nextDueAt });
+    return response.data;
+  },
+};
@@ -0,0 +1,79 @@
+import api from '../lib/api';
+import type { PageResponse } from './productService';
+import type { Sale, SaleItemRequest } from './saleService';
+
+// CREDIT_ADJUSTMENT lowers the customer's udhaar balance instead of handing money back
+export type RefundMethod = 'CASH' | 'UPI' | 'CREDIT_ADJUSTMENT';
+
+export interface ReturnItem {
+  productId: string;
+  productName: string;
+  quantity: number;
+  unitRefund: number; // What the customer paid per unit, after discount and tax
+  lineTotal: number;
+}
+
+// A processed return; the credit note number is assigned by the backend
+export interface SaleReturn {
+  id: string;
+  creditNoteNumber: string;
+  saleId: string;
+  billNumber: string;
+  customer?: { name: string; phone?: string; creditBalance?: number };
+  items: ReturnItem[];
+  returnAmount: number; // Value of the goods that came back
+  exchangeSale?: Sale; // Bill for the replacement items, if any
+  netAmount: number; // returnAmount minus the exchange bill; negative means the customer paid the difference
+  refundMethod: RefundMethod;
+  loyaltyPointsReversed?: number;
+  loyaltyPointsRestored?: number; // Redeemed points given back; their value is not in netAmount
+  reason?: string;
+  createdAt: string;
+}
+
+export interface ReturnItemRequest {
+  productId: string;
+  quantity: number;
+}
+
+export interface ReturnRequest {
+  saleId: string;
+  items: ReturnItemRequest[];
+  exchangeItems?: SaleItemRequest[];
+  refundMethod: RefundMethod;
+  loyaltyPointsReversed?: number; // Share of the points the bill earned, worked out at the counter
+  loyaltyPointsRestored?: number; // Share of the points the customer paid with, given back instead of money
+  reason?: string;
+}
+
+export interface ReturnFilters {
+  saleId?: string;
+  page?: number;
+  size?: number;
+}
+
+export const returnService = {
+  // Process a return; restocks the items and refunds or adjusts credit
+  create: async (data: ReturnRequest): Promise<SaleReturn> => {
+    const response = await api.post<SaleReturn>('/returns', data);
+    return response.data;
+  },
+
+  // Get all returns (paginated)
+  getAll: async (filters?: ReturnFilters): Promise<PageResponse<SaleReturn>> => {
+    const params = {
+      page: filters?.page ?? 0,
+      size: filters?.size ?? 20,
+      ...(filters?.saleId && { saleId: filters.saleId }),
+    };
+
+    const response = await api.get<PageResponse<SaleReturn>>('/returns', { params });
+    return response.data;
+  },
+
+  // Get return by credit note number
+  getByCreditNoteNumber: async (creditNoteNumber: string): Promise<SaleReturn> => {
+    const response = await api.get<SaleReturn>(`/returns/credit-note/${creditNoteNumber}`);
+    return response.data;
+  },
+};
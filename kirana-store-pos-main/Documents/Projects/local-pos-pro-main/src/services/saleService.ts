@@ -1,31 +1,58 @@
 import api from '../lib/api';
 import type { PageResponse } from './productService';
+import type { GstRate, SupplyType, TaxBreakdown } from '../lib/tax';
+import type { Tender } from '../lib/tenders';
+import type { DiscountActor } from '../lib/discounts';
+
+// SPLIT = more than one tender; PARTIAL = cash with the rest on credit
+export type PaymentMethod = 'CASH' | 'UPI' | 'CARD' | 'LOYALTY' | 'CREDIT' | 'PARTIAL' | 'SPLIT';
 
 export interface SaleItem {
   productId: string;
   productName: string;
-  quantity: number;
+  quantity: number; // Fractional for loose items sold by weight or volume
+  unit?: string;
   unitPrice: number;
-  discount: number;
+  discount: number; // Per unit, excluding the share of any bill discount
+  originalPrice?: number; // Catalog price when the price was overridden
+  discountAppliedBy?: DiscountActor;
+  discountApprovedBy?: DiscountActor;
+  hsnCode?: string;
+  gstRate?: GstRate;
+  taxAmount?: number;
   lineTotal: number;
+  returnedQuantity?: number; // Already taken back on earlier returns
 }
 
 export interface Sale {
   id: string;
   billNumber: string;
   // customerId?: string;
-  customer:{
-    name:String
-  }
+  customer: {
+    name: string;
+    phone?: string;
+    creditBalance?: number; // Outstanding balance after this bill
+  };
   customerName?: string;
   items: SaleItem[];
   subtotal: number;
-  discountAmount: number;
+  discountAmount: number; // Line discounts plus the bill discount
+  billDiscount?: number;
+  billDiscountAppliedBy?: DiscountActor;
+  billDiscountApprovedBy?: DiscountActor;
+  roundOff?: number; // Added to reach a whole-rupee total; negative when rounded down
   taxAmount: number;
+  taxBreakdown?: TaxBreakdown;
   totalAmount: number;
   amountPaid: number;
   creditAmount: number;
+  creditApprovedBy?: DiscountActor; // Owner who let this bill past the customer's credit limit
+  cashier?: DiscountActor; // Who rang up the bill; on a shared counter, whoever had it unlocked
+  loyaltyPointsEarned?: number;
+  loyaltyPointsRedeemed?: number;
   paymentMethod: string;
+  payments?: Tender[]; // Absent on bills from before split payments
+  changeDue?: number;
   paymentStatus: string;
   notes?: string;
   createdAt: string;
@@ -36,17 +63,33 @@ export interface SaleItemRequest {
   productId: string;
   quantity: number;
   discount?: number;
+  unitPrice?: number; // Overridden price; leave out to charge the catalog price
+  discountAppliedBy?: DiscountActor;
+  discountApprovedBy?: DiscountActor;
 }
 
 export interface SaleRequest {
   customerId?: string;
   items: SaleItemRequest[];
-  paymentMethod: 'CASH' | 'UPI' | 'CARD' | 'CREDIT' | 'PARTIAL';
+  supplyType?: SupplyType;
+  taxBreakdown?: TaxBreakdown; // Computed at the counter so the bill matches what was shown
+  billDiscount?: number; // Spread over the lines by value before tax
+  billDiscountAppliedBy?: DiscountActor;
+  billDiscountApprovedBy?: DiscountActor;
+  roundOff?: number;
+  paymentMethod: PaymentMethod;
   amountPaid: number;
+  payments?: Tender[]; // Sum to the bill total; the CREDIT tender goes on the customer's balance
+  changeDue?: number; // Cash handed back, not part of amountPaid
+  creditApprovedBy?: DiscountActor; // Required when the credit takes the customer past their limit
+  cashierId?: string; // The user at the counter, who may not own the login token
+  loyaltyPointsEarned?: number; // Worked out at the counter with the store's loyalty settings
+  loyaltyPointsRedeemed?: number; // Points behind the LOYALTY tender
   notes?: string;
 }
 
 export interface SaleFilters {
+  customerId?: string;
   startDate?: string;
   endDate?: string;
   page?: number;
@@ -57,8 +100,11 @@ export interface SaleFilters {
 
 export const saleService = {
   // Create sale (checkout)
-  create: async (data: SaleRequest): Promise<Sale> => {
-    const response = await api.post<Sale>('/sales', data);
+  // The idempotency key lets the backend drop duplicates when a queued sale is replayed
+  create: async (data: SaleRequest, idempotencyKey?: string): Promise<Sale> => {
+    const response = await api.post<Sale>('/sales', data, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+    });
     return response.data;
   },
 
@@ -69,6 +115,7 @@ export const saleService = {
       size: filters?.size ?? 20,
       sortBy: filters?.sortBy ?? 'createdAt',
       sortOrder: filters?.sortOrder ?? 'desc',
+      ...(filters?.customerId && { customerId: filters.customerId }),
       ...(filters?.startDate && { startDate: filters.startDate }),
       ...(filters?.endDate && { endDate: filters.endDate }),
     };
@@ -77,6 +124,20 @@ export const saleService = {
     return response.data;
   },
 
+  // Get every sale in a date range, oldest first, walking through all pages
+  getAllInRange: async (startDate: string, endDate: string): Promise<Sale[]> => {
+    const sales: Sale[] = [];
+    let page = 0;
+    let totalPages = 1;
+    while (page < totalPages) {
+      const result = await saleService.getAll({ startDate, endDate, page, size: 100, sortBy: 'createdAt', sortOrder: 'asc' });
+      sales.push(...result.content);
+      totalPages = result.totalPages;
+      page++;
+    }
+    return sales;
+  },
+
   // Get sale by ID
   getById: async (id: string): Promise<Sale> => {
     const response = await api.get<Sale>(`/sales/${id}`);
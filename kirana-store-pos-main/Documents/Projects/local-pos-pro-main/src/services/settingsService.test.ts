@@ -0,0 +1,52 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import api from '../lib/api';
+import { DEFAULT_STORE_SETTINGS, settingsService } from './settingsService';
+import { networkDown, respondWith, stubBrowser } from '../test/stubs';
+
+const adapter = api.defaults.adapter;
+
+beforeEach(stubBrowser);
+
+afterEach(() => {
+  api.defaults.adapter = adapter;
+  vi.unstubAllGlobals();
+});
+
+describe('settingsService.update', () => {
+  const changed = { ...DEFAULT_STORE_SETTINGS, storeName: 'Sharma General Store' };
+
+  it('keeps the change on this device when the server is unreachable', async () => {
+    api.defaults.adapter = networkDown;
+    const result = await settingsService.update(changed);
+    expect(result.savedLocally).toBe(true);
+    expect(settingsService.getCached().storeName).toBe('Sharma General Store');
+  });
+
+  it('pushes the local change on the next load', async () => {
+    api.defaults.adapter = networkDown;
+    await settingsService.update(changed);
+
+    const put = vi.fn(respondWith(200, { success: true, data: {} }));
+    api.defaults.adapter = (config) =>
+      config.method === 'put' ? put(config) : respondWith(200, { success: true, data: changed })(config);
+    await settingsService.get();
+    expect(put).toHaveBeenCalledOnce();
+  });
+
+  it('drops a local change the server refuses and loads the server copy', async () => {
+    api.defaults.adapter = networkDown;
+    await settingsService.update({ ...changed, gstin: '27AAAAA0000A1Z5' });
+
+    const put = vi.fn(respondWith(400, { message: 'GSTIN is invalid' }));
+    api.defaults.adapter = (config) =>
+      config.method === 'put' ? put(config) : respondWith(200, { success: true, data: changed })(config);
+    expect((await settingsService.get()).gstin).toBe('');
+    await settingsService.get();
+    expect(put).toHaveBeenCalledOnce();
+  });
+
+  it('rejects a save the server refuses', async () => {
+    api.defaults.adapter = respondWith(400, { message: 'GSTIN is invalid' });
+    await expect(settingsService.update(changed)).rejects.toThrow('GSTIN is invalid');
+  });
+});
@@ -0,0 +1,120 @@
+import { z } from 'zod';
+import api, { isOfflineError } from '../lib/api';
+import { isGstRate } from '../lib/tax';
+import { DEFAULT_REMINDER_TEMPLATE } from '../lib/reminders';
+
+export const storeSettingsSchema = z.object({
+  storeName: z.string().trim().min(1, 'Store name is required').max(60),
+  contactNumber: z
+    .string()
+    .trim()
+    .regex(/^(\+?\d[\d\s-]{6,14})?$/, 'Enter a valid phone number'),
+  address: z.string().trim().max(200),
+  gstin: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .regex(/^(\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z])?$/, 'Enter a valid 15-character GSTIN'),
+  currencySymbol: z.string().trim().min(1, 'Currency symbol is required').max(4),
+  taxRate: z.coerce.number().refine(isGstRate, 'Pick a GST slab'),
+  minStockDefault: z.coerce.number().int('Must be a whole number').min(0, 'Cannot be negative'),
+  receiptHeader: z.string().max(300),
+  receiptFooter: z.string().max(300),
+  upiId: z
+    .string()
+    .trim()
+    .regex(/^([\w.-]{2,}@[a-zA-Z]{2,})?$/, 'Enter a UPI ID like store@okaxis'),
+  reminderTemplate: z.string().trim().min(1, 'Reminder message is required').max(500),
+  reminderIntervalDays: z.coerce.number().int('Must be a whole number').min(1, 'At least 1 day').max(90),
+  loyaltyEnabled: z.boolean(),
+  loyaltyPointsPerRupee: z.coerce.number().min(0, 'Cannot be negative').max(1, 'At most 1 point per rupee'),
+  loyaltyPointValue: z.coerce.number().positive('Must be more than 0').max(100),
+  loyaltyCategoryMultipliers: z.array(
+    z.object({
+      category: z.string().trim().min(1, 'Category is required'),
+      multiplier: z.coerce.number().min(0, 'Cannot be negative').max(10, 'At most 10x'),
+    })
+  ),
+  loyaltyExpiryDays: z.coerce.number().int('Must be a whole number').min(0, 'Cannot be negative'),
+  loyaltyMinRedeemPoints: z.coerce.number().int('Must be a whole number').min(0, 'Cannot be negative'),
+});
+
+export type StoreSettings = z.infer<typeof storeSettingsSchema>;
+
+export const DEFAULT_STORE_SETTINGS: StoreSettings = {
+  storeName: 'My Kirana Store',
+  contactNumber: '',
+  address: '',
+  gstin: '',
+  currencySymbol: '₹',
+  taxRate: 5,
+  minStockDefault: 10,
+  receiptHeader: '',
+  receiptFooter: 'Thank you for shopping with us!\nVisit again!',
+  upiId: '',
+  reminderTemplate: DEFAULT_REMINDER_TEMPLATE,
+  reminderIntervalDays: 7,
+  loyaltyEnabled: true,
+  loyaltyPointsPerRupee: 0.01,
+  loyaltyPointValue: 1,
+  loyaltyCategoryMultipliers: [],
+  loyaltyExpiryDays: 365,
+  loyaltyMinRedeemPoints: 100,
+};
+
+const CACHE_KEY = 'store_settings';
+const PENDING_KEY = 'store_settings_pending'; // Saved while offline, not yet on the server
+
+const writeCache = (settings: StoreSettings) => localStorage.setItem(CACHE_KEY, JSON.stringify(settings));
+
+export interface SaveSettingsResult {
+  settings: StoreSettings;
+  savedLocally: boolean; // True when the server was unreachable and only this device has the change
+}
+
+export const settingsService = {
+  // Last known settings on this device, so the app can render before the server answers
+  getCached: (): StoreSettings => {
+    const stored = localStorage.getItem(CACHE_KEY);
+    return stored ? { ...DEFAULT_STORE_SETTINGS, ...JSON.parse(stored) } : DEFAULT_STORE_SETTINGS;
+  },
+
+  // Get store settings
+  // Billing must keep working without the server, so any failure falls back to the local copy
+  get: async (): Promise<StoreSettings> => {
+    try {
+      if (localStorage.getItem(PENDING_KEY)) {
+        try {
+          await api.put('/settings', settingsService.getCached());
+          localStorage.removeItem(PENDING_KEY);
+        } catch (error) {
+          if (isOfflineError(error)) throw error;
+          // The server refused the offline change; drop it and take the server copy below
+          localStorage.removeItem(PENDING_KEY);
+        }
+      }
+      const response = await api.get<Partial<StoreSettings>>('/settings');
+      const settings = { ...DEFAULT_STORE_SETTINGS, ...response.data };
+      writeCache(settings);
+      return settings;
+    } catch {
+      return settingsService.getCached();
+    }
+  },
+
+  // Save store settings; kept on this device and pushed on the next load if the server is unreachable
+  update: async (data: StoreSettings): Promise<SaveSettingsResult> => {
+    const settings = storeSettingsSchema.parse(data);
+    try {
+      await api.put('/settings', settings);
+      writeCache(settings);
+      localStorage.removeItem(PENDING_KEY);
+      return { settings, savedLocally: false };
+    } catch (error) {
+      if (!isOfflineError(error)) throw error;
+      writeCache(settings);
+      localStorage.setItem(PENDING_KEY, '1');
+      return { settings, savedLocally: true };
+    }
+  },
+};
@@ -0,0 +1,56 @@
+import api from '../lib/api';
+import type { Role } from '../lib/permissions';
+import type { User } from './authService';
+
+// A store account as the owner sees it on the Users screen
+export interface StaffUser extends User {
+  hasPin: boolean; // Can unlock a shared counter
+  lastLoginAt?: string; // Password or PIN login; missing until the first one
+  createdAt: string;
+}
+
+export interface UserRequest {
+  fullName: string;
+  email: string;
+  role: Role;
+  password?: string; // Left out when sendInvite is set
+  sendInvite?: boolean; // Email a link to choose a password instead
+  pin?: string;
+}
+
+export const userService = {
+  // Get every account in the store, active or not
+  getAll: async (): Promise<StaffUser[]> => {
+    const response = await api.get<StaffUser[]>('/users');
+    return response.data;
+  },
+
+  // Create an account, or invite one by email
+  create: async (data: UserRequest): Promise<StaffUser> => {
+    const response = await api.post<StaffUser>('/users', data);
+    return response.data;
+  },
+
+  // Change a user's name or role
+  update: async (id: string, data: Partial<Pick<UserRequest, 'fullName' | 'role'>>): Promise<StaffUser> => {
+    const response = await api.put<StaffUser>(`/users/${id}`, data);
+    return response.data;
+  },
+
+  // Deactivate or reactivate a user; inactive users cannot log in or unlock the counter
+  setActive: async (id: string, isActive: boolean): Promise<StaffUser> => {
+    const response = await api.patch<StaffUser>(`/users/${id}/status`, { isActive });
+    return response.data;
+  },
+
+  // Set a new password for a user who has forgotten theirs
+  resetPassword: async (id: string, password: string): Promise<void> => {
+    await api.post(`/users/${id}/reset-password`, { password });
+  },
+
+  // Set or clear (null) a user's counter PIN
+  setPin: async (id: string, pin: string | null): Promise<StaffUser> => {
+    const response = await api.put<StaffUser>(`/users/${id}/pin`, { pin });
+    return response.data;
+  },
+};
@@ -0,0 +1,27 @@
+import type { AxiosAdapter, InternalAxiosRequestConfig } from 'axios';
+import { AxiosError } from 'axios';
+import { vi } from 'vitest';
+
+// Browser globals the services touch, for tests running under Node
+
+export const stubBrowser = () => {
+  const store = new Map<string, string>();
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => store.get(key) ?? null,
+    setItem: (key: string, value: string) => store.set(key, value),
+    removeItem: (key: string) => store.delete(key),
+  });
+  vi.stubGlobal('window', { location: { pathname: '/pos', search: '', href: '/pos' } });
+};
+
+// Axios adapters standing in for the backend
+
+export const respondWith = (status: number, data: unknown = {}): AxiosAdapter => async (config) => {
+  const response = { status, statusText: '', data, headers: {}, config: config as InternalAxiosRequestConfig };
+  if (status < 400) return response;
+  throw new AxiosError('Request failed', 'ERR_BAD_RESPONSE', config, null, response);
+};
+
+export const networkDown: AxiosAdapter = async (config) => {
+  throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+};